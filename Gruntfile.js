@@ -120,6 +120,10 @@ module.exports = function(grunt) {
                         standalone: 'FlashphonerRestApi'
                     }
                 }
+            },
+            mediaProviderTests: {
+                src: ['./test/media-provider-browser-test.js'],
+                dest: './test/media-provider-test.bundle.js'
             }
         },
         //used for resolve https://github.com/Temasys/AdapterJS/issues/238
@@ -209,6 +213,7 @@ module.exports = function(grunt) {
                 'flashphoner-temasys-flash-websocket.min.js',
                 'flashphoner-rest-api.js',
                 'media-provider.swf',
+                'test/media-provider-test.bundle.js',
                 'doc/'
             ],
             release: [
@@ -1 +1,1002 @@
-var _0x8674=['feedDecoder','postMessage','now','getBufferTimeLength','Unknown\x20request','bind','audioChunkLength','context','sampleRate','videoWidth','videoHeight','token','dropDelayMultiplier','Failed\x20to\x20init\x20stream\x20receiver\x20','videoDecoder','decoderPath','onmessage','No\x20timestamp\x20available\x20for\x20decoded\x20picture,\x20discarding','shift','STOPPED','audioBuffer','sync','start','setVolume','requestVideoFrameCallback','Failed\x20to\x20init\x20video\x20decoder\x20','fps','framesRendered','noDataSince','prototype','receivedIframe','lastPlayedVideoTime','kframe','decode','payload','play','stream','STARTUP','playFirstSound','createBuffer','getChannelData','random','createBufferSource','buffer','connect','destination','mute','PAUSED','unmute','resume','getVolume','lastFpsTime','lastPlayedVideoTimestamp','log','trace','requestVideoFrameCallback,\x20audio\x20player\x20time\x20','\x20callback\x20timestamp\x20','render','playing','dispatchEvent','riseApiEvent','lastEventRised','PLAYBACK_PROBLEM','logToCanvas','ctx2D','height','fillStyle','black','font','textAlign','center','width','40pt','fillText','initLogger','verbosity','console','apply','warn','wsLogger','debug','renderFunction','force2D','YTexture','CBTexture','CRTexture','RGBTexture','rgbaBuffer','mbWidth','codedWidth','halfWidth','precision\x20mediump\x20float;','uniform\x20sampler2D\x20CBTexture;','void\x20main()\x20{','float\x20y\x20=\x20texture2D(YTexture,\x20texCoord).r;','float\x20cb\x20=\x20texture2D(CBTexture,\x20texCoord).r\x20-\x200.5;','gl_FragColor\x20=\x20vec4(','y\x20+\x20-0.343\x20*\x20cb\x20-\x200.711\x20*\x20cr,','1.0','join','attribute\x20vec2\x20vertex;','varying\x20vec2\x20texCoord;','texCoord\x20=\x20vertex;','gl_Position\x20=\x20vec4((vertex\x20*\x202.0\x20-\x201.0)\x20*\x20vec2(1,\x20-1),\x200.0,\x201.0);','SHADER_VERTEX_IDENTITY_RGBA','varying\x20vec2\x20tc;','void\x20main(){','gl_Position\x20=\x20vertex;','SHADER_FRAGMENT_RGBA','uniform\x20sampler2D\x20RGBTexture;','gl_FragColor\x20=\x20texture2D(RGBTexture,\x20tc);','getContext','experimental-webgl','inputFormat','rgba','initWebGLRGB','initWebGLYUV','renderFrame2D','bindBuffer','ARRAY_BUFFER','bufferData','STATIC_DRAW','program','attachShader','compileShader','SHADER_VERTEX_IDENTITY_YUV','FRAGMENT_SHADER','SHADER_FRAGMENT_YCBCRTORGBA','linkProgram','getProgramParameter','Failed\x20to\x20init\x20WebGL!\x20Message\x20','getProgramInfoLog','useProgram','createTexture','getAttribLocation','vertex','enableVertexAttribArray','vertexAttribPointer','createProgram','bindAttribLocation','FLOAT','renderFrameGLRGB','undefined','createImageData','putImageData','clear','COLOR_BUFFER_BIT','DEPTH_BUFFER_BIT','TEXTURE_2D','texParameteri','TEXTURE_MAG_FILTER','LINEAR','TEXTURE_MIN_FILTER','CLAMP_TO_EDGE','TEXTURE_WRAP_T','getUniformLocation','createShader','getShaderParameter','COMPILE_STATUS','getShaderInfoLog','isUsingWebGL','activeTexture','bindTexture','texImage2D','LUMINANCE','UNSIGNED_BYTE','TEXTURE1','TEXTURE2','drawArrays','TRIANGLE_STRIP','TEXTURE0','RGBA','TRIANGLES','type','YCbCrToRGBA','set','Changing\x20canvas\x20resolution\x20from\x20','\x20to\x20','lastTimeRendered','getLastTimeRendered','nodeConnected','gainNode','createGain','abs','Audio\x20node\x20buffer\x20size\x20','internalBufferSize','createScriptProcessor','audioJSNode','previousSync','lastSync','lastSyncTime','playbackTime','value','disconnect','resetBuffers','playAudio','getBufferLength','currentTime','audioChunkTimeLength','No\x20audio!\x20','previousSyncTime','Audio\x20player\x20mute','gain','Audio\x20player\x20resume','setTimeout','state','initialized','init','canvas','api','configuration','initBuffers','initialVolume','audioPlayer','error','Failed\x20to\x20init\x20audio\x20player\x20','yuv','videoRenderer','Failed\x20to\x20init\x20video\x20renderer\x20','receiver','terminate','receiverPath','addEventListener','message','data','status','failed','closed','stop','AVData','audioLength','audioReceived','audio','length','videoLength','Received\x20video,\x20frames:','videoReceived','video','videoBuffer','push','videoFrameTimeLength','getCurrentSync','PLAYING','muted','decodedVideoBuffer','tsVideoWaitingList'];(function(_0x56e2ba,_0x54ffbb){var _0x53abc2=function(_0x5bd6fa){while(--_0x5bd6fa){_0x56e2ba['push'](_0x56e2ba['shift']());}};_0x53abc2(++_0x54ffbb);}(_0x8674,0x1c2));var _0x162a=function(_0x289e5c,_0x18e4c1){_0x289e5c=_0x289e5c-0x0;var _0x1d4b0e=_0x8674[_0x289e5c];return _0x1d4b0e;};var requestAnimFrame=function(){return function(_0x452c50){window[_0x162a('0x0')](_0x452c50,0x3e8/0x1e);};}();function WSPlayer(){this[_0x162a('0x1')]=WSPlayerState['STOPPED'];this[_0x162a('0x2')]=![];}WSPlayer['prototype'][_0x162a('0x3')]=function(_0x566b31,_0x2633b5,_0x439354){this['canvas']=_0x566b31[_0x162a('0x4')];this[_0x162a('0x5')]=_0x566b31[_0x162a('0x5')];this[_0x162a('0x6')]=_0x566b31;this[_0x162a('0x7')]();this[_0x162a('0x8')]=-0x1;try{this[_0x162a('0x9')]=new AudioPlayer(_0x2633b5);}catch(_0x388ad2){wsLogger[_0x162a('0xa')](_0x162a('0xb')+_0x388ad2);return;}try{this['videoRenderer']=new VideoRenderer(this[_0x162a('0x4')],![],_0x162a('0xc'));this[_0x162a('0xd')]['init']();}catch(_0x4a3ba3){wsLogger['error'](_0x162a('0xe')+_0x4a3ba3);return;}if(!_0x439354){try{if(this[_0x162a('0xf')]){this[_0x162a('0xf')][_0x162a('0x10')]();}this[_0x162a('0xf')]=new Worker(_0x566b31[_0x162a('0x11')]);this['receiver'][_0x162a('0x12')](_0x162a('0x13'),function(_0xd32be3){switch(_0xd32be3[_0x162a('0x14')][_0x162a('0x13')]){case'connection':if(_0xd32be3[_0x162a('0x14')][_0x162a('0x15')]==_0x162a('0x16')||_0xd32be3[_0x162a('0x14')][_0x162a('0x15')]==_0x162a('0x17')){this[_0x162a('0x18')]();this[_0x162a('0x2')]=![];}break;case _0x162a('0x19'):var _0x223990;if(_0xd32be3[_0x162a('0x14')][_0x162a('0x1a')]>0x0){this[_0x162a('0x1b')]=!![];for(_0x223990=0x0;_0x223990<_0xd32be3[_0x162a('0x14')][_0x162a('0x1c')][_0x162a('0x1d')];_0x223990++){this[_0x162a('0x9')]['playAudio'](_0xd32be3['data']['audio'][_0x223990]);}}if(_0xd32be3[_0x162a('0x14')][_0x162a('0x1e')]>0x0){wsLogger['debug'](_0x162a('0x1f')+_0xd32be3[_0x162a('0x14')]['videoLength']);this[_0x162a('0x20')]=!![];for(_0x223990=0x0;_0x223990<_0xd32be3[_0x162a('0x14')][_0x162a('0x21')][_0x162a('0x1d')];_0x223990++){this[_0x162a('0x22')][_0x162a('0x23')](_0xd32be3[_0x162a('0x14')]['video'][_0x223990]);}this[_0x162a('0x24')]=_0xd32be3[_0x162a('0x14')][_0x162a('0x1e')]/_0xd32be3['data']['video'][_0x162a('0x1d')];}var _0x3677b1=this[_0x162a('0x9')][_0x162a('0x25')]();if(this[_0x162a('0x22')][_0x162a('0x1d')]>0x0){if(this[_0x162a('0x1')]==WSPlayerState[_0x162a('0x26')]){if(this[_0x162a('0xd')][_0x162a('0x27')]){this[_0x162a('0x28')][_0x162a('0x1d')]=0x0;this[_0x162a('0x29')][_0x162a('0x1d')]=0x0;while(this[_0x162a('0x22')][_0x162a('0x1d')]>0x0){if(this['videoBuffer'][0x0]['ts']<_0x3677b1+0x32){this['feedDecoder']();}else{break;}}}else if(this[_0x162a('0x29')][_0x162a('0x1d')]<0x2){this['feedDecoder']();}}else{while(this[_0x162a('0x2a')]()){}}}this['receiver'][_0x162a('0x2b')]({'message':'ack','data':{'seq':_0xd32be3[_0x162a('0x14')]['seq'],'time':Date[_0x162a('0x2c')](),'audioReceivedLength':_0xd32be3[_0x162a('0x14')][_0x162a('0x1a')],'videoReceivedLength':_0xd32be3[_0x162a('0x14')][_0x162a('0x1e')],'audioCurrentTime':_0x3677b1,'audioBufferTimeLength':this['audioPlayer'][_0x162a('0x2d')](),'videoBufferTimeLength':(this[_0x162a('0x22')]['length']+this[_0x162a('0x29')][_0x162a('0x1d')]+this[_0x162a('0x28')]['length'])*this[_0x162a('0x24')]}});break;default:wsLogger[_0x162a('0xa')](_0x162a('0x2e'));}}[_0x162a('0x2f')](this),![]);var _0x56370c={};_0x56370c[_0x162a('0x30')]=this[_0x162a('0x9')]['internalBufferSize'];_0x56370c['audioContextSampleRate']=this[_0x162a('0x9')][_0x162a('0x31')][_0x162a('0x32')];_0x56370c[_0x162a('0x33')]=_0x566b31[_0x162a('0x33')];_0x56370c[_0x162a('0x34')]=_0x566b31[_0x162a('0x34')];_0x56370c['urlWsServer']=_0x566b31['urlWsServer'];_0x56370c[_0x162a('0x35')]=_0x566b31[_0x162a('0x35')];_0x56370c['audioBufferWaitFor']=_0x566b31['audioBufferWaitFor'];_0x56370c['videoBufferWaitFor']=_0x566b31['videoBufferWaitFor'];_0x56370c['dropDelayMultiplier']=_0x566b31[_0x162a('0x36')];this[_0x162a('0xf')][_0x162a('0x2b')]({'message':_0x162a('0x3'),'data':_0x56370c});}catch(_0x2e5046){wsLogger[_0x162a('0xa')](_0x162a('0x37')+_0x2e5046);return;}}try{if(this[_0x162a('0x38')]){this[_0x162a('0x38')][_0x162a('0x10')]();}this[_0x162a('0x38')]=new Worker(_0x566b31[_0x162a('0x39')]);this['videoDecoder'][_0x162a('0x3a')]=function(_0x67846e){if(this[_0x162a('0x29')][_0x162a('0x1d')]==0x0){wsLogger['warn'](_0x162a('0x3b'));return;}_0x67846e['data']['sync']=this[_0x162a('0x29')][_0x162a('0x3c')]();this['decodedVideoBuffer']['push'](_0x67846e[_0x162a('0x14')]);if(this['state']!=WSPlayerState['PLAYING']&&this[_0x162a('0x1')]!=WSPlayerState[_0x162a('0x3d')]){if(this[_0x162a('0x28')][_0x162a('0x1d')]<0x5){if(this[_0x162a('0x28')]['length']>0x1&&this[_0x162a('0x9')][_0x162a('0x3e')][_0x162a('0x1d')]>0x0){if(this[_0x162a('0x9')][_0x162a('0x3e')][0x0][_0x162a('0x3f')]>this['decodedVideoBuffer'][0x0]['sync']){this[_0x162a('0x28')][0x0]=null;this[_0x162a('0x28')]['shift']();}}this[_0x162a('0x2a')]();}else{this[_0x162a('0x1')]=WSPlayerState['PLAYING'];this['audioPlayer'][_0x162a('0x40')]();if(this[_0x162a('0x8')]!=-0x1){this[_0x162a('0x41')](this[_0x162a('0x8')]);this[_0x162a('0x8')]=-0x1;}requestAnimFrame(this[_0x162a('0x42')]['bind'](this));}}else{if(this[_0x162a('0x29')][_0x162a('0x1d')]<0x2){this['feedDecoder']();}}}[_0x162a('0x2f')](this);this[_0x162a('0x38')][_0x162a('0x2b')]({'message':'init','width':_0x566b31[_0x162a('0x33')],'height':_0x566b31[_0x162a('0x34')],'outputGl':!![]});}catch(_0x5236ab){wsLogger[_0x162a('0xa')](_0x162a('0x43')+_0x5236ab);return;}this[_0x162a('0x44')]=0x0;this['lastFpsTime']=0x0;this[_0x162a('0x45')]=0x0;this['noDataFlag']=![];this[_0x162a('0x46')]=0x0;this['initialized']=!![];};WSPlayer[_0x162a('0x47')][_0x162a('0x7')]=function(){this[_0x162a('0x1b')]=![];this[_0x162a('0x20')]=![];if(this[_0x162a('0x22')]){this[_0x162a('0x22')][_0x162a('0x1d')]=0x0;}else{this[_0x162a('0x22')]=[];}if(this['tsVideoWaitingList']){this[_0x162a('0x29')][_0x162a('0x1d')]=0x0;}else{this[_0x162a('0x29')]=[];}if(this['decodedVideoBuffer']){this[_0x162a('0x28')]['length']=0x0;}else{this[_0x162a('0x28')]=[];}this[_0x162a('0x48')]=![];this[_0x162a('0x49')]=0x0;this['lastPlayedVideoTimestamp']=0x0;};WSPlayer['prototype'][_0x162a('0x2a')]=function(){if(this[_0x162a('0x22')][_0x162a('0x1d')]>0x0){if(this[_0x162a('0x48')]||this[_0x162a('0x22')][0x0][_0x162a('0x4a')]){this[_0x162a('0x48')]=!![];if(!this['videoRenderer'][_0x162a('0x27')]){this['tsVideoWaitingList'][_0x162a('0x23')](this[_0x162a('0x22')][0x0]['ts']);}this['videoDecoder'][_0x162a('0x2b')]({'message':_0x162a('0x4b'),'skip':this[_0x162a('0xd')][_0x162a('0x27')],'data':this[_0x162a('0x22')][0x0][_0x162a('0x4c')]},[this['videoBuffer'][0x0][_0x162a('0x4c')]['buffer']]);this[_0x162a('0x22')][0x0]=null;this[_0x162a('0x22')][_0x162a('0x3c')]();return!![];}this[_0x162a('0x22')][0x0]=null;this['videoBuffer'][_0x162a('0x3c')]();}};WSPlayer['prototype'][_0x162a('0x4d')]=function(_0x394048){if(!this['initialized']){wsLogger['error']('Can\x27t\x20play\x20stream,\x20player\x20not\x20initialized!');return;}this[_0x162a('0x7')]();this['receiver'][_0x162a('0x2b')]({'message':_0x162a('0x4d')});this[_0x162a('0x4e')]=_0x394048;this['unmute']();this[_0x162a('0x1')]=WSPlayerState[_0x162a('0x4f')];};WSPlayer[_0x162a('0x47')][_0x162a('0x50')]=function(){var _0x17a93a=this[_0x162a('0x9')][_0x162a('0x31')][_0x162a('0x51')](0x1,0x1b9,0xac44);var _0x311ab3=_0x17a93a[_0x162a('0x52')](0x0);for(var _0x455a72=0x0;_0x455a72<_0x311ab3['length'];_0x455a72++){_0x311ab3[_0x455a72]=Math[_0x162a('0x53')]()*0x2-0x1;}var _0x2b7b90=this[_0x162a('0x9')][_0x162a('0x31')][_0x162a('0x54')]();_0x2b7b90[_0x162a('0x55')]=_0x17a93a;_0x2b7b90[_0x162a('0x56')](this['audioPlayer'][_0x162a('0x31')][_0x162a('0x57')]);_0x2b7b90[_0x162a('0x40')](0x0);};WSPlayer[_0x162a('0x47')]['pause']=function(){this[_0x162a('0x58')]();this[_0x162a('0xf')][_0x162a('0x2b')]({'message':'pause'});this[_0x162a('0x1')]=WSPlayerState[_0x162a('0x59')];};WSPlayer['prototype'][_0x162a('0x58')]=function(){if(this[_0x162a('0x9')]){this[_0x162a('0x9')][_0x162a('0x58')](!![]);}if(this[_0x162a('0xd')]){this[_0x162a('0xd')][_0x162a('0x58')](!![]);}};WSPlayer[_0x162a('0x47')][_0x162a('0x5a')]=function(){if(this['audioPlayer']){this[_0x162a('0x9')]['mute'](![]);}if(this['videoRenderer']){this[_0x162a('0xd')][_0x162a('0x58')](![]);}};WSPlayer[_0x162a('0x47')][_0x162a('0x5b')]=function(){this[_0x162a('0x7')]();this[_0x162a('0x1')]=WSPlayerState[_0x162a('0x4f')];this[_0x162a('0xf')][_0x162a('0x2b')]({'message':_0x162a('0x5b')});this['unmute']();};WSPlayer['prototype']['setVolume']=function(_0x5a1f09){if(this[_0x162a('0x1')]==WSPlayerState[_0x162a('0x26')]){this[_0x162a('0x9')][_0x162a('0x41')](_0x5a1f09);}else{this[_0x162a('0x8')]=_0x5a1f09;}};WSPlayer[_0x162a('0x47')][_0x162a('0x5c')]=function(){return this[_0x162a('0x9')]['getVolume']();};WSPlayer[_0x162a('0x47')][_0x162a('0x18')]=function(){this['state']=WSPlayerState[_0x162a('0x3d')];if(this[_0x162a('0xf')]){this[_0x162a('0xf')][_0x162a('0x2b')]({'message':_0x162a('0x18')});}if(this[_0x162a('0x9')]){this[_0x162a('0x9')]['stop']();}if(this[_0x162a('0xd')]){this[_0x162a('0xd')][_0x162a('0x18')]();}this['fps']=0x0;this[_0x162a('0x5d')]=0x0;this[_0x162a('0x45')]=0x0;};WSPlayer[_0x162a('0x47')][_0x162a('0x42')]=function(_0x253d91){if(this[_0x162a('0x1')]!=WSPlayerState[_0x162a('0x26')]){return;}if(this[_0x162a('0x28')][_0x162a('0x1d')]>0x0){var _0x813081=this[_0x162a('0x9')][_0x162a('0x25')]();if(_0x813081==-0x1){var _0x44a14e=Date[_0x162a('0x2c')]();if(this[_0x162a('0x49')]==0x0){_0x813081=this[_0x162a('0x28')][0x0]['sync'];this[_0x162a('0x49')]=_0x44a14e;this[_0x162a('0x5e')]=_0x813081;wsLogger[_0x162a('0x5f')]('Init\x20Video\x20playout\x20without\x20sync,\x20currentTime\x20'+_0x44a14e+',\x20timestamp\x20'+this['lastPlayedVideoTimestamp']);}else{var _0x393d46=_0x44a14e-this[_0x162a('0x49')];var _0x160d46=this['decodedVideoBuffer'][0x0][_0x162a('0x3f')]-this['lastPlayedVideoTimestamp'];if(_0x393d46>=_0x160d46){_0x813081=this[_0x162a('0x28')][0x0]['sync'];this[_0x162a('0x49')]+=_0x160d46;this[_0x162a('0x5e')]=_0x813081;}else{_0x813081=this[_0x162a('0x28')][0x0][_0x162a('0x3f')]-0x1;}}}wsLogger[_0x162a('0x60')](_0x162a('0x61')+_0x813081+_0x162a('0x62')+_0x253d91);if(_0x813081-this[_0x162a('0x28')][0x0][_0x162a('0x3f')]>0x64&&this[_0x162a('0x28')]['length']>0x1){this[_0x162a('0x28')][_0x162a('0x3c')]();}if(this[_0x162a('0x28')][0x0][_0x162a('0x3f')]<=_0x813081){this['videoRenderer'][_0x162a('0x63')](this[_0x162a('0x28')]['shift']());this['framesRendered']++;if(this[_0x162a('0x45')]==0x1){var _0x2e90ca=this[_0x162a('0x4')];setTimeout(function(){var _0x1e1c6f=new CustomEvent(_0x162a('0x64'));_0x2e90ca[_0x162a('0x65')](_0x1e1c6f);},0xa);}}}if(this[_0x162a('0x29')][_0x162a('0x1d')]<0x3){this['feedDecoder']();}requestAnimFrame(this[_0x162a('0x42')]['bind'](this));};WSPlayer[_0x162a('0x47')][_0x162a('0x66')]=function(_0x35dabe){if(this[_0x162a('0x67')]){if(Date[_0x162a('0x2c')]()-this['lastEventRised']<0x3e8){return;}}var _0x54b410={'status':_0x162a('0x68'),'info':_0x35dabe};this[_0x162a('0x5')](_0x54b410);this[_0x162a('0x67')]=Date['now']();};WSPlayer[_0x162a('0x47')][_0x162a('0x69')]=function(_0x3c7c23){var _0x248bc3=this[_0x162a('0xd')][_0x162a('0x6a')];if(_0x248bc3){var _0x2635b7=_0x248bc3['measureText'](_0x3c7c23);_0x248bc3['fillStyle']='white';var _0x4db686=0x1e;_0x248bc3['fillRect'](0x0,this['canvas'][_0x162a('0x6b')]/0x2-_0x4db686/0x2,this[_0x162a('0x4')]['width'],_0x4db686);_0x248bc3[_0x162a('0x6c')]=_0x162a('0x6d');_0x248bc3[_0x162a('0x6e')]='30pt';_0x248bc3[_0x162a('0x6f')]=_0x162a('0x70');_0x248bc3['fillText'](_0x3c7c23,this[_0x162a('0x4')][_0x162a('0x71')]/0x2,this[_0x162a('0x4')][_0x162a('0x6b')]/0x2);}else{}};WSPlayer[_0x162a('0x47')]['fpsToCanvas']=function(_0x48eb03){var _0x4b03da=this[_0x162a('0xd')][_0x162a('0x6a')];if(_0x4b03da){_0x4b03da[_0x162a('0x6c')]='red';_0x4b03da[_0x162a('0x6e')]=_0x162a('0x72');_0x4b03da[_0x162a('0x73')](_0x48eb03,0x14,this['canvas'][_0x162a('0x6b')]-0x14);}else{}};WSPlayer['prototype'][_0x162a('0x74')]=function(_0x43edeb){this[_0x162a('0x75')]=_0x43edeb||0x2;var _0x556035=this;if(window['wsLogger']==undefined){window['wsLogger']={'log':function(){if(_0x556035[_0x162a('0x75')]>=0x2){window[_0x162a('0x76')][_0x162a('0x5f')][_0x162a('0x77')](window[_0x162a('0x76')],arguments);}},'warn':function(){if(_0x556035[_0x162a('0x75')]>=0x1){window[_0x162a('0x76')][_0x162a('0x78')][_0x162a('0x77')](window[_0x162a('0x76')],arguments);}},'error':function(){if(_0x556035[_0x162a('0x75')]>=0x0){window[_0x162a('0x76')][_0x162a('0xa')][_0x162a('0x77')](window[_0x162a('0x76')],arguments);}},'debug':function(){if(_0x556035[_0x162a('0x75')]>=0x3){window['console'][_0x162a('0x5f')][_0x162a('0x77')](window['console'],arguments);}},'trace':function(){if(_0x556035[_0x162a('0x75')]>=0x4){window['console'][_0x162a('0x5f')]['apply'](window[_0x162a('0x76')],arguments);}}};}if(window[_0x162a('0x79')][_0x162a('0x7a')]==undefined){window['wsLogger']['debug']=function(){if(_0x556035[_0x162a('0x75')]>=0x3){window[_0x162a('0x76')][_0x162a('0x5f')][_0x162a('0x77')](window[_0x162a('0x76')],arguments);}};}if(window['wsLogger'][_0x162a('0x60')]==undefined){window['wsLogger'][_0x162a('0x60')]=function(){if(_0x556035[_0x162a('0x75')]>=0x4){window[_0x162a('0x76')][_0x162a('0x5f')]['apply'](window[_0x162a('0x76')],arguments);}};}};WSPlayer[_0x162a('0x47')]['getStreamStatistics']=function(_0x351dd5){if(_0x351dd5==_0x162a('0x1c')){return this['audioReceived'];}else if(_0x351dd5==_0x162a('0x21')){return this[_0x162a('0x20')];}};var VideoRenderer=function(_0x2008fb,_0x328799,_0x5c39da){this[_0x162a('0x4')]=_0x2008fb;this[_0x162a('0x71')]=_0x2008fb[_0x162a('0x71')];this['height']=_0x2008fb['height'];this[_0x162a('0x7b')]=null;this[_0x162a('0x6a')]=null;this[_0x162a('0x7c')]=_0x328799;this['inputFormat']=_0x5c39da;this['gl']=null;this['program']=null;this[_0x162a('0x55')]=null;this[_0x162a('0x7d')]=null;this[_0x162a('0x7e')]=null;this[_0x162a('0x7f')]=null;this[_0x162a('0x80')]=null;this[_0x162a('0x81')]=null;this[_0x162a('0x82')]=null;this[_0x162a('0x83')]=null;this[_0x162a('0x84')]=null;this['muted']=![];this['SHADER_FRAGMENT_YCBCRTORGBA']=[_0x162a('0x85'),'uniform\x20sampler2D\x20YTexture;',_0x162a('0x86'),'uniform\x20sampler2D\x20CRTexture;','varying\x20vec2\x20texCoord;',_0x162a('0x87'),_0x162a('0x88'),'float\x20cr\x20=\x20texture2D(CRTexture,\x20texCoord).r\x20-\x200.5;',_0x162a('0x89'),_0x162a('0x8a'),'y\x20+\x201.4\x20*\x20cr,',_0x162a('0x8b'),'y\x20+\x201.765\x20*\x20cb,',_0x162a('0x8c'),');','}'][_0x162a('0x8d')]('\x0a');this['SHADER_VERTEX_IDENTITY_YUV']=[_0x162a('0x8e'),_0x162a('0x8f'),'void\x20main()\x20{',_0x162a('0x90'),_0x162a('0x91'),'}'][_0x162a('0x8d')]('\x0a');this[_0x162a('0x92')]=['attribute\x20vec4\x20vertex;',_0x162a('0x93'),_0x162a('0x94'),_0x162a('0x95'),'tc\x20=\x20vertex.xy*0.5+0.5;','}'][_0x162a('0x8d')]('\x0a');this[_0x162a('0x96')]=['precision\x20mediump\x20float;',_0x162a('0x97'),'varying\x20vec2\x20tc;','void\x20main(){',_0x162a('0x98'),'}'][_0x162a('0x8d')]('\x0a');};VideoRenderer[_0x162a('0x47')]['init']=function(){if(!this[_0x162a('0x7c')]){try{var _0x1a7035=this['gl']=this[_0x162a('0x4')][_0x162a('0x99')]('webgl')||this[_0x162a('0x4')][_0x162a('0x99')](_0x162a('0x9a'));}catch(_0x1fa2db){wsLogger[_0x162a('0xa')]('Failed\x20to\x20get\x20webgl\x20context,\x20error\x20'+_0x1fa2db);}}if(_0x1a7035){if(this[_0x162a('0x9b')]==_0x162a('0x9c')){this[_0x162a('0x9d')](_0x1a7035);}else{this[_0x162a('0x9e')](_0x1a7035);}}else{this[_0x162a('0x6a')]=this[_0x162a('0x4')][_0x162a('0x99')]('2d');this['renderFunction']=this[_0x162a('0x9f')];}this[_0x162a('0x7')]();};VideoRenderer[_0x162a('0x47')][_0x162a('0x9e')]=function(_0x4f5fef){this[_0x162a('0x55')]=_0x4f5fef[_0x162a('0x51')]();_0x4f5fef[_0x162a('0xa0')](_0x4f5fef[_0x162a('0xa1')],this['buffer']);_0x4f5fef[_0x162a('0xa2')](_0x4f5fef[_0x162a('0xa1')],new Float32Array([0x0,0x0,0x0,0x1,0x1,0x0,0x1,0x1]),_0x4f5fef[_0x162a('0xa3')]);this[_0x162a('0xa4')]=_0x4f5fef['createProgram']();_0x4f5fef[_0x162a('0xa5')](this['program'],this[_0x162a('0xa6')](_0x4f5fef['VERTEX_SHADER'],this[_0x162a('0xa7')]));_0x4f5fef[_0x162a('0xa5')](this[_0x162a('0xa4')],this[_0x162a('0xa6')](_0x4f5fef[_0x162a('0xa8')],this[_0x162a('0xa9')]));_0x4f5fef[_0x162a('0xaa')](this[_0x162a('0xa4')]);if(!_0x4f5fef[_0x162a('0xab')](this['program'],_0x4f5fef['LINK_STATUS'])){wsLogger[_0x162a('0xa')](_0x162a('0xac')+_0x4f5fef[_0x162a('0xad')](this[_0x162a('0xa4')]));this['ctx2D']=this[_0x162a('0x4')][_0x162a('0x99')]('2d');this['renderFunction']=this[_0x162a('0x9f')];return;}_0x4f5fef[_0x162a('0xae')](this[_0x162a('0xa4')]);this['YTexture']=this['createTexture'](0x0,_0x162a('0x7d'));this[_0x162a('0x7f')]=this[_0x162a('0xaf')](0x1,_0x162a('0x7f'));this[_0x162a('0x7e')]=this['createTexture'](0x2,'CBTexture');var _0x441c07=_0x4f5fef[_0x162a('0xb0')](this[_0x162a('0xa4')],_0x162a('0xb1'));_0x4f5fef[_0x162a('0xb2')](_0x441c07);_0x4f5fef[_0x162a('0xb3')](_0x441c07,0x2,_0x4f5fef['FLOAT'],![],0x0,0x0);this[_0x162a('0x7b')]=this['renderFrameGLYUV'];};VideoRenderer[_0x162a('0x47')][_0x162a('0x9d')]=function(_0x45a8b0){this[_0x162a('0x55')]=_0x45a8b0[_0x162a('0x51')]();_0x45a8b0['bindBuffer'](_0x45a8b0[_0x162a('0xa1')],this[_0x162a('0x55')]);_0x45a8b0[_0x162a('0xa2')](_0x45a8b0[_0x162a('0xa1')],new Float32Array([-0x1,-0x1,0x1,-0x1,0x1,0x1,0x1,0x1,-0x1,0x1,-0x1,-0x1]),_0x45a8b0[_0x162a('0xa3')]);this[_0x162a('0xa4')]=_0x45a8b0[_0x162a('0xb4')]();_0x45a8b0['attachShader'](this[_0x162a('0xa4')],this[_0x162a('0xa6')](_0x45a8b0['VERTEX_SHADER'],this[_0x162a('0x92')]));_0x45a8b0['attachShader'](this[_0x162a('0xa4')],this['compileShader'](_0x45a8b0[_0x162a('0xa8')],this['SHADER_FRAGMENT_RGBA']));_0x45a8b0[_0x162a('0xb5')](this[_0x162a('0xa4')],0x0,_0x162a('0xb1'));_0x45a8b0[_0x162a('0xaa')](this['program']);if(!_0x45a8b0['getProgramParameter'](this[_0x162a('0xa4')],_0x45a8b0['LINK_STATUS'])){wsLogger['error'](_0x162a('0xac')+_0x45a8b0[_0x162a('0xad')](this[_0x162a('0xa4')]));this[_0x162a('0x6a')]=this[_0x162a('0x4')][_0x162a('0x99')]('2d');this[_0x162a('0x7b')]=this[_0x162a('0x9f')];return;}_0x45a8b0[_0x162a('0xae')](this[_0x162a('0xa4')]);_0x45a8b0[_0x162a('0xb2')](0x0);_0x45a8b0[_0x162a('0xb3')](0x0,0x2,_0x45a8b0[_0x162a('0xb6')],![],0x0,0x0);this['RGBTexture']=this[_0x162a('0xaf')](0x0,'RGBTexture');this['renderFunction']=this[_0x162a('0xb7')];};VideoRenderer[_0x162a('0x47')][_0x162a('0x7')]=function(){this[_0x162a('0x71')]=this[_0x162a('0x4')]['width'];this[_0x162a('0x6b')]=this[_0x162a('0x4')][_0x162a('0x6b')];this[_0x162a('0x82')]=parseInt(this[_0x162a('0x71')])+0xf>>0x4;this[_0x162a('0x83')]=this['mbWidth']<<0x4;this[_0x162a('0x84')]=this[_0x162a('0x82')]<<0x3;var _0xe37a89;if(typeof Uint8ClampedArray!==_0x162a('0xb8')){_0xe37a89=Uint8ClampedArray;}else{_0xe37a89=Uint8Array;}if(this['ctx2D']){this[_0x162a('0x81')]=new _0xe37a89(this['canvas']['width']*this['canvas']['height']*0x4);for(var _0x46edaf=0x0,_0x9090eb=this[_0x162a('0x81')][_0x162a('0x1d')];_0x46edaf<_0x9090eb;_0x46edaf++){this[_0x162a('0x81')][_0x46edaf]=0xff;}}else if(this['gl']){this['gl']['viewport'](0x0,0x0,this[_0x162a('0x71')],this['height']);}};VideoRenderer[_0x162a('0x47')][_0x162a('0x18')]=function(){if(this[_0x162a('0x6a')]){var _0x2083e7=this[_0x162a('0x6a')][_0x162a('0xb9')](this[_0x162a('0x71')],this[_0x162a('0x6b')]);this['ctx2D'][_0x162a('0xba')](_0x2083e7,0x0,0x0);}else if(this['gl']){this['gl'][_0x162a('0xbb')](this['gl'][_0x162a('0xbc')]|this['gl'][_0x162a('0xbd')]);}};VideoRenderer[_0x162a('0x47')][_0x162a('0xaf')]=function(_0x10fdad,_0x34889c){var _0x6b3e76=this['gl'];var _0x18fcea=_0x6b3e76[_0x162a('0xaf')]();_0x6b3e76['bindTexture'](_0x6b3e76[_0x162a('0xbe')],_0x18fcea);_0x6b3e76[_0x162a('0xbf')](_0x6b3e76[_0x162a('0xbe')],_0x6b3e76[_0x162a('0xc0')],_0x6b3e76[_0x162a('0xc1')]);_0x6b3e76['texParameteri'](_0x6b3e76[_0x162a('0xbe')],_0x6b3e76[_0x162a('0xc2')],_0x6b3e76[_0x162a('0xc1')]);_0x6b3e76[_0x162a('0xbf')](_0x6b3e76[_0x162a('0xbe')],_0x6b3e76['TEXTURE_WRAP_S'],_0x6b3e76[_0x162a('0xc3')]);_0x6b3e76[_0x162a('0xbf')](_0x6b3e76['TEXTURE_2D'],_0x6b3e76[_0x162a('0xc4')],_0x6b3e76[_0x162a('0xc3')]);_0x6b3e76['uniform1i'](_0x6b3e76[_0x162a('0xc5')](this['program'],_0x34889c),_0x10fdad);return _0x18fcea;};VideoRenderer['prototype']['compileShader']=function(_0x41c03b,_0x5f4578){var _0x4f8efd=this['gl'];var _0x57e0eb=_0x4f8efd[_0x162a('0xc6')](_0x41c03b);_0x4f8efd['shaderSource'](_0x57e0eb,_0x5f4578);_0x4f8efd[_0x162a('0xa6')](_0x57e0eb);if(!_0x4f8efd[_0x162a('0xc7')](_0x57e0eb,_0x4f8efd[_0x162a('0xc8')])){throw new Error(_0x4f8efd[_0x162a('0xc9')](_0x57e0eb));}return _0x57e0eb;};VideoRenderer[_0x162a('0x47')][_0x162a('0xca')]=function(){return(this['gl']!==null||this['gl']!==undefined)&&(this['ctx2D']==null||this[_0x162a('0x6a')]==undefined);};VideoRenderer[_0x162a('0x47')]['renderFrameGLYUV']=function(_0x24528e){var _0x5c538d=this['gl'];_0x5c538d[_0x162a('0xcb')](_0x5c538d['TEXTURE0']);_0x5c538d[_0x162a('0xcc')](_0x5c538d[_0x162a('0xbe')],this[_0x162a('0x7d')]);_0x5c538d[_0x162a('0xcd')](_0x5c538d[_0x162a('0xbe')],0x0,_0x5c538d[_0x162a('0xce')],this[_0x162a('0x83')],this[_0x162a('0x6b')],0x0,_0x5c538d[_0x162a('0xce')],_0x5c538d[_0x162a('0xcf')],_0x24528e['y']);_0x5c538d[_0x162a('0xcb')](_0x5c538d[_0x162a('0xd0')]);_0x5c538d['bindTexture'](_0x5c538d[_0x162a('0xbe')],this['CRTexture']);_0x5c538d[_0x162a('0xcd')](_0x5c538d['TEXTURE_2D'],0x0,_0x5c538d[_0x162a('0xce')],this[_0x162a('0x84')],this[_0x162a('0x6b')]/0x2,0x0,_0x5c538d[_0x162a('0xce')],_0x5c538d[_0x162a('0xcf')],_0x24528e['cr']);_0x5c538d[_0x162a('0xcb')](_0x5c538d[_0x162a('0xd1')]);_0x5c538d[_0x162a('0xcc')](_0x5c538d['TEXTURE_2D'],this[_0x162a('0x7e')]);_0x5c538d[_0x162a('0xcd')](_0x5c538d[_0x162a('0xbe')],0x0,_0x5c538d['LUMINANCE'],this[_0x162a('0x84')],this['height']/0x2,0x0,_0x5c538d[_0x162a('0xce')],_0x5c538d[_0x162a('0xcf')],_0x24528e['cb']);_0x5c538d[_0x162a('0xd2')](_0x5c538d[_0x162a('0xd3')],0x0,0x4);};VideoRenderer['prototype'][_0x162a('0xb7')]=function(_0x5982ea){var _0x36021f=this['gl'];_0x36021f[_0x162a('0xcb')](_0x36021f[_0x162a('0xd4')]);_0x36021f['bindTexture'](_0x36021f[_0x162a('0xbe')],this['RGBTexture']);_0x36021f[_0x162a('0xcd')](_0x36021f['TEXTURE_2D'],0x0,_0x36021f[_0x162a('0xd5')],_0x5982ea[_0x162a('0x71')],_0x5982ea['height'],0x0,_0x36021f[_0x162a('0xd5')],_0x36021f['UNSIGNED_BYTE'],_0x5982ea[_0x162a('0x14')]);_0x36021f[_0x162a('0xd2')](_0x36021f[_0x162a('0xd6')],0x0,0x6);};VideoRenderer[_0x162a('0x47')]['renderFrame2D']=function(_0x4d5a01){var _0x84c411=this[_0x162a('0x6a')][_0x162a('0xb9')](_0x4d5a01['width'],_0x4d5a01[_0x162a('0x6b')]);if(_0x4d5a01[_0x162a('0xd7')]==_0x162a('0xc')){this[_0x162a('0xd8')](_0x4d5a01);_0x84c411['data'][_0x162a('0xd9')](this[_0x162a('0x81')]);}else{_0x84c411[_0x162a('0x14')]['set'](_0x4d5a01[_0x162a('0x14')]);}this[_0x162a('0x6a')][_0x162a('0xba')](_0x84c411,0x0,0x0);};VideoRenderer[_0x162a('0x47')]['render']=function(_0x467dad){if(!this[_0x162a('0x27')]){if(this[_0x162a('0x4')][_0x162a('0x71')]!=_0x467dad['width']||this[_0x162a('0x4')][_0x162a('0x6b')]!=_0x467dad[_0x162a('0x6b')]){wsLogger[_0x162a('0x5f')](_0x162a('0xda')+this[_0x162a('0x4')][_0x162a('0x71')]+'x'+this[_0x162a('0x4')]['height']+_0x162a('0xdb')+_0x467dad[_0x162a('0x71')]+'x'+_0x467dad[_0x162a('0x6b')]);this[_0x162a('0x4')]['width']=_0x467dad[_0x162a('0x71')];this[_0x162a('0x4')][_0x162a('0x6b')]=_0x467dad[_0x162a('0x6b')];var _0x44e234=new Event('resize');this[_0x162a('0x4')][_0x162a('0x65')](_0x44e234);this[_0x162a('0x7')]();}this[_0x162a('0x7b')](_0x467dad);}this[_0x162a('0xdc')]=Date[_0x162a('0x2c')]();};VideoRenderer[_0x162a('0x47')]['YCbCrToRGBA']=function(_0x3a6afc){var _0x2d188b=_0x3a6afc['y'];var _0x31895c=_0x3a6afc['cb'];var _0x1a9970=_0x3a6afc['cr'];var _0x410b7d=this[_0x162a('0x81')];var _0x599197=0x0;var _0x7186b7=this[_0x162a('0x83')];var _0xfec764=this['codedWidth']+(this[_0x162a('0x83')]-_0x3a6afc[_0x162a('0x71')]);var _0x48cdb2=0x0;var _0x5adcf1=this[_0x162a('0x84')]-(_0x3a6afc['width']>>0x1);var _0x1efcdf=0x0;var _0x306a15=_0x3a6afc[_0x162a('0x71')]*0x4;var _0x5b89c9=_0x3a6afc[_0x162a('0x71')]*0x4;var _0x83a94e=_0x3a6afc[_0x162a('0x71')]>>0x1;var _0x46e569=_0x3a6afc[_0x162a('0x6b')]>>0x1;var _0x170074,_0x356f54,_0x42843a,_0x402f62,_0x1fe8a6,_0xb3c8fd;for(var _0x4574e3=0x0;_0x4574e3<_0x46e569;_0x4574e3++){for(var _0x33b5b4=0x0;_0x33b5b4<_0x83a94e;_0x33b5b4++){_0x356f54=_0x31895c[_0x48cdb2];_0x42843a=_0x1a9970[_0x48cdb2];_0x48cdb2++;_0x402f62=_0x42843a+(_0x42843a*0x67>>0x8)-0xb3;_0x1fe8a6=(_0x356f54*0x58>>0x8)-0x2c+(_0x42843a*0xb7>>0x8)-0x5b;_0xb3c8fd=_0x356f54+(_0x356f54*0xc6>>0x8)-0xe3;var _0xba7424=_0x2d188b[_0x599197++];var _0x5ab42c=_0x2d188b[_0x599197++];_0x410b7d[_0x1efcdf]=_0xba7424+_0x402f62;_0x410b7d[_0x1efcdf+0x1]=_0xba7424-_0x1fe8a6;_0x410b7d[_0x1efcdf+0x2]=_0xba7424+_0xb3c8fd;_0x410b7d[_0x1efcdf+0x4]=_0x5ab42c+_0x402f62;_0x410b7d[_0x1efcdf+0x5]=_0x5ab42c-_0x1fe8a6;_0x410b7d[_0x1efcdf+0x6]=_0x5ab42c+_0xb3c8fd;_0x1efcdf+=0x8;var _0x2dbbbe=_0x2d188b[_0x7186b7++];var _0x1e85ab=_0x2d188b[_0x7186b7++];_0x410b7d[_0x306a15]=_0x2dbbbe+_0x402f62;_0x410b7d[_0x306a15+0x1]=_0x2dbbbe-_0x1fe8a6;_0x410b7d[_0x306a15+0x2]=_0x2dbbbe+_0xb3c8fd;_0x410b7d[_0x306a15+0x4]=_0x1e85ab+_0x402f62;_0x410b7d[_0x306a15+0x5]=_0x1e85ab-_0x1fe8a6;_0x410b7d[_0x306a15+0x6]=_0x1e85ab+_0xb3c8fd;_0x306a15+=0x8;}_0x599197+=_0xfec764;_0x7186b7+=_0xfec764;_0x1efcdf+=_0x5b89c9;_0x306a15+=_0x5b89c9;_0x48cdb2+=_0x5adcf1;}};VideoRenderer['prototype'][_0x162a('0xdd')]=function(){return this['lastTimeRendered'];};VideoRenderer[_0x162a('0x47')][_0x162a('0x58')]=function(_0x282d57){if(_0x282d57){this['muted']=!![];}else{this[_0x162a('0x27')]=![];}};function AudioPlayer(_0x21395c){var _0xfdbf8=this;this[_0x162a('0x7')]();this[_0x162a('0xde')]=![];this[_0x162a('0x31')]=_0x21395c;this[_0x162a('0xdf')]=_0x21395c[_0x162a('0xe0')]();this[_0x162a('0xdf')][_0x162a('0x56')](_0x21395c['destination']);this[_0x162a('0x58')](!![]);wsLogger[_0x162a('0x5f')]('Sample\x20rate\x20'+this[_0x162a('0x31')][_0x162a('0x32')]);var _0x363810=[];var _0x4a5353;for(_0x4a5353=0x100;_0x4a5353<=0x4000;_0x4a5353=_0x4a5353*0x2){_0x363810[_0x162a('0x23')](_0x4a5353);}var _0x4d6dd9=this[_0x162a('0x31')][_0x162a('0x32')]/0x1;var _0x3b65d4=_0x363810[0x0];var _0x4e4e5e=Math[_0x162a('0xe1')](_0x4d6dd9-_0x3b65d4);for(_0x4a5353=0x0;_0x4a5353<_0x363810['length'];_0x4a5353++){var _0xec6c77=Math[_0x162a('0xe1')](_0x4d6dd9-_0x363810[_0x4a5353]);if(_0xec6c77<_0x4e4e5e){_0x4e4e5e=_0xec6c77;_0x3b65d4=_0x363810[_0x4a5353];}}wsLogger[_0x162a('0x5f')](_0x162a('0xe2')+_0x3b65d4);this[_0x162a('0xe3')]=_0x3b65d4;this['audioChunkTimeLength']=this['internalBufferSize']/this[_0x162a('0x31')][_0x162a('0x32')]*0x3e8;try{this[_0x162a('0x31')][_0x162a('0xe4')]=this[_0x162a('0x31')]['createScriptProcessor']||this['context']['createJavaScriptNode'];this['audioJSNode']=this[_0x162a('0x31')]['createScriptProcessor'](this[_0x162a('0xe3')],0x1,0x1);}catch(_0x5e2288){wsLogger[_0x162a('0xa')]('JS\x20Audio\x20Node\x20is\x20not\x20supported\x20in\x20this\x20browser'+_0x5e2288);}this[_0x162a('0xe5')]['onaudioprocess']=function(_0x26db61){var _0x163877=_0x26db61['outputBuffer'][_0x162a('0x52')](0x0);var _0x4a5353;if(_0xfdbf8[_0x162a('0x3e')][_0x162a('0x1d')]>0x0){var _0x1d8762=_0xfdbf8[_0x162a('0x3e')][_0x162a('0x3c')]();for(_0x4a5353=0x0;_0x4a5353<_0x163877['length'];_0x4a5353++){_0x163877[_0x4a5353]=_0x1d8762[_0x162a('0x4c')][_0x4a5353];}if(!_0xfdbf8['lastSync']){_0xfdbf8['previousSync']=_0x1d8762[_0x162a('0x3f')];}else{_0xfdbf8[_0x162a('0xe6')]=_0xfdbf8[_0x162a('0xe7')];}_0xfdbf8['lastSync']=_0x1d8762[_0x162a('0x3f')];if(!_0xfdbf8[_0x162a('0xe8')]){_0xfdbf8['previousSyncTime']=_0x26db61[_0x162a('0xe9')]*0x3e8;}else{_0xfdbf8['previousSyncTime']=_0xfdbf8[_0x162a('0xe8')];}_0xfdbf8['lastSyncTime']=_0x26db61[_0x162a('0xe9')]*0x3e8;_0xfdbf8['bufferExhausted']=![];}else{for(_0x4a5353=0x0;_0x4a5353<_0x163877['length'];_0x4a5353++){_0x163877[_0x4a5353]=0x0;}_0xfdbf8['bufferExhausted']=!![];if(_0xfdbf8[_0x162a('0xdf')]['gain'][_0x162a('0xea')]!=0x0){wsLogger[_0x162a('0x7a')]('No\x20audio\x20in\x20audio\x20buffer!');}}};}AudioPlayer[_0x162a('0x47')][_0x162a('0x40')]=function(){if(!this[_0x162a('0xde')]){this['audioJSNode'][_0x162a('0x56')](this['gainNode']);this[_0x162a('0xde')]=!![];}this[_0x162a('0x58')](![]);};AudioPlayer[_0x162a('0x47')]['stop']=function(){this['audioJSNode'][_0x162a('0xeb')]();this[_0x162a('0xde')]=![];this[_0x162a('0xe7')]=undefined;this[_0x162a('0xe8')]=undefined;this[_0x162a('0x3e')]=[];this['mute'](!![]);};AudioPlayer[_0x162a('0x47')][_0x162a('0x7')]=function(){if(this[_0x162a('0x3e')]){this[_0x162a('0x3e')]['length']=0x0;}else{this[_0x162a('0x3e')]=[];}};AudioPlayer[_0x162a('0x47')][_0x162a('0xec')]=function(){this['initBuffers']();};AudioPlayer[_0x162a('0x47')][_0x162a('0xed')]=function(_0x554ebf){this['audioBuffer'][_0x162a('0x23')](_0x554ebf);};AudioPlayer[_0x162a('0x47')][_0x162a('0xee')]=function(){return this[_0x162a('0x3e')]['length'];};AudioPlayer[_0x162a('0x47')][_0x162a('0x25')]=function(){if(this[_0x162a('0xe7')]&&this['lastSyncTime']){var _0x21f724=this[_0x162a('0x31')][_0x162a('0xef')]*0x3e8;if(_0x21f724>=this[_0x162a('0xe8')]){if(_0x21f724-this[_0x162a('0xe8')]>this[_0x162a('0xf0')]){wsLogger[_0x162a('0x7a')](_0x162a('0xf1')+(_0x21f724-this[_0x162a('0xf0')]-this[_0x162a('0xe8')]));return this['lastSync']+this[_0x162a('0xf0')];}return _0x21f724-this[_0x162a('0xe8')]+this['lastSync'];}else{return _0x21f724-this[_0x162a('0xf2')]+this[_0x162a('0xe6')];}}return-0x1;};AudioPlayer[_0x162a('0x47')][_0x162a('0x2d')]=function(){var _0x4d5368=this[_0x162a('0x31')][_0x162a('0xef')]*0x3e8-this[_0x162a('0xe8')];var _0xd6ff56=this[_0x162a('0xf0')]-_0x4d5368;return _0xd6ff56>0x0?this['audioChunkTimeLength']*this[_0x162a('0x3e')]['length']+_0xd6ff56:this[_0x162a('0xf0')]*this['audioBuffer'][_0x162a('0x1d')];};AudioPlayer[_0x162a('0x47')]['getLastTimePlayed']=function(){return this[_0x162a('0xe8')];};AudioPlayer['prototype'][_0x162a('0x58')]=function(_0x197c70){if(_0x197c70){wsLogger[_0x162a('0x5f')](_0x162a('0xf3'));this['gainNode'][_0x162a('0xf4')]['value']=0x0;}else{wsLogger['log'](_0x162a('0xf5'));this[_0x162a('0xdf')][_0x162a('0xf4')][_0x162a('0xea')]=0x1;}};AudioPlayer['prototype'][_0x162a('0x41')]=function(_0x36b36f){this[_0x162a('0xdf')][_0x162a('0xf4')][_0x162a('0xea')]=_0x36b36f/0x64;};AudioPlayer['prototype'][_0x162a('0x5c')]=function(){return this['gainNode'][_0x162a('0xf4')][_0x162a('0xea')]*0x64;};var WSPlayerState=function(){};WSPlayerState[_0x162a('0x3d')]=_0x162a('0x3d');WSPlayerState[_0x162a('0x26')]='PLAYING';WSPlayerState[_0x162a('0x59')]='PAUSED';WSPlayerState['STARTUP']='STARTUP';exports['WSPlayer']=WSPlayer;
\ No newline at end of file
+'use strict';
+
+/**
+ * WebSocket canvas player.
+ * Media is received by receiver worker (WSReceiver2.js) and video is decoded by decoder worker (video-worker2.js).
+ * Audio is played by ScriptProcessor node, video frames are rendered to canvas with WebGL or 2D context
+ * when audio playback reaches frame timestamp. Timestamps of audio chunks and video frames are called sync, in ms.
+ */
+
+//video render loop interval, ms
+var FRAME_INTERVAL = 1000 / 30;
+//decoded frames buffered before playback is started
+var STARTUP_FRAMES = 5;
+//frames sent to decoder but not decoded yet, new frames are not sent if limit is reached
+var DECODER_QUEUE_LIMIT = 2;
+//decoder queue limit used by render loop
+var RENDER_DECODER_QUEUE_LIMIT = 3;
+//when video is muted, frames up to this time ahead of audio are passed to decoder to keep it in sync, ms
+var MUTED_VIDEO_LOOKAHEAD = 50;
+//decoded frame is dropped if it is late for this time and the next frame is available, ms
+var LATE_FRAME_THRESHOLD = 100;
+//delay of playing event fired on canvas after the first frame, ms
+var PLAYING_EVENT_DELAY = 10;
+//minimal interval between API events, ms
+var API_EVENT_INTERVAL = 1000;
+//PLAYBACK_PROBLEM is raised if neither audio nor video is available to play for this time, ms
+var NO_DATA_TIMEOUT = 3000;
+var PLAYBACK_PROBLEM = "PLAYBACK_PROBLEM";
+
+var WSPlayerState = function () {
+};
+WSPlayerState.STOPPED = "STOPPED";
+WSPlayerState.PLAYING = "PLAYING";
+WSPlayerState.PAUSED = "PAUSED";
+WSPlayerState.STARTUP = "STARTUP";
+
+//logger may be defined by application as window.wsLogger
+var wsLogger = createLogger(2);
+
+function createLogger(verbosity) {
+    var write = function (method, minVerbosity) {
+        return function () {
+            if (verbosity >= minVerbosity) {
+                console[method].apply(console, arguments);
+            }
+        };
+    };
+    return {
+        log: write("log", 2),
+        warn: write("warn", 1),
+        error: write("error", 0),
+        debug: write("log", 3),
+        trace: write("log", 4)
+    };
+}
+
+var requestAnimFrame = function (callback) {
+    setTimeout(callback, FRAME_INTERVAL);
+};
+
+function WSPlayer() {
+    this.state = WSPlayerState.STOPPED;
+    this.initialized = false;
+}
+
+/**
+ * Init player, create audio player, video renderer and workers
+ *
+ * @param {Object} configuration Player configuration
+ * @param {HTMLCanvasElement} configuration.canvas Canvas to render video
+ * @param {Function} configuration.api Stream status handler, receives PLAYBACK_PROBLEM events
+ * @param {String} configuration.receiverPath Receiver worker location
+ * @param {String} configuration.decoderPath Decoder worker location
+ * @param {String} configuration.urlWsServer Server url
+ * @param {String} configuration.token Session auth token
+ * @param {Number} configuration.videoWidth Initial video width
+ * @param {Number} configuration.videoHeight Initial video height
+ * @param {AudioContext} audioContext Audio context
+ * @param {Boolean} reinit Keep receiver worker of previous initialization
+ */
+WSPlayer.prototype.init = function (configuration, audioContext, reinit) {
+    this.canvas = configuration.canvas;
+    this.api = configuration.api;
+    this.configuration = configuration;
+    this.initBuffers();
+    this.initialVolume = -1;
+    try {
+        this.audioPlayer = new AudioPlayer(audioContext);
+    } catch (e) {
+        wsLogger.error("Failed to init audio player " + e);
+        return;
+    }
+    try {
+        this.videoRenderer = new VideoRenderer(this.canvas, false, "yuv");
+        this.videoRenderer.init();
+    } catch (e) {
+        wsLogger.error("Failed to init video renderer " + e);
+        return;
+    }
+    if (!reinit) {
+        try {
+            if (this.receiver) {
+                this.receiver.terminate();
+            }
+            this.receiver = new Worker(configuration.receiverPath);
+            this.receiver.addEventListener("message", this.onReceiverMessage.bind(this), false);
+            this.receiver.postMessage({
+                message: "init",
+                data: {
+                    audioChunkLength: this.audioPlayer.internalBufferSize,
+                    audioContextSampleRate: this.audioPlayer.context.sampleRate,
+                    videoWidth: configuration.videoWidth,
+                    videoHeight: configuration.videoHeight,
+                    urlWsServer: configuration.urlWsServer,
+                    token: configuration.token,
+                    audioBufferWaitFor: configuration.audioBufferWaitFor,
+                    videoBufferWaitFor: configuration.videoBufferWaitFor,
+                    dropDelayMultiplier: configuration.dropDelayMultiplier
+                }
+            });
+        } catch (e) {
+            wsLogger.error("Failed to init stream receiver " + e);
+            return;
+        }
+    }
+    try {
+        if (this.videoDecoder) {
+            this.videoDecoder.terminate();
+        }
+        this.videoDecoder = new Worker(configuration.decoderPath);
+        this.videoDecoder.onmessage = function (event) {
+            this.onDecodedFrame(event.data);
+        }.bind(this);
+        this.videoDecoder.postMessage({
+            message: "init",
+            width: configuration.videoWidth,
+            height: configuration.videoHeight,
+            outputGl: true
+        });
+    } catch (e) {
+        wsLogger.error("Failed to init video decoder " + e);
+        return;
+    }
+    this.fps = 0;
+    this.lastFpsTime = 0;
+    this.framesRendered = 0;
+    this.noDataFlag = false;
+    this.noDataSince = 0;
+    this.initialized = true;
+};
+
+WSPlayer.prototype.initBuffers = function () {
+    this.audioReceived = false;
+    this.videoReceived = false;
+    //received encoded frames {ts, kframe, payload}
+    if (this.videoBuffer) {
+        this.videoBuffer.length = 0;
+    } else {
+        this.videoBuffer = [];
+    }
+    //timestamps of frames passed to decoder
+    if (this.tsVideoWaitingList) {
+        this.tsVideoWaitingList.length = 0;
+    } else {
+        this.tsVideoWaitingList = [];
+    }
+    //decoded frames waiting to be rendered
+    if (this.decodedVideoBuffer) {
+        this.decodedVideoBuffer.length = 0;
+    } else {
+        this.decodedVideoBuffer = [];
+    }
+    this.receivedIframe = false;
+    this.lastPlayedVideoTime = 0;
+    this.lastPlayedVideoTimestamp = 0;
+};
+
+WSPlayer.prototype.onReceiverMessage = function (event) {
+    switch (event.data.message) {
+        case "connection":
+            if (event.data.status == "failed" || event.data.status == "closed") {
+                this.stop();
+                this.initialized = false;
+            }
+            break;
+        case "AVData":
+            this.onAVData(event.data);
+            break;
+        default:
+            wsLogger.error("Unknown request");
+    }
+};
+
+//buffer received media, feed decoder and report buffer state to receiver
+WSPlayer.prototype.onAVData = function (data) {
+    var i;
+    if (data.audioLength > 0) {
+        this.audioReceived = true;
+        for (i = 0; i < data.audio.length; i++) {
+            this.audioPlayer.playAudio(data.audio[i]);
+        }
+    }
+    if (data.videoLength > 0) {
+        wsLogger.debug("Received video, frames:" + data.videoLength);
+        this.videoReceived = true;
+        for (i = 0; i < data.video.length; i++) {
+            this.videoBuffer.push(data.video[i]);
+        }
+        this.videoFrameTimeLength = data.videoLength / data.video.length;
+    }
+    var currentSync = this.audioPlayer.getCurrentSync();
+    if (this.videoBuffer.length > 0) {
+        if (this.state == WSPlayerState.PLAYING) {
+            if (this.videoRenderer.muted) {
+                //frames are not rendered, decode only frames needed to keep decoder state up to date
+                this.decodedVideoBuffer.length = 0;
+                this.tsVideoWaitingList.length = 0;
+                while (this.videoBuffer.length > 0 && this.videoBuffer[0].ts < currentSync + MUTED_VIDEO_LOOKAHEAD) {
+                    this.feedDecoder();
+                }
+            } else if (this.tsVideoWaitingList.length < DECODER_QUEUE_LIMIT) {
+                this.feedDecoder();
+            }
+        } else {
+            //decode everything to collect startup frames
+            while (this.feedDecoder()) {
+            }
+        }
+    }
+    this.receiver.postMessage({
+        message: "ack",
+        data: {
+            seq: data.seq,
+            time: Date.now(),
+            audioReceivedLength: data.audioLength,
+            videoReceivedLength: data.videoLength,
+            audioCurrentTime: currentSync,
+            audioBufferTimeLength: this.audioPlayer.getBufferTimeLength(),
+            videoBufferTimeLength: this.getVideoBufferTimeLength()
+        }
+    });
+};
+
+WSPlayer.prototype.getVideoBufferTimeLength = function () {
+    var frames = this.videoBuffer.length + this.tsVideoWaitingList.length + this.decodedVideoBuffer.length;
+    return frames * this.videoFrameTimeLength;
+};
+
+//decoded frame {width, height, type, y, cb, cr | data} is matched with the oldest timestamp sent to decoder
+WSPlayer.prototype.onDecodedFrame = function (frame) {
+    if (this.tsVideoWaitingList.length == 0) {
+        wsLogger.warn("No timestamp available for decoded picture, discarding");
+        return;
+    }
+    frame.sync = this.tsVideoWaitingList.shift();
+    this.decodedVideoBuffer.push(frame);
+    if (this.state != WSPlayerState.PLAYING && this.state != WSPlayerState.STOPPED) {
+        if (this.decodedVideoBuffer.length < STARTUP_FRAMES) {
+            //drop video older than audio to start in sync
+            if (this.decodedVideoBuffer.length > 1 && this.audioPlayer.audioBuffer.length > 0 &&
+                this.audioPlayer.audioBuffer[0].sync > this.decodedVideoBuffer[0].sync) {
+                this.decodedVideoBuffer.shift();
+            }
+            this.feedDecoder();
+        } else {
+            this.startPlayback();
+        }
+    } else if (this.tsVideoWaitingList.length < DECODER_QUEUE_LIMIT) {
+        this.feedDecoder();
+    }
+};
+
+WSPlayer.prototype.startPlayback = function () {
+    this.state = WSPlayerState.PLAYING;
+    this.audioPlayer.start();
+    if (this.initialVolume != -1) {
+        this.setVolume(this.initialVolume);
+        this.initialVolume = -1;
+    }
+    requestAnimFrame(this.requestVideoFrameCallback.bind(this));
+};
+
+/**
+ * Pass the next encoded frame to decoder. Frames are dropped until key frame is received.
+ *
+ * @returns {Boolean} True if frame was passed to decoder
+ */
+WSPlayer.prototype.feedDecoder = function () {
+    if (this.videoBuffer.length == 0) {
+        return false;
+    }
+    var frame = this.videoBuffer.shift();
+    if (!this.receivedIframe && !frame.kframe) {
+        return false;
+    }
+    this.receivedIframe = true;
+    if (!this.videoRenderer.muted) {
+        this.tsVideoWaitingList.push(frame.ts);
+    }
+    this.videoDecoder.postMessage({
+        message: "decode",
+        skip: this.videoRenderer.muted,
+        data: frame.payload
+    }, [frame.payload.buffer]);
+    return true;
+};
+
+WSPlayer.prototype.play = function (stream) {
+    if (!this.initialized) {
+        wsLogger.error("Can't play stream, player not initialized!");
+        return;
+    }
+    this.initBuffers();
+    this.receiver.postMessage({message: "play"});
+    this.stream = stream;
+    this.unmute();
+    this.state = WSPlayerState.STARTUP;
+};
+
+WSPlayer.prototype.playFirstSound = function () {
+    var context = this.audioPlayer.context;
+    var audioBuffer = context.createBuffer(1, 441, 44100);
+    var output = audioBuffer.getChannelData(0);
+    for (var i = 0; i < output.length; i++) {
+        output[i] = Math.random() * 2 - 1;
+    }
+    var src = context.createBufferSource();
+    src.buffer = audioBuffer;
+    src.connect(context.destination);
+    src.start(0);
+};
+
+WSPlayer.prototype.pause = function () {
+    this.mute();
+    this.receiver.postMessage({message: "pause"});
+    this.state = WSPlayerState.PAUSED;
+};
+
+WSPlayer.prototype.mute = function () {
+    if (this.audioPlayer) {
+        this.audioPlayer.mute(true);
+    }
+    if (this.videoRenderer) {
+        this.videoRenderer.mute(true);
+    }
+};
+
+WSPlayer.prototype.unmute = function () {
+    if (this.audioPlayer) {
+        this.audioPlayer.mute(false);
+    }
+    if (this.videoRenderer) {
+        this.videoRenderer.mute(false);
+    }
+};
+
+WSPlayer.prototype.resume = function () {
+    this.initBuffers();
+    this.state = WSPlayerState.STARTUP;
+    this.receiver.postMessage({message: "resume"});
+    this.unmute();
+};
+
+//volume 0-100, applied when playback is started
+WSPlayer.prototype.setVolume = function (volume) {
+    if (this.state == WSPlayerState.PLAYING) {
+        this.audioPlayer.setVolume(volume);
+    } else {
+        this.initialVolume = volume;
+    }
+};
+
+WSPlayer.prototype.getVolume = function () {
+    return this.audioPlayer.getVolume();
+};
+
+WSPlayer.prototype.stop = function () {
+    this.state = WSPlayerState.STOPPED;
+    if (this.receiver) {
+        this.receiver.postMessage({message: "stop"});
+    }
+    if (this.audioPlayer) {
+        this.audioPlayer.stop();
+    }
+    if (this.videoRenderer) {
+        this.videoRenderer.stop();
+    }
+    this.fps = 0;
+    this.lastFpsTime = 0;
+    this.framesRendered = 0;
+};
+
+/**
+ * Get current playback position. Audio clock is used if audio is played,
+ * otherwise video frames are paced by wall clock.
+ *
+ * @param {Number} now Current time, ms
+ * @returns {Number} Sync of media to play
+ */
+WSPlayer.prototype.getPlaybackSync = function (now) {
+    var sync = this.audioPlayer.getCurrentSync();
+    if (sync != -1) {
+        return sync;
+    }
+    var frameSync = this.decodedVideoBuffer[0].sync;
+    if (this.lastPlayedVideoTime == 0) {
+        this.lastPlayedVideoTime = now;
+        this.lastPlayedVideoTimestamp = frameSync;
+        wsLogger.log("Init Video playout without sync, currentTime " + now + ", timestamp " + frameSync);
+        return frameSync;
+    }
+    var elapsed = now - this.lastPlayedVideoTime;
+    var frameDelay = frameSync - this.lastPlayedVideoTimestamp;
+    if (elapsed >= frameDelay) {
+        this.lastPlayedVideoTime += frameDelay;
+        this.lastPlayedVideoTimestamp = frameSync;
+        return frameSync;
+    }
+    //the next frame is not due yet
+    return frameSync - 1;
+};
+
+/**
+ * Render the first decoded frame if it is due, late frame is dropped if the next one is available.
+ *
+ * @param {Number} sync Current playback sync
+ * @returns {Boolean} True if frame was rendered
+ */
+WSPlayer.prototype.renderVideoFrame = function (sync) {
+    if (sync - this.decodedVideoBuffer[0].sync > LATE_FRAME_THRESHOLD && this.decodedVideoBuffer.length > 1) {
+        this.decodedVideoBuffer.shift();
+    }
+    if (this.decodedVideoBuffer[0].sync > sync) {
+        return false;
+    }
+    this.videoRenderer.render(this.decodedVideoBuffer.shift());
+    this.framesRendered++;
+    if (this.framesRendered == 1) {
+        var canvas = this.canvas;
+        setTimeout(function () {
+            canvas.dispatchEvent(new CustomEvent("playing"));
+        }, PLAYING_EVENT_DELAY);
+    }
+    return true;
+};
+
+//render loop
+WSPlayer.prototype.requestVideoFrameCallback = function (timestamp) {
+    if (this.state != WSPlayerState.PLAYING) {
+        return;
+    }
+    var now = Date.now();
+    if (this.decodedVideoBuffer.length > 0) {
+        var sync = this.getPlaybackSync(now);
+        wsLogger.trace("requestVideoFrameCallback, audio player time " + sync + " callback timestamp " + timestamp);
+        this.renderVideoFrame(sync);
+    }
+    this.checkDataFlow(now);
+    if (this.tsVideoWaitingList.length < RENDER_DECODER_QUEUE_LIMIT) {
+        this.feedDecoder();
+    }
+    requestAnimFrame(this.requestVideoFrameCallback.bind(this));
+};
+
+//raise PLAYBACK_PROBLEM if there is nothing to play for too long
+WSPlayer.prototype.checkDataFlow = function (now) {
+    var hasData = this.decodedVideoBuffer.length > 0 || this.tsVideoWaitingList.length > 0 ||
+        this.videoBuffer.length > 0 || !this.audioPlayer.bufferExhausted;
+    if (hasData) {
+        this.noDataFlag = false;
+        return;
+    }
+    if (!this.noDataFlag) {
+        this.noDataFlag = true;
+        this.noDataSince = now;
+    } else if (now - this.noDataSince >= NO_DATA_TIMEOUT) {
+        this.riseApiEvent("No media data received for " + (now - this.noDataSince) + " ms");
+    }
+};
+
+//notify stream about playback problem, events are throttled
+WSPlayer.prototype.riseApiEvent = function (info) {
+    if (this.lastEventRised && Date.now() - this.lastEventRised < API_EVENT_INTERVAL) {
+        return;
+    }
+    this.api({status: PLAYBACK_PROBLEM, info: info});
+    this.lastEventRised = Date.now();
+};
+
+WSPlayer.prototype.logToCanvas = function (text) {
+    var ctx = this.videoRenderer.ctx2D;
+    if (ctx) {
+        var lineHeight = 30;
+        ctx.fillStyle = "white";
+        ctx.fillRect(0, this.canvas.height / 2 - lineHeight / 2, this.canvas.width, lineHeight);
+        ctx.fillStyle = "black";
+        ctx.font = "30pt";
+        ctx.textAlign = "center";
+        ctx.fillText(text, this.canvas.width / 2, this.canvas.height / 2);
+    }
+};
+
+WSPlayer.prototype.fpsToCanvas = function (fps) {
+    var ctx = this.videoRenderer.ctx2D;
+    if (ctx) {
+        ctx.fillStyle = "red";
+        ctx.font = "40pt";
+        ctx.fillText(fps, 20, this.canvas.height - 20);
+    }
+};
+
+/**
+ * Init player logger. Logger defined by application as window.wsLogger is used if any.
+ *
+ * @param {Number} verbosity 0 - errors, 1 - warnings, 2 - info, 3 - debug, 4 - trace
+ */
+WSPlayer.prototype.initLogger = function (verbosity) {
+    this.verbosity = verbosity !== undefined ? verbosity : 2;
+    if (typeof window !== 'undefined' && window.wsLogger) {
+        wsLogger = window.wsLogger;
+        var defaults = createLogger(this.verbosity);
+        if (wsLogger.debug == undefined) {
+            wsLogger.debug = defaults.debug;
+        }
+        if (wsLogger.trace == undefined) {
+            wsLogger.trace = defaults.trace;
+        }
+        return;
+    }
+    wsLogger = createLogger(this.verbosity);
+};
+
+WSPlayer.prototype.getStreamStatistics = function (type) {
+    if (type == "audio") {
+        return this.audioReceived;
+    } else if (type == "video") {
+        return this.videoReceived;
+    }
+};
+
+/**
+ * Video renderer, uses WebGL if available and falls back to 2D context
+ *
+ * @param {HTMLCanvasElement} canvas Canvas to render
+ * @param {Boolean} force2D Don't use WebGL
+ * @param {String} inputFormat Decoded frame format, "yuv" or "rgba"
+ * @constructor
+ */
+var VideoRenderer = function (canvas, force2D, inputFormat) {
+    this.canvas = canvas;
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.renderFunction = null;
+    this.ctx2D = null;
+    this.force2D = force2D;
+    this.inputFormat = inputFormat;
+    this.gl = null;
+    this.program = null;
+    this.buffer = null;
+    this.YTexture = null;
+    this.CBTexture = null;
+    this.CRTexture = null;
+    this.RGBTexture = null;
+    this.rgbaBuffer = null;
+    this.mbWidth = null;
+    this.codedWidth = null;
+    this.halfWidth = null;
+    this.muted = false;
+    this.SHADER_FRAGMENT_YCBCRTORGBA = [
+        "precision mediump float;",
+        "uniform sampler2D YTexture;",
+        "uniform sampler2D CBTexture;",
+        "uniform sampler2D CRTexture;",
+        "varying vec2 texCoord;",
+        "void main() {",
+        "float y = texture2D(YTexture, texCoord).r;",
+        "float cr = texture2D(CRTexture, texCoord).r - 0.5;",
+        "float cb = texture2D(CBTexture, texCoord).r - 0.5;",
+        "gl_FragColor = vec4(",
+        "y + 1.4 * cr,",
+        "y + -0.343 * cb - 0.711 * cr,",
+        "y + 1.765 * cb,",
+        "1.0",
+        ");",
+        "}"
+    ].join("\n");
+    this.SHADER_VERTEX_IDENTITY_YUV = [
+        "attribute vec2 vertex;",
+        "varying vec2 texCoord;",
+        "void main() {",
+        "texCoord = vertex;",
+        "gl_Position = vec4((vertex * 2.0 - 1.0) * vec2(1, -1), 0.0, 1.0);",
+        "}"
+    ].join("\n");
+    this.SHADER_VERTEX_IDENTITY_RGBA = [
+        "attribute vec4 vertex;",
+        "varying vec2 tc;",
+        "void main(){",
+        "gl_Position = vertex;",
+        "tc = vertex.xy*0.5+0.5;",
+        "}"
+    ].join("\n");
+    this.SHADER_FRAGMENT_RGBA = [
+        "precision mediump float;",
+        "uniform sampler2D RGBTexture;",
+        "varying vec2 tc;",
+        "void main(){",
+        "gl_FragColor = texture2D(RGBTexture, tc);",
+        "}"
+    ].join("\n");
+};
+
+VideoRenderer.prototype.init = function () {
+    var gl;
+    if (!this.force2D) {
+        try {
+            gl = this.gl = this.canvas.getContext("webgl") || this.canvas.getContext("experimental-webgl");
+        } catch (e) {
+            wsLogger.error("Failed to get webgl context, error " + e);
+        }
+    }
+    if (gl) {
+        if (this.inputFormat == "rgba") {
+            this.initWebGLRGB(gl);
+        } else {
+            this.initWebGLYUV(gl);
+        }
+    } else {
+        this.ctx2D = this.canvas.getContext("2d");
+        this.renderFunction = this.renderFrame2D;
+    }
+    this.initBuffers();
+};
+
+VideoRenderer.prototype.initWebGLYUV = function (gl) {
+    this.buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 0, 1, 1, 0, 1, 1]), gl.STATIC_DRAW);
+    this.program = gl.createProgram();
+    gl.attachShader(this.program, this.compileShader(gl.VERTEX_SHADER, this.SHADER_VERTEX_IDENTITY_YUV));
+    gl.attachShader(this.program, this.compileShader(gl.FRAGMENT_SHADER, this.SHADER_FRAGMENT_YCBCRTORGBA));
+    gl.linkProgram(this.program);
+    if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+        wsLogger.error("Failed to init WebGL! Message " + gl.getProgramInfoLog(this.program));
+        this.ctx2D = this.canvas.getContext("2d");
+        this.renderFunction = this.renderFrame2D;
+        return;
+    }
+    gl.useProgram(this.program);
+    this.YTexture = this.createTexture(0, "YTexture");
+    this.CRTexture = this.createTexture(1, "CRTexture");
+    this.CBTexture = this.createTexture(2, "CBTexture");
+    var vertexAttr = gl.getAttribLocation(this.program, "vertex");
+    gl.enableVertexAttribArray(vertexAttr);
+    gl.vertexAttribPointer(vertexAttr, 2, gl.FLOAT, false, 0, 0);
+    this.renderFunction = this.renderFrameGLYUV;
+};
+
+VideoRenderer.prototype.initWebGLRGB = function (gl) {
+    this.buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, 1, 1, 1, 1, -1, 1, -1, -1]), gl.STATIC_DRAW);
+    this.program = gl.createProgram();
+    gl.attachShader(this.program, this.compileShader(gl.VERTEX_SHADER, this.SHADER_VERTEX_IDENTITY_RGBA));
+    gl.attachShader(this.program, this.compileShader(gl.FRAGMENT_SHADER, this.SHADER_FRAGMENT_RGBA));
+    gl.bindAttribLocation(this.program, 0, "vertex");
+    gl.linkProgram(this.program);
+    if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+        wsLogger.error("Failed to init WebGL! Message " + gl.getProgramInfoLog(this.program));
+        this.ctx2D = this.canvas.getContext("2d");
+        this.renderFunction = this.renderFrame2D;
+        return;
+    }
+    gl.useProgram(this.program);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    this.RGBTexture = this.createTexture(0, "RGBTexture");
+    this.renderFunction = this.renderFrameGLRGB;
+};
+
+VideoRenderer.prototype.initBuffers = function () {
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+    //frames are decoded in 16x16 macroblocks
+    this.mbWidth = (parseInt(this.width) + 15) >> 4;
+    this.codedWidth = this.mbWidth << 4;
+    this.halfWidth = this.mbWidth << 3;
+    var ArrayType = typeof Uint8ClampedArray !== 'undefined' ? Uint8ClampedArray : Uint8Array;
+    if (this.ctx2D) {
+        this.rgbaBuffer = new ArrayType(this.canvas.width * this.canvas.height * 4);
+        for (var i = 0; i < this.rgbaBuffer.length; i++) {
+            this.rgbaBuffer[i] = 255;
+        }
+    } else if (this.gl) {
+        this.gl.viewport(0, 0, this.width, this.height);
+    }
+};
+
+VideoRenderer.prototype.stop = function () {
+    if (this.ctx2D) {
+        this.ctx2D.putImageData(this.ctx2D.createImageData(this.width, this.height), 0, 0);
+    } else if (this.gl) {
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+    }
+};
+
+VideoRenderer.prototype.createTexture = function (index, name) {
+    var gl = this.gl;
+    var texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.uniform1i(gl.getUniformLocation(this.program, name), index);
+    return texture;
+};
+
+VideoRenderer.prototype.compileShader = function (type, source) {
+    var gl = this.gl;
+    var shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+};
+
+VideoRenderer.prototype.isUsingWebGL = function () {
+    return !!this.gl && !this.ctx2D;
+};
+
+VideoRenderer.prototype.renderFrameGLYUV = function (frame) {
+    var gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.YTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, this.codedWidth, this.height, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, frame.y);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.CRTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, this.halfWidth, this.height / 2, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, frame.cr);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.CBTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, this.halfWidth, this.height / 2, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, frame.cb);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+};
+
+VideoRenderer.prototype.renderFrameGLRGB = function (frame) {
+    var gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.RGBTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, frame.width, frame.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, frame.data);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+};
+
+VideoRenderer.prototype.renderFrame2D = function (frame) {
+    var imageData = this.ctx2D.createImageData(frame.width, frame.height);
+    if (frame.type == "yuv") {
+        this.YCbCrToRGBA(frame);
+        imageData.data.set(this.rgbaBuffer);
+    } else {
+        imageData.data.set(frame.data);
+    }
+    this.ctx2D.putImageData(imageData, 0, 0);
+};
+
+VideoRenderer.prototype.render = function (frame) {
+    if (!this.muted) {
+        if (this.canvas.width != frame.width || this.canvas.height != frame.height) {
+            wsLogger.log("Changing canvas resolution from " + this.canvas.width + "x" + this.canvas.height +
+                " to " + frame.width + "x" + frame.height);
+            this.canvas.width = frame.width;
+            this.canvas.height = frame.height;
+            this.canvas.dispatchEvent(new Event("resize"));
+            this.initBuffers();
+        }
+        this.renderFunction(frame);
+    }
+    this.lastTimeRendered = Date.now();
+};
+
+//convert YCbCr 4:2:0 frame to RGBA buffer, two rows of pixels are converted per chroma row
+VideoRenderer.prototype.YCbCrToRGBA = function (frame) {
+    var pY = frame.y;
+    var pCb = frame.cb;
+    var pCr = frame.cr;
+    var pRGBA = this.rgbaBuffer;
+    var yIndex1 = 0;
+    var yIndex2 = this.codedWidth;
+    var yNext2Lines = this.codedWidth + (this.codedWidth - frame.width);
+    var cIndex = 0;
+    var cNextLine = this.halfWidth - (frame.width >> 1);
+    var rgbaIndex1 = 0;
+    var rgbaIndex2 = frame.width * 4;
+    var rgbaNext2Lines = frame.width * 4;
+    var cols = frame.width >> 1;
+    var rows = frame.height >> 1;
+    var cb, cr, r, g, b;
+    for (var row = 0; row < rows; row++) {
+        for (var col = 0; col < cols; col++) {
+            cb = pCb[cIndex];
+            cr = pCr[cIndex];
+            cIndex++;
+            r = cr + ((cr * 103) >> 8) - 179;
+            g = ((cb * 88) >> 8) - 44 + ((cr * 183) >> 8) - 91;
+            b = cb + ((cb * 198) >> 8) - 227;
+
+            var y1 = pY[yIndex1++];
+            var y2 = pY[yIndex1++];
+            pRGBA[rgbaIndex1] = y1 + r;
+            pRGBA[rgbaIndex1 + 1] = y1 - g;
+            pRGBA[rgbaIndex1 + 2] = y1 + b;
+            pRGBA[rgbaIndex1 + 4] = y2 + r;
+            pRGBA[rgbaIndex1 + 5] = y2 - g;
+            pRGBA[rgbaIndex1 + 6] = y2 + b;
+            rgbaIndex1 += 8;
+
+            var y3 = pY[yIndex2++];
+            var y4 = pY[yIndex2++];
+            pRGBA[rgbaIndex2] = y3 + r;
+            pRGBA[rgbaIndex2 + 1] = y3 - g;
+            pRGBA[rgbaIndex2 + 2] = y3 + b;
+            pRGBA[rgbaIndex2 + 4] = y4 + r;
+            pRGBA[rgbaIndex2 + 5] = y4 - g;
+            pRGBA[rgbaIndex2 + 6] = y4 + b;
+            rgbaIndex2 += 8;
+        }
+        yIndex1 += yNext2Lines;
+        yIndex2 += yNext2Lines;
+        rgbaIndex1 += rgbaNext2Lines;
+        rgbaIndex2 += rgbaNext2Lines;
+        cIndex += cNextLine;
+    }
+};
+
+VideoRenderer.prototype.getLastTimeRendered = function () {
+    return this.lastTimeRendered;
+};
+
+VideoRenderer.prototype.mute = function (mute) {
+    this.muted = !!mute;
+};
+
+/**
+ * Audio player, plays received PCM chunks {sync, payload} with ScriptProcessor node.
+ * Chunk length is equal to node buffer size chosen to be the closest to one second of audio.
+ *
+ * @param {AudioContext} context Audio context
+ * @constructor
+ */
+function AudioPlayer(context) {
+    var self = this;
+    this.initBuffers();
+    this.nodeConnected = false;
+    this.context = context;
+    this.gainNode = context.createGain();
+    this.gainNode.connect(context.destination);
+    this.mute(true);
+    wsLogger.log("Sample rate " + this.context.sampleRate);
+    this.internalBufferSize = AudioPlayer.getBufferSize(this.context.sampleRate);
+    wsLogger.log("Audio node buffer size " + this.internalBufferSize);
+    this.audioChunkTimeLength = this.internalBufferSize / this.context.sampleRate * 1000;
+    try {
+        this.context.createScriptProcessor = this.context.createScriptProcessor || this.context.createJavaScriptNode;
+        this.audioJSNode = this.context.createScriptProcessor(this.internalBufferSize, 1, 1);
+    } catch (e) {
+        wsLogger.error("JS Audio Node is not supported in this browser" + e);
+    }
+    this.audioJSNode.onaudioprocess = function (event) {
+        self.processAudio(event.outputBuffer.getChannelData(0), event.playbackTime);
+    };
+}
+
+//ScriptProcessor buffer size (power of 2 in range 256-16384) closest to sample rate
+AudioPlayer.getBufferSize = function (sampleRate) {
+    var best = 256;
+    for (var size = 256; size <= 16384; size *= 2) {
+        if (Math.abs(sampleRate - size) < Math.abs(sampleRate - best)) {
+            best = size;
+        }
+    }
+    return best;
+};
+
+//fill output with the next chunk and remember its sync and playback time to calculate current sync
+AudioPlayer.prototype.processAudio = function (output, playbackTime) {
+    var i;
+    if (this.audioBuffer.length == 0) {
+        for (i = 0; i < output.length; i++) {
+            output[i] = 0;
+        }
+        this.bufferExhausted = true;
+        if (this.gainNode.gain.value != 0) {
+            wsLogger.debug("No audio in audio buffer!");
+        }
+        return;
+    }
+    var chunk = this.audioBuffer.shift();
+    for (i = 0; i < output.length; i++) {
+        output[i] = chunk.payload[i];
+    }
+    this.previousSync = this.lastSync ? this.lastSync : chunk.sync;
+    this.lastSync = chunk.sync;
+    this.previousSyncTime = this.lastSyncTime ? this.lastSyncTime : playbackTime * 1000;
+    this.lastSyncTime = playbackTime * 1000;
+    this.bufferExhausted = false;
+};
+
+AudioPlayer.prototype.start = function () {
+    if (!this.nodeConnected) {
+        this.audioJSNode.connect(this.gainNode);
+        this.nodeConnected = true;
+    }
+    this.mute(false);
+};
+
+AudioPlayer.prototype.stop = function () {
+    this.audioJSNode.disconnect();
+    this.nodeConnected = false;
+    this.lastSync = undefined;
+    this.lastSyncTime = undefined;
+    this.audioBuffer = [];
+    this.mute(true);
+};
+
+AudioPlayer.prototype.initBuffers = function () {
+    if (this.audioBuffer) {
+        this.audioBuffer.length = 0;
+    } else {
+        this.audioBuffer = [];
+    }
+};
+
+AudioPlayer.prototype.resetBuffers = function () {
+    this.initBuffers();
+};
+
+AudioPlayer.prototype.playAudio = function (chunk) {
+    this.audioBuffer.push(chunk);
+};
+
+AudioPlayer.prototype.getBufferLength = function () {
+    return this.audioBuffer.length;
+};
+
+/**
+ * Get sync of audio played now
+ *
+ * @returns {Number} Sync or -1 if audio is not played yet
+ */
+AudioPlayer.prototype.getCurrentSync = function () {
+    if (!this.lastSync || !this.lastSyncTime) {
+        return -1;
+    }
+    var now = this.context.currentTime * 1000;
+    if (now < this.lastSyncTime) {
+        //last chunk is scheduled but not played yet
+        return now - this.previousSyncTime + this.previousSync;
+    }
+    if (now - this.lastSyncTime > this.audioChunkTimeLength) {
+        //audio buffer is exhausted, position doesn't move past the last chunk
+        wsLogger.debug("No audio! " + (now - this.audioChunkTimeLength - this.lastSyncTime));
+        return this.lastSync + this.audioChunkTimeLength;
+    }
+    return now - this.lastSyncTime + this.lastSync;
+};
+
+//time length of buffered audio including unplayed part of the current chunk, ms
+AudioPlayer.prototype.getBufferTimeLength = function () {
+    var played = this.context.currentTime * 1000 - this.lastSyncTime;
+    var left = this.audioChunkTimeLength - played;
+    var buffered = this.audioChunkTimeLength * this.audioBuffer.length;
+    return left > 0 ? buffered + left : buffered;
+};
+
+AudioPlayer.prototype.getLastTimePlayed = function () {
+    return this.lastSyncTime;
+};
+
+AudioPlayer.prototype.mute = function (mute) {
+    if (mute) {
+        wsLogger.log("Audio player mute");
+        this.gainNode.gain.value = 0;
+    } else {
+        wsLogger.log("Audio player resume");
+        this.gainNode.gain.value = 1;
+    }
+};
+
+//volume 0-100
+AudioPlayer.prototype.setVolume = function (volume) {
+    this.gainNode.gain.value = volume / 100;
+};
+
+AudioPlayer.prototype.getVolume = function () {
+    return this.gainNode.gain.value * 100;
+};
+
+exports.WSPlayer = WSPlayer;
+exports.WSPlayerState = WSPlayerState;
+exports.AudioPlayer = AudioPlayer;
+exports.VideoRenderer = VideoRenderer;
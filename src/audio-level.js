@@ -0,0 +1,203 @@
+'use strict';
+
+var DEFAULT_INTERVAL = 100;
+//RMS level of speech is usually above this value
+var DEFAULT_THRESHOLD = 0.03;
+//pauses between words shorter than this don't end speaking, ms
+var DEFAULT_SILENCE_DELAY = 500;
+//time another participant should be the loudest to take over active speaker, ms
+var DEFAULT_SWITCH_DELAY = 1500;
+
+/**
+ * Get options of audio level metering
+ *
+ * @param {Boolean|Object} options Audio level options of stream or call
+ * @returns {Object} Options {interval, threshold, silenceDelay} with defaults
+ */
+var getOptions = function (options) {
+    options = typeof options === 'object' ? options : {};
+    return {
+        interval: options.interval || DEFAULT_INTERVAL,
+        threshold: typeof options.threshold === 'number' ? options.threshold : DEFAULT_THRESHOLD,
+        silenceDelay: typeof options.silenceDelay === 'number' ? options.silenceDelay : DEFAULT_SILENCE_DELAY
+    };
+};
+
+/**
+ * Create audio level meter of stream or call. Speaking starts when level reaches threshold
+ * and ends when level stays below threshold for silence delay.
+ *
+ * @param {Boolean|Object} options Audio level options
+ * @param {Integer=} [options.interval=100] Metering interval, ms
+ * @param {Number=} [options.threshold=0.03] Speaking level from 0 to 1
+ * @param {Integer=} [options.silenceDelay=500] Silence to end speaking, ms
+ * @returns {Object} Meter
+ */
+var createMeter = function (options) {
+    var config = getOptions(options);
+    var level_ = 0;
+    var speaking_ = false;
+    var lastSpeech = 0;
+    var timer = null;
+
+    /**
+     * Add audio level sample
+     *
+     * @param {Number} level Audio level from 0 to 1
+     * @param {Number} timestamp Metering time, ms
+     * @returns {Boolean} True if speaking state is changed
+     */
+    var add = function (level, timestamp) {
+        level_ = level;
+        if (level >= config.threshold) {
+            lastSpeech = timestamp;
+            if (!speaking_) {
+                speaking_ = true;
+                return true;
+            }
+        } else if (speaking_ && timestamp - lastSpeech >= config.silenceDelay) {
+            speaking_ = false;
+            return true;
+        }
+        return false;
+    };
+
+    var getLevel = function () {
+        return level_;
+    };
+
+    var isSpeaking = function () {
+        return speaking_;
+    };
+
+    var reset = function () {
+        level_ = 0;
+        speaking_ = false;
+        lastSpeech = 0;
+    };
+
+    /**
+     * Meter audio level periodically
+     *
+     * @param {Function} getLevel Returns current audio level
+     * @param {Function} onLevel Receives level and speaking state change flag
+     */
+    var start = function (getLevel, onLevel) {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(function () {
+            var level = getLevel();
+            onLevel(level, add(level, Date.now()));
+        }, config.interval);
+    };
+
+    var stop = function () {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return {
+        add: add,
+        getLevel: getLevel,
+        isSpeaking: isSpeaking,
+        reset: reset,
+        start: start,
+        stop: stop
+    };
+};
+
+/**
+ * Create active speaker detector. The first speaking participant becomes active speaker,
+ * another one takes over when active speaker is silent or after being the loudest speaking
+ * participant for switch delay, so short interruptions don't move focus.
+ * Active speaker stays the same while everybody is silent.
+ *
+ * @param {Boolean|Object} options Active speaker options
+ * @param {Integer=} [options.switchDelay=1500] Time to take over speaking active speaker, ms
+ * @returns {Object} Detector
+ */
+var createActiveSpeakerDetector = function (options) {
+    options = typeof options === 'object' ? options : {};
+    var switchDelay = typeof options.switchDelay === 'number' ? options.switchDelay : DEFAULT_SWITCH_DELAY;
+    //latest {level, speaking} by participant name
+    var participants = {};
+    var speaker_ = null;
+    var candidate = null;
+    var candidateSince = 0;
+
+    var loudest = function () {
+        var name = null;
+        Object.keys(participants).forEach(function (key) {
+            if (participants[key].speaking && (name === null || participants[key].level > participants[name].level)) {
+                name = key;
+            }
+        });
+        return name;
+    };
+
+    /**
+     * Add audio level of participant
+     *
+     * @param {String} name Participant name
+     * @param {Number} level Audio level from 0 to 1
+     * @param {Boolean} speaking Participant is speaking
+     * @param {Number} timestamp Metering time, ms
+     * @returns {Boolean} True if active speaker is changed
+     */
+    var update = function (name, level, speaking, timestamp) {
+        participants[name] = {level: level, speaking: speaking};
+        var next = loudest();
+        if (next === null || next === speaker_) {
+            candidate = null;
+            return false;
+        }
+        if (speaker_ !== null && participants[speaker_] && participants[speaker_].speaking) {
+            if (next !== candidate) {
+                candidate = next;
+                candidateSince = timestamp;
+            }
+            if (timestamp - candidateSince < switchDelay) {
+                return false;
+            }
+        }
+        speaker_ = next;
+        candidate = null;
+        return true;
+    };
+
+    /**
+     * Stop tracking participant
+     *
+     * @param {String} name Participant name
+     * @returns {Boolean} True if participant was active speaker
+     */
+    var remove = function (name) {
+        delete participants[name];
+        if (candidate === name) {
+            candidate = null;
+        }
+        if (speaker_ !== name) {
+            return false;
+        }
+        speaker_ = null;
+        return true;
+    };
+
+    var get = function () {
+        return speaker_;
+    };
+
+    return {
+        update: update,
+        remove: remove,
+        get: get
+    };
+};
+
+module.exports = {
+    createMeter: createMeter,
+    createActiveSpeakerDetector: createActiveSpeakerDetector
+};
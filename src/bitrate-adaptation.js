@@ -0,0 +1,159 @@
+'use strict';
+
+var constants = require('./constants');
+var logger = require('./util').logger;
+var LOG_PREFIX = "adaptation";
+var CONNECTION_QUALITY = constants.CONNECTION_QUALITY;
+var BITRATE_ADAPTATION = constants.BITRATE_ADAPTATION;
+//used as the top of the ladder if stream has no maxBitrate constraint, kbps
+var DEFAULT_MAX_BITRATE = 2000;
+var DEFAULT_BAD_QUALITY_COUNT = 3;
+var DEFAULT_GOOD_QUALITY_COUNT = 5;
+//encoding levels from the original one down, bitrate is a fraction of maxBitrate
+var LADDER = [
+    {bitrate: 1},
+    {bitrate: 0.7},
+    {bitrate: 0.5, scaleResolutionDownBy: 1.5},
+    {bitrate: 0.35, scaleResolutionDownBy: 2, maxFramerate: 20},
+    {bitrate: 0.2, scaleResolutionDownBy: 2, maxFramerate: 15},
+    {bitrate: 0.1, scaleResolutionDownBy: 4, maxFramerate: 10}
+];
+
+/**
+ * Create bitrate adaptation controller of published stream. Encoding is lowered one level
+ * on sustained BAD connection quality or NOT_ENOUGH_BANDWIDTH and raised back on sustained PERFECT quality.
+ *
+ * @param {Object} options Adaptation options
+ * @param {Integer=} options.minBitrate Bitrate is not lowered below this value, kbps
+ * @param {Integer=} options.maxBitrate Bitrate of the original level, kbps
+ * @param {Integer=} [options.badQualityCount=3] BAD quality updates in a row to lower encoding
+ * @param {Integer=} [options.goodQualityCount=5] PERFECT quality updates in a row to raise encoding
+ * @param {Function} apply Applies encoding parameters {maxBitrate (bps), scaleResolutionDownBy, maxFramerate}, returns Promise
+ * @param {Function} onStep Receives applied step, see {@link Flashphoner.constants.BITRATE_ADAPTATION.STEP}
+ * @returns {Object} Controller
+ */
+var createBitrateAdaptation = function (options, apply, onStep) {
+    var minBitrate = options.minBitrate || 0;
+    var maxBitrate = options.maxBitrate || 0;
+    var badQualityCount = options.badQualityCount || DEFAULT_BAD_QUALITY_COUNT;
+    var goodQualityCount = options.goodQualityCount || DEFAULT_GOOD_QUALITY_COUNT;
+    var level = 0;
+    var badInRow = 0;
+    var goodInRow = 0;
+    var pending = false;
+    var currentStep = null;
+    //steps applied to previous media connection are ignored
+    var generation = 0;
+
+    //the original level keeps maxBitrate constraint only, other limits are removed
+    var getLevelParameters = function (index) {
+        if (index == 0) {
+            return {maxBitrate: maxBitrate || undefined};
+        }
+        var rung = LADDER[index];
+        return {
+            maxBitrate: Math.max(minBitrate, Math.round((maxBitrate || DEFAULT_MAX_BITRATE) * rung.bitrate)),
+            scaleResolutionDownBy: rung.scaleResolutionDownBy,
+            maxFramerate: rung.maxFramerate
+        };
+    };
+
+    var setLevel = function (newLevel, reason) {
+        if (pending || newLevel < 0 || newLevel >= LADDER.length || newLevel == level) {
+            return;
+        }
+        var parameters = getLevelParameters(newLevel);
+        var step = {
+            level: newLevel,
+            direction: newLevel > level ? "down" : "up",
+            reason: reason,
+            maxBitrate: parameters.maxBitrate,
+            scaleResolutionDownBy: parameters.scaleResolutionDownBy,
+            maxFramerate: parameters.maxFramerate
+        };
+        pending = true;
+        var stepGeneration = generation;
+        apply({
+            maxBitrate: parameters.maxBitrate === undefined ? undefined : parameters.maxBitrate * 1000,
+            scaleResolutionDownBy: parameters.scaleResolutionDownBy,
+            maxFramerate: parameters.maxFramerate
+        }).then(function () {
+            if (stepGeneration != generation) {
+                return;
+            }
+            pending = false;
+            level = newLevel;
+            currentStep = step;
+            logger.info(LOG_PREFIX, "Encoding level " + level + ", reason " + reason);
+            onStep(step);
+        }, function (e) {
+            if (stepGeneration != generation) {
+                return;
+            }
+            pending = false;
+            logger.warn(LOG_PREFIX, "Failed to apply encoding level " + newLevel + ": " + e);
+        });
+    };
+
+    /**
+     * Count connection quality update
+     *
+     * @param {String} quality One of {@link Flashphoner.constants.CONNECTION_QUALITY}
+     */
+    var onQuality = function (quality) {
+        if (quality == CONNECTION_QUALITY.BAD) {
+            goodInRow = 0;
+            if (++badInRow >= badQualityCount) {
+                badInRow = 0;
+                setLevel(level + 1, BITRATE_ADAPTATION.BAD_QUALITY);
+            }
+        } else if (quality == CONNECTION_QUALITY.PERFECT) {
+            badInRow = 0;
+            if (++goodInRow >= goodQualityCount) {
+                goodInRow = 0;
+                setLevel(level - 1, BITRATE_ADAPTATION.QUALITY_RECOVERED);
+            }
+        } else {
+            badInRow = 0;
+            goodInRow = 0;
+        }
+    };
+
+    //server detects insufficient bandwidth over time itself, encoding is lowered at once
+    var onNotEnoughBandwidth = function () {
+        badInRow = 0;
+        goodInRow = 0;
+        setLevel(level + 1, BITRATE_ADAPTATION.NOT_ENOUGH_BANDWIDTH);
+    };
+
+    var getLevel = function () {
+        return level;
+    };
+
+    var getStep = function () {
+        return currentStep;
+    };
+
+    //new media connection starts with the original encoding
+    var reset = function () {
+        generation++;
+        pending = false;
+        level = 0;
+        badInRow = 0;
+        goodInRow = 0;
+        currentStep = null;
+    };
+
+    return {
+        onQuality: onQuality,
+        onNotEnoughBandwidth: onNotEnoughBandwidth,
+        getLevel: getLevel,
+        getStep: getStep,
+        reset: reset
+    };
+};
+
+module.exports = {
+    create: createBitrateAdaptation,
+    LADDER: LADDER
+};
@@ -68,6 +68,54 @@ define(sessionStatus, 'SEND_DATA_STATUS', 'SEND_DATA_STATUS');
 //State of newly created Session
 define(sessionStatus, 'PENDING', 'PENDING');
 
+/**
+ * Fires when {@link Session} lost connection and schedules reconnect attempt.
+ * Available only if session was created with reconnect option.
+ * @event RECONNECTING
+ * @memberof Flashphoner.constants.SESSION_STATUS
+ */
+define(sessionStatus, 'RECONNECTING', 'RECONNECTING');
+
+/**
+ * Fires when {@link Session} reconnects and receives connect ack from REST App.
+ * Active streams and calls are restored after this event.
+ * @event RECONNECTED
+ * @memberof Flashphoner.constants.SESSION_STATUS
+ */
+define(sessionStatus, 'RECONNECTED', 'RECONNECTED');
+
+/**
+ * Fires when {@link Session} receives no data from server within watchdog degraded timeout.
+ * Session status is not changed, connection may recover or fail later.
+ * Available only if session was created with watchdog option.
+ * @event DEGRADED
+ * @memberof Flashphoner.constants.SESSION_STATUS
+ */
+define(sessionStatus, 'DEGRADED', 'DEGRADED');
+
+/**
+ * Fires when {@link Session} receives data from server after {@link Flashphoner.constants.SESSION_STATUS.DEGRADED} event.
+ * @event RECOVERED
+ * @memberof Flashphoner.constants.SESSION_STATUS
+ */
+define(sessionStatus, 'RECOVERED', 'RECOVERED');
+
+/**
+ * Fires when {@link Session} measures round trip time to server, time in milliseconds is passed as second argument.
+ * Available only if session was created with watchdog pingInterval and server answers client pings.
+ * @event RTT
+ * @memberof Flashphoner.constants.SESSION_STATUS
+ */
+define(sessionStatus, 'RTT', 'RTT');
+
+/**
+ * Fires when {@link Session} selects server to connect to.
+ * Object with server url and one of {@link Flashphoner.constants.SERVER_SELECTION_REASON} is passed as second argument.
+ * @event SERVER_SELECTED
+ * @memberof Flashphoner.constants.SESSION_STATUS
+ */
+define(sessionStatus, 'SERVER_SELECTED', 'SERVER_SELECTED');
+
 /**
  * Fires when {@link Session} registers as sip client.
  *
@@ -167,6 +215,39 @@ define(streamStatus, 'SNAPSHOT_COMPLETE', 'SNAPSHOT_COMPLETE');
  */
 define(streamStatus, 'NOT_ENOUGH_BANDWIDTH', 'NOT_ENOUGH_BANDWIDTH');
 
+/**
+ * Fires periodically on {@link Stream} created with stats option while it is published or played.
+ * Event is passed with sample {timestamp, stats, metrics}, metrics contain outbound and inbound
+ * bitrate (bps), packetLoss (%), fps and jitter (ms) per media type and roundTripTime (ms).
+ * Status of the stream is not changed.
+ * @event STATS
+ * @memberof Flashphoner.constants.STREAM_STATUS
+ */
+define(streamStatus, 'STATS', 'STATS');
+
+/**
+ * Fires periodically on {@link Stream} created with audioLevel option while it is published or played.
+ * Event is passed with audio level from 0 to 1, local microphone is measured for published stream
+ * and remote audio for played one. Status of the stream is not changed.
+ * @event AUDIO_LEVEL
+ * @memberof Flashphoner.constants.STREAM_STATUS
+ */
+define(streamStatus, 'AUDIO_LEVEL', 'AUDIO_LEVEL');
+
+/**
+ * Fires on {@link Stream} created with audioLevel option when audio level rises above speaking threshold.
+ * @event SPEAKING
+ * @memberof Flashphoner.constants.STREAM_STATUS
+ */
+define(streamStatus, 'SPEAKING', 'SPEAKING');
+
+/**
+ * Fires on {@link Stream} created with audioLevel option when audio level stays below speaking threshold for silence delay.
+ * @event SILENT
+ * @memberof Flashphoner.constants.STREAM_STATUS
+ */
+define(streamStatus, 'SILENT', 'SILENT');
+
 /**
  * @namespace Flashphoner.constants.CALL_STATUS
  * @see Call
@@ -184,6 +265,12 @@ define(callStatus, 'SESSION_PROGRESS', 'SESSION_PROGRESS');
 define(callStatus, 'FAILED', 'FAILED');
 define(callStatus, 'PENDING', 'PENDING');
 define(callStatus, 'TRYING', 'TRYING');
+//Fires periodically on Call created with stats option, passed with sample {timestamp, stats, metrics} like Stream STATS
+define(callStatus, 'STATS', 'STATS');
+//Fire on Call created with audioLevel option like Stream AUDIO_LEVEL, SPEAKING and SILENT, remote audio is measured
+define(callStatus, 'AUDIO_LEVEL', 'AUDIO_LEVEL');
+define(callStatus, 'SPEAKING', 'SPEAKING');
+define(callStatus, 'SILENT', 'SILENT');
 
 /**
 * @namespace Flashphoner.constants.STREAM_STATUS_INFO
@@ -673,6 +760,74 @@ define(errorInfo, 'CAN_NOT_SWITCH_MIC', 'Number of mics is less than 2 or alread
  */
 define(errorInfo, 'LOCAL_ERROR', 'Local error');
 
+/**
+ * @namespace Flashphoner.constants.ERROR_CATEGORY
+ * @see Flashphoner.errors.FlashphonerError
+ */
+var errorCategory = {};
+
+/**
+ * Connection between client, server or media source failed.
+ * @event NETWORK
+ * @memberof Flashphoner.constants.ERROR_CATEGORY
+ */
+define(errorCategory, 'NETWORK', 'network');
+
+/**
+ * Local media, codecs or media source format problem.
+ * @event MEDIA
+ * @memberof Flashphoner.constants.ERROR_CATEGORY
+ */
+define(errorCategory, 'MEDIA', 'media');
+
+/**
+ * Access is restricted.
+ * @event AUTH
+ * @memberof Flashphoner.constants.ERROR_CATEGORY
+ */
+define(errorCategory, 'AUTH', 'auth');
+
+/**
+ * Server side error or rejection.
+ * @event SERVER
+ * @memberof Flashphoner.constants.ERROR_CATEGORY
+ */
+define(errorCategory, 'SERVER', 'server');
+
+/**
+ * @namespace Flashphoner.constants.SERVER_SELECTION_REASON
+ * @see Flashphoner.constants.SESSION_STATUS.SERVER_SELECTED
+ */
+var serverSelectionReason = {};
+
+/**
+ * Server url is received from load balancer.
+ * @event BALANCER
+ * @memberof Flashphoner.constants.SERVER_SELECTION_REASON
+ */
+define(serverSelectionReason, 'BALANCER', 'balancer');
+
+/**
+ * The healthiest server of the urlServer list is used, load balancer is not configured.
+ * @event PREFERRED
+ * @memberof Flashphoner.constants.SERVER_SELECTION_REASON
+ */
+define(serverSelectionReason, 'PREFERRED', 'preferred');
+
+/**
+ * None of load balancers answered, the healthiest server of the urlServer list is used.
+ * @event FALLBACK
+ * @memberof Flashphoner.constants.SERVER_SELECTION_REASON
+ */
+define(serverSelectionReason, 'FALLBACK', 'fallback');
+
+/**
+ * Connection to the previous server failed or was lost, the next server is used.
+ * @event FAILOVER
+ * @memberof Flashphoner.constants.SERVER_SELECTION_REASON
+ */
+define(serverSelectionReason, 'FAILOVER', 'failover');
+
 var mediaDeviceKind = {};
 
 define(mediaDeviceKind, 'OUTPUT', 'output');
@@ -694,6 +849,42 @@ define(connectionQuality, 'BAD', 'BAD');
 define(connectionQuality, 'UNKNOWN', 'UNKNOWN');
 define(connectionQuality, 'UPDATE', 'UPDATE');
 
+/**
+ * @namespace Flashphoner.constants.BITRATE_ADAPTATION
+ * @see Stream
+ */
+var bitrateAdaptation = {};
+
+/**
+ * Fires when published {@link Stream} encoding is changed by bitrate adaptation.
+ * Object with adaptation step is passed as second argument:
+ * level, direction ("down" or "up"), reason, maxBitrate (kbps), scaleResolutionDownBy, maxFramerate
+ * @event STEP
+ * @memberof Flashphoner.constants.BITRATE_ADAPTATION
+ */
+define(bitrateAdaptation, 'STEP', 'BITRATE_ADAPTATION_STEP');
+
+/**
+ * Connection quality was BAD for the configured number of updates in a row.
+ * @event BAD_QUALITY
+ * @memberof Flashphoner.constants.BITRATE_ADAPTATION
+ */
+define(bitrateAdaptation, 'BAD_QUALITY', 'BAD_QUALITY');
+
+/**
+ * Server reported NOT_ENOUGH_BANDWIDTH for the stream.
+ * @event NOT_ENOUGH_BANDWIDTH
+ * @memberof Flashphoner.constants.BITRATE_ADAPTATION
+ */
+define(bitrateAdaptation, 'NOT_ENOUGH_BANDWIDTH', 'NOT_ENOUGH_BANDWIDTH');
+
+/**
+ * Connection quality was PERFECT for the configured number of updates in a row.
+ * @event QUALITY_RECOVERED
+ * @memberof Flashphoner.constants.BITRATE_ADAPTATION
+ */
+define(bitrateAdaptation, 'QUALITY_RECOVERED', 'QUALITY_RECOVERED');
+
 var constants = {};
 define(constants, 'SESSION_STATUS', sessionStatus);
 define(constants, 'STREAM_STATUS', streamStatus);
@@ -701,9 +892,12 @@ define(constants, 'CALL_STATUS', callStatus);
 define(constants, 'STREAM_STATUS_INFO', streamStatusInfo);
 define(constants, 'CALL_STATUS_INFO', callStatusInfo);
 define(constants, 'ERROR_INFO', errorInfo);
+define(constants, 'ERROR_CATEGORY', errorCategory);
+define(constants, 'SERVER_SELECTION_REASON', serverSelectionReason);
 define(constants, 'MEDIA_DEVICE_KIND', mediaDeviceKind);
 define(constants, 'TRANSPORT_TYPE', transportType);
 define(constants, 'CONNECTION_QUALITY', connectionQuality);
+define(constants, 'BITRATE_ADAPTATION', bitrateAdaptation);
 
 //define helper
 function define(obj, name, value) {
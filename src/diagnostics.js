@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Diagnostics export for support tickets. Stream and session keep a bounded timeline
+ * of events which is exported along with collected stats as JSON report or CSV table.
+ */
+
+var util = require('./util');
+var DEFAULT_TIMELINE_SIZE = 500;
+var FORMAT = {
+    JSON: "json",
+    CSV: "csv"
+};
+var MIME_TYPES = {
+    json: "application/json",
+    csv: "text/csv"
+};
+//columns of timeline events, stats metrics are added after them
+var CSV_COLUMNS = ["timestamp", "source", "type", "status", "info", "quality"];
+
+/**
+ * Create bounded timeline of events
+ *
+ * @param {Integer=} [size=500] Events kept in timeline
+ * @returns {Object} Timeline
+ */
+var createTimeline = function (size) {
+    size = size || DEFAULT_TIMELINE_SIZE;
+    var events = [];
+
+    /**
+     * Add event
+     *
+     * @param {string} type Event type: status, quality or adaptation
+     * @param {Object=} data Event fields {status, info, quality}
+     */
+    var add = function (type, data) {
+        var event = {timestamp: Date.now(), type: type};
+        util.copyObjectPropsToAnotherObject(data, event);
+        events.push(event);
+        if (events.length > size) {
+            events.shift();
+        }
+    };
+
+    var get = function (since) {
+        return filterSince(events, since);
+    };
+
+    return {
+        add: add,
+        get: get
+    };
+};
+
+/**
+ * Get start time of export window
+ *
+ * @param {Integer=} window Export window, ms
+ * @returns {Number} Entries older than this time are not exported
+ */
+var getSince = function (window) {
+    return window ? Date.now() - window : 0;
+};
+
+var filterSince = function (entries, since) {
+    return entries.filter(function (entry) {
+        return entry.timestamp >= since;
+    });
+};
+
+//numeric metrics of stats sample as {"outbound.video.bitrate": value}
+var flatten = function (object, prefix, result) {
+    Object.keys(object).forEach(function (key) {
+        var value = object[key];
+        if (typeof value === 'number') {
+            result[prefix + key] = value;
+        } else if (value && typeof value === 'object') {
+            flatten(value, prefix + key + ".", result);
+        }
+    });
+    return result;
+};
+
+var escapeCsv = function (value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    value = String(value);
+    if (/[",\r\n]/.test(value)) {
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+};
+
+//stream report is a single source, session report has session and stream sources
+var getSources = function (report) {
+    if (!report.streams) {
+        return [{name: report.stream.name, timeline: report.timeline, stats: report.stats}];
+    }
+    return [{name: "session", timeline: report.timeline, stats: []}].concat(report.streams.map(function (streamReport) {
+        return getSources(streamReport)[0];
+    }));
+};
+
+/**
+ * Convert report to CSV table, events and stats samples of all sources are sorted by time
+ *
+ * @param {Object} report Stream or session report
+ * @returns {string} CSV
+ */
+var toCsv = function (report) {
+    var rows = [];
+    var metricColumns = {};
+    getSources(report).forEach(function (source) {
+        source.timeline.forEach(function (event) {
+            var row = {source: source.name};
+            util.copyObjectPropsToAnotherObject(event, row);
+            rows.push(row);
+        });
+        source.stats.forEach(function (sample) {
+            var metrics = flatten(sample.metrics, "", {});
+            Object.keys(metrics).forEach(function (column) {
+                metricColumns[column] = true;
+            });
+            var row = {timestamp: sample.timestamp, source: source.name, type: "stats"};
+            util.copyObjectPropsToAnotherObject(metrics, row);
+            rows.push(row);
+        });
+    });
+    //keep order of rows added at the same time
+    rows.forEach(function (row, index) {
+        row.index = index;
+    });
+    rows.sort(function (a, b) {
+        return a.timestamp - b.timestamp || a.index - b.index;
+    });
+    var columns = CSV_COLUMNS.concat(Object.keys(metricColumns).sort());
+    var lines = [columns.join(",")];
+    rows.forEach(function (row) {
+        lines.push(columns.map(function (column) {
+            if (column == "timestamp") {
+                return new Date(row.timestamp).toISOString();
+            }
+            return escapeCsv(row[column]);
+        }).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+};
+
+/**
+ * Create downloadable file of report
+ *
+ * @param {string} name File name prefix
+ * @param {Object} report Stream or session report
+ * @param {string=} [format=json] File format, json or csv
+ * @returns {Object} File {name, type, data} with Blob in browser
+ * @throws {TypeError} Error if format is not supported
+ */
+var createFile = function (name, report, format) {
+    format = format || FORMAT.JSON;
+    if (!MIME_TYPES[format]) {
+        throw new TypeError("Unsupported format " + format);
+    }
+    var data = format == FORMAT.CSV ? toCsv(report) : JSON.stringify(report, null, 2);
+    var file = {
+        name: name.replace(/[^\w.-]/g, "_") + "-" + report.created + "." + format,
+        type: MIME_TYPES[format],
+        data: data
+    };
+    if (typeof Blob !== 'undefined') {
+        file.blob = new Blob([data], {type: file.type});
+    }
+    return file;
+};
+
+module.exports = {
+    FORMAT: FORMAT,
+    createTimeline: createTimeline,
+    getSince: getSince,
+    filterSince: filterSince,
+    toCsv: toCsv,
+    createFile: createFile
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+var constants = require('./constants');
+var CATEGORY = constants.ERROR_CATEGORY;
+var UNKNOWN_CODE = "UNKNOWN";
+
+/**
+ * Typed errors produced from stream and call failures
+ *
+ * @namespace Flashphoner.errors
+ */
+
+/**
+ * Base class of API errors.
+ *
+ * @param {String} message Error message
+ * @param {Object=} properties Error properties
+ * @param {String=} properties.code Error code, name of {@link Flashphoner.constants.STREAM_STATUS_INFO}, {@link Flashphoner.constants.CALL_STATUS_INFO} or {@link Flashphoner.constants.ERROR_INFO} entry
+ * @param {String=} properties.category One of {@link Flashphoner.constants.ERROR_CATEGORY}
+ * @param {Boolean=} properties.retryable True if operation may succeed if repeated
+ * @param {String=} properties.original Original info received from server or local error message
+ * @param {String=} properties.status Status of failed object
+ * @constructor
+ * @memberof Flashphoner.errors
+ */
+function FlashphonerError(message, properties) {
+    properties = properties || {};
+    this.name = "FlashphonerError";
+    this.message = message;
+    this.code = properties.code || UNKNOWN_CODE;
+    this.category = properties.category || CATEGORY.SERVER;
+    this.retryable = !!properties.retryable;
+    this.original = properties.original;
+    this.status = properties.status;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = new Error(message).stack;
+    }
+}
+FlashphonerError.prototype = Object.create(Error.prototype);
+FlashphonerError.prototype.constructor = FlashphonerError;
+
+//subclass helper, binds category to the error class
+function defineError(name, category) {
+    var ErrorClass = function (message, properties) {
+        properties = properties || {};
+        properties.category = category;
+        FlashphonerError.call(this, message, properties);
+        this.name = name;
+    };
+    ErrorClass.prototype = Object.create(FlashphonerError.prototype);
+    ErrorClass.prototype.constructor = ErrorClass;
+    return ErrorClass;
+}
+
+/**
+ * Network error, category {@link Flashphoner.constants.ERROR_CATEGORY.NETWORK}
+ * @constructor
+ * @memberof Flashphoner.errors
+ */
+var NetworkError = defineError("NetworkError", CATEGORY.NETWORK);
+
+/**
+ * Media error, category {@link Flashphoner.constants.ERROR_CATEGORY.MEDIA}
+ * @constructor
+ * @memberof Flashphoner.errors
+ */
+var MediaError = defineError("MediaError", CATEGORY.MEDIA);
+
+/**
+ * Access error, category {@link Flashphoner.constants.ERROR_CATEGORY.AUTH}
+ * @constructor
+ * @memberof Flashphoner.errors
+ */
+var AuthError = defineError("AuthError", CATEGORY.AUTH);
+
+/**
+ * Server error, category {@link Flashphoner.constants.ERROR_CATEGORY.SERVER}
+ * @constructor
+ * @memberof Flashphoner.errors
+ */
+var ServerError = defineError("ServerError", CATEGORY.SERVER);
+
+var errorClasses = {};
+errorClasses[CATEGORY.NETWORK] = NetworkError;
+errorClasses[CATEGORY.MEDIA] = MediaError;
+errorClasses[CATEGORY.AUTH] = AuthError;
+errorClasses[CATEGORY.SERVER] = ServerError;
+
+//category and retryable flag of STREAM_STATUS_INFO entries
+var streamInfoTypes = {
+    FAILED_BY_ICE_ERROR: [CATEGORY.NETWORK, true],
+    FAILED_BY_ICE_TIMEOUT: [CATEGORY.NETWORK, true],
+    FAILED_BY_KEEP_ALIVE: [CATEGORY.NETWORK, true],
+    FAILED_BY_DTLS_FINGERPRINT_ERROR: [CATEGORY.MEDIA, false],
+    FAILED_BY_DTLS_ERROR: [CATEGORY.NETWORK, true],
+    FAILED_BY_HLS_WRITER_ERROR: [CATEGORY.SERVER, false],
+    FAILED_BY_RTMP_WRITER_ERROR: [CATEGORY.SERVER, true],
+    FAILED_BY_RTP_ACTIVITY: [CATEGORY.NETWORK, true],
+    STOPPED_BY_SESSION_DISCONNECT: [CATEGORY.NETWORK, true],
+    STOPPED_BY_REST_TERMINATE: [CATEGORY.SERVER, false],
+    STOPPED_BY_PUBLISHER_STOP: [CATEGORY.SERVER, true],
+    STOPPED_BY_USER: [CATEGORY.SERVER, false],
+    FAILED_BY_ERROR: [CATEGORY.SERVER, true],
+    FAILED_TO_ADD_STREAM_TO_PROXY: [CATEGORY.SERVER, true],
+    DISTRIBUTOR_STOPPED: [CATEGORY.SERVER, true],
+    PUBLISH_STREAM_IS_NOT_READY: [CATEGORY.SERVER, true],
+    STREAM_NOT_FOUND: [CATEGORY.SERVER, false],
+    STREAM_NAME_ALREADY_IN_USE: [CATEGORY.SERVER, false],
+    MEDIASESSION_ID_NULL: [CATEGORY.SERVER, false],
+    MEDIASESSION_ID_ALREADY_IN_USE: [CATEGORY.SERVER, false],
+    SESSION_NOT_READY: [CATEGORY.NETWORK, true],
+    SESSION_DOES_NOT_EXIST: [CATEGORY.NETWORK, true],
+    RTSP_HAS_WRONG_FORMAT: [CATEGORY.MEDIA, false],
+    FILE_HAS_WRONG_FORMAT: [CATEGORY.MEDIA, false],
+    FAILED_TO_CONNECT_TO_RTSP_STREAM: [CATEGORY.NETWORK, true],
+    RTSP_STREAM_NOT_FOUND: [CATEGORY.SERVER, false],
+    RTSPAGENT_SHUTDOWN: [CATEGORY.SERVER, true],
+    STREAM_FAILED: [CATEGORY.SERVER, true],
+    NO_COMMON_CODECS: [CATEGORY.MEDIA, false],
+    BAD_URI: [CATEGORY.SERVER, false],
+    GOT_EXCEPTION_WHILE_STREAMING_FILE: [CATEGORY.MEDIA, false],
+    REQUESTED_STREAM_SHUTDOWN: [CATEGORY.SERVER, false],
+    FAILED_TO_READ_FILE: [CATEGORY.MEDIA, false],
+    FILE_NOT_FOUND: [CATEGORY.SERVER, false],
+    FAILED_TO_CONNECT_TO_ORIGIN_STREAM: [CATEGORY.NETWORK, true],
+    CDN_STREAM_NOT_FOUND: [CATEGORY.SERVER, true],
+    FAILED_TO_GET_AGENT_STORAGE: [CATEGORY.SERVER, false],
+    AGENT_SERVICING_ORIGIN_STREAM_IS_SHUTTING_DOWN: [CATEGORY.SERVER, true],
+    TERMINATED_BY_KEEP_ALIVE: [CATEGORY.NETWORK, true],
+    TRANSCODING_REQUIRED_BUT_DISABLED: [CATEGORY.MEDIA, false],
+    RESTRICTED_ACCESS: [CATEGORY.AUTH, false],
+    NO_AVAILABLE_TRANSCODERS: [CATEGORY.SERVER, true]
+};
+
+//category and retryable flag of CALL_STATUS_INFO entries
+var callInfoTypes = {
+    NORMAL_CALL_CLEARING: [CATEGORY.SERVER, false],
+    FAILED_BY_SESSION_CREATION: [CATEGORY.SERVER, true],
+    FAILED_BY_ICE_ERROR: [CATEGORY.NETWORK, true],
+    FAILED_BY_RTP_ACTIVITY: [CATEGORY.NETWORK, true],
+    FAILED_BY_RTMP_WRITER_ERROR: [CATEGORY.SERVER, true],
+    FAILED_BY_DTLS_FINGERPRINT_ERROR: [CATEGORY.MEDIA, false],
+    NO_COMMON_CODECS: [CATEGORY.MEDIA, false],
+    FAILED_BY_DTLS_ERROR: [CATEGORY.NETWORK, true],
+    FAILED_BY_ERROR: [CATEGORY.SERVER, true],
+    FAILED_BY_REQUEST_TIMEOUT: [CATEGORY.NETWORK, true],
+    TRANSCODING_REQUIRED_BUT_DISABLED: [CATEGORY.MEDIA, false]
+};
+
+//local errors are raised by media access or connection setup
+var errorInfoTypes = {
+    LOCAL_ERROR: [CATEGORY.MEDIA, false]
+};
+
+//info string to code lookup built from constants tables
+function buildLookup(infoTable, types) {
+    var lookup = {};
+    for (var code in infoTable) {
+        if (infoTable.hasOwnProperty(code) && types.hasOwnProperty(code)) {
+            lookup[infoTable[code]] = {
+                code: code,
+                category: types[code][0],
+                retryable: types[code][1]
+            };
+        }
+    }
+    return lookup;
+}
+
+var streamLookup = buildLookup(constants.STREAM_STATUS_INFO, streamInfoTypes);
+var callLookup = buildLookup(constants.CALL_STATUS_INFO, callInfoTypes);
+var localLookup = buildLookup(constants.ERROR_INFO, errorInfoTypes);
+
+function fromInfo(lookup, info, errorInfo, status, defaultMessage) {
+    var type = lookup[info] || localLookup[info] || {code: UNKNOWN_CODE, category: CATEGORY.SERVER, retryable: false};
+    var ErrorClass = errorClasses[type.category];
+    return new ErrorClass(errorInfo || info || defaultMessage, {
+        code: type.code,
+        retryable: type.retryable,
+        original: errorInfo || info,
+        status: status
+    });
+}
+
+/**
+ * Create error from stream info
+ *
+ * @param {String} info One of {@link Flashphoner.constants.STREAM_STATUS_INFO} or {@link Flashphoner.constants.ERROR_INFO} values
+ * @param {String=} errorInfo Local error message
+ * @param {String=} status Stream status
+ * @returns {Flashphoner.errors.FlashphonerError} Error
+ * @memberof Flashphoner.errors
+ */
+var fromStreamInfo = function (info, errorInfo, status) {
+    return fromInfo(streamLookup, info, errorInfo, status, "Stream failed");
+};
+
+/**
+ * Create error from call info
+ *
+ * @param {String} info One of {@link Flashphoner.constants.CALL_STATUS_INFO} or {@link Flashphoner.constants.ERROR_INFO} values
+ * @param {String=} errorInfo Local error message
+ * @param {String=} status Call status
+ * @returns {Flashphoner.errors.FlashphonerError} Error
+ * @memberof Flashphoner.errors
+ */
+var fromCallInfo = function (info, errorInfo, status) {
+    return fromInfo(callLookup, info, errorInfo, status, "Call failed");
+};
+
+module.exports = {
+    FlashphonerError: FlashphonerError,
+    NetworkError: NetworkError,
+    MediaError: MediaError,
+    AuthError: AuthError,
+    ServerError: ServerError,
+    fromStreamInfo: fromStreamInfo,
+    fromCallInfo: fromCallInfo
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+var logger = require('./util').logger;
+var LOG_PREFIX = "emitter";
+//listeners subscribed to this event receive every event, event name is passed as first argument
+var WILDCARD = "*";
+
+/**
+ * Create event emitter supporting multiple listeners per event.
+ * Exception thrown by a listener is logged and rethrown asynchronously, so it does not prevent other listeners from being called.
+ *
+ * @returns {Object} Emitter
+ */
+var createEventEmitter = function () {
+    var listeners = {};
+
+    var add = function (event, callback, once) {
+        if (!event) {
+            throw new TypeError("Event can't be null");
+        }
+        if (!callback || typeof callback !== 'function') {
+            throw new Error("Callback needs to be a valid function");
+        }
+        if (!listeners[event]) {
+            listeners[event] = [];
+        }
+        listeners[event].push({callback: callback, once: once});
+    };
+
+    var on = function (event, callback) {
+        add(event, callback, false);
+    };
+
+    var once = function (event, callback) {
+        add(event, callback, true);
+    };
+
+    //remove listener, all listeners of the event or all listeners at all
+    var off = function (event, callback) {
+        if (!event) {
+            listeners = {};
+            return;
+        }
+        if (!listeners[event]) {
+            return;
+        }
+        if (!callback) {
+            delete listeners[event];
+            return;
+        }
+        remove(event, function (listener) {
+            return listener.callback === callback;
+        });
+    };
+
+    var remove = function (event, match) {
+        if (!listeners[event]) {
+            return;
+        }
+        listeners[event] = listeners[event].filter(function (listener) {
+            return !match(listener);
+        });
+        if (listeners[event].length == 0) {
+            delete listeners[event];
+        }
+    };
+
+    var hasListeners = function (event) {
+        return !!(listeners[event] || listeners[WILDCARD]);
+    };
+
+    var invoke = function (event, list, args) {
+        //copy the list, listeners may subscribe or unsubscribe while event is dispatched
+        list.slice().forEach(function (listener) {
+            if (listener.once) {
+                remove(event, function (l) {
+                    return l === listener;
+                });
+            }
+            try {
+                listener.callback.apply(null, args);
+            } catch (e) {
+                logger.error(LOG_PREFIX, "Listener of " + event + " event failed: " + e);
+                //rethrow outside of dispatch to keep the error visible without breaking other listeners
+                setTimeout(function () {
+                    throw e;
+                }, 0);
+            }
+        });
+    };
+
+    var emit = function (event) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        if (listeners[event]) {
+            invoke(event, listeners[event], args);
+        }
+        if (event !== WILDCARD && listeners[WILDCARD]) {
+            invoke(WILDCARD, listeners[WILDCARD], [event].concat(args));
+        }
+    };
+
+    return {
+        on: on,
+        once: once,
+        off: off,
+        emit: emit,
+        hasListeners: hasListeners
+    };
+};
+
+module.exports = {
+    create: createEventEmitter,
+    WILDCARD: WILDCARD
+};
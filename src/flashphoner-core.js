@@ -3,6 +3,12 @@
 var uuid_v1 = require('uuid/v1');
 var constants = require("./constants");
 var util = require('./util');
+var eventEmitter = require('./event-emitter');
+var errors = require('./errors');
+var bitrateAdaptation = require('./bitrate-adaptation');
+var statsCollector = require('./stats-collector');
+var diagnostics = require('./diagnostics');
+var audioLevel = require('./audio-level');
 var logger = require('./util').logger;
 var loggerConf = {push: false, severity: "INFO"};
 var Promise = require('promise-polyfill');
@@ -17,9 +23,12 @@ var isUsingTemasysPlugin = false;
 
 var SESSION_STATUS = constants.SESSION_STATUS;
 var STREAM_STATUS = constants.STREAM_STATUS;
+var STREAM_STATUS_INFO = constants.STREAM_STATUS_INFO;
 var CALL_STATUS = constants.CALL_STATUS;
 var TRANSPORT_TYPE = constants.TRANSPORT_TYPE;
 var CONNECTION_QUALITY = constants.CONNECTION_QUALITY;
+var BITRATE_ADAPTATION = constants.BITRATE_ADAPTATION;
+var SERVER_SELECTION_REASON = constants.SERVER_SELECTION_REASON;
 var ERROR_INFO = constants.ERROR_INFO;
 var VIDEO_RATE_GOOD_QUALITY_PERCENT_DIFFERENCE = 20;
 var VIDEO_RATE_BAD_QUALITY_PERCENT_DIFFERENCE = 50;
@@ -27,10 +36,63 @@ var LOW_VIDEO_RATE_THRESHOLD_BAD_PERFECT = 50000;
 var LOW_VIDEO_RATE_BAD_QUALITY_PERCENT_DIFFERENCE = 150;
 var OUTBOUND_VIDEO_RATE = "outboundVideoRate";
 var INBOUND_VIDEO_RATE = "inboundVideoRate";
+var DEFAULT_RECONNECT_POLICY = {
+    maxAttempts: 5,
+    delay: 1000,
+    maxDelay: 30000,
+    multiplier: 2,
+    jitter: 0.3
+};
+var DEFAULT_LB_TIMEOUT = 5000;
+//time to wait for status in promise based methods if timeout is not set
+var DEFAULT_ASYNC_TIMEOUT = 30000;
+//reports of released streams kept for session diagnostics
+var RELEASED_STREAM_REPORTS = 20;
+//failures of server or load balancer are forgotten after this time
+var SERVER_HEALTH_TTL = 60000;
+//simulcast layers from the lowest to the highest one, maxBitrate in kbps
+var DEFAULT_SIMULCAST_LAYERS = [
+    {rid: "q", scaleResolutionDownBy: 4, maxBitrate: 150},
+    {rid: "h", scaleResolutionDownBy: 2, maxBitrate: 500},
+    {rid: "f", scaleResolutionDownBy: 1, maxBitrate: 1500}
+];
+//WCS does not answer client pings, so pings and failing silent session are enabled explicitly
+var DEFAULT_WATCHDOG_POLICY = {
+    degradedTimeout: 10000,
+    failedTimeout: 0,
+    pingInterval: 0
+};
+//messages allowed before session is established, other messages are queued
+var HANDSHAKE_MESSAGES = ["connection", "pong"];
+//media provider methods called by API, see {@link Flashphoner~MediaProviderImpl}
+var REQUIRED_MEDIA_PROVIDER_METHODS = ["available", "createConnection", "getMediaAccess", "releaseMedia",
+    "listDevices", "playFirstSound", "playFirstVideo"];
+//priorities of built-in media providers, providers with higher priority are used first
+var BUILTIN_MEDIA_PROVIDER_PRIORITY = {
+    WebRTC: 40,
+    Flash: 30,
+    MSE: 20,
+    WSPlayer: 10
+};
+var DEFAULT_MEDIA_PROVIDER_PRIORITY = 0;
 var MediaProvider = {};
+var mediaProviderPriority = {};
+//providers added by registerMediaProvider
+var registeredMediaProviders = {};
+//configuration passed to registered providers, set by init
+var mediaProviderConf = null;
+//preferences of init applied whenever providers are reordered
+var preferredMediaProvider;
+var preferredMediaProviders = [];
 var sessions = {};
+//recent connection failures by server or load balancer url, shared between sessions
+var serverHealth = {};
 var initialized = false;
 var disableConnectionQualityCalculation;
+//default signaling transport
+var createTransport = function (url) {
+    return new WebSocket(url);
+};
 
 /**
  * Static initializer.
@@ -45,6 +107,7 @@ var disableConnectionQualityCalculation;
  * @param {String=} options.screenSharingExtensionId Chrome screen sharing extension id
  * @param {Object=} options.constraints Default local media constraints
  * @param {Object=} options.logger Enable logging
+ * @param {Function=} options.transport Default signaling transport factory for sessions, see {@link Flashphoner.createSession}
  * @throws {Error} Error if none of MediaProviders available
  * @memberof Flashphoner
  */
@@ -59,16 +122,32 @@ var init = function (options) {
         }
         // init logger
         logger.init(loggerConf.severity || "INFO", loggerConf.push || false, loggerConf.customLogger, loggerConf.enableLogs);
+        if (options.transport) {
+            createTransport = options.transport;
+        }
+        disableConnectionQualityCalculation = options.disableConnectionQualityCalculation;
+        preferredMediaProvider = options.preferredMediaProvider;
+        preferredMediaProviders = options.preferredMediaProviders || [];
+        if (!util.isBrowser()) {
+            //built-in media providers are not available outside of browser, registered providers only
+            mediaProviderConf = {};
+            enableRegisteredMediaProviders();
+            if (options.mediaProvidersReadyCallback) {
+                options.mediaProvidersReadyCallback(Object.keys(MediaProvider));
+            }
+            logger.info(LOG_PREFIX, "Initialized without built-in media providers");
+            initialized = true;
+            return;
+        }
         var waitingTemasys = false;
         try {
             var audioContext = new (window.AudioContext || window.webkitAudioContext)();
         } catch (e) {
             console.warn("Failed to create audio context");
         }
-        disableConnectionQualityCalculation = options.disableConnectionQualityCalculation;
         var webRtcProvider = require("./webrtc-media-provider");
         if (webRtcProvider && webRtcProvider.hasOwnProperty('available') && webRtcProvider.available()) {
-            MediaProvider.WebRTC = webRtcProvider;
+            addMediaProvider("WebRTC", webRtcProvider);
             var webRtcConf = {
                 constraints: options.constraints || getDefaultMediaConstraints(),
                 extensionId: options.screenSharingExtensionId,
@@ -84,21 +163,14 @@ var init = function (options) {
                 AdapterJS.webRTCReady(function (isUsingPlugin) {
                     isUsingTemasysPlugin = isUsingPlugin;
                     if (isUsingPlugin || webRtcProvider.available()) {
-                        MediaProvider.WebRTC = webRtcProvider;
+                        addMediaProvider("WebRTC", webRtcProvider);
                         var webRtcConf = {
                             constraints: options.constraints || getDefaultMediaConstraints(),
                             extensionId: options.screenSharingExtensionId,
                             logger: logger
                         };
                         webRtcProvider.configure(webRtcConf);
-
-                        // Just reorder media provider list
-                        var _MediaProvider = {};
-                        _MediaProvider.WebRTC = MediaProvider.WebRTC;
-                        for (var p in MediaProvider) {
-                            _MediaProvider[p] = MediaProvider[p];
-                        }
-                        MediaProvider = _MediaProvider;
+                        sortMediaProviders();
                     }
                     if (options.mediaProvidersReadyCallback) {
                         options.mediaProvidersReadyCallback(Object.keys(MediaProvider));
@@ -110,7 +182,7 @@ var init = function (options) {
         var flashProvider = require("./flash-media-provider");
         if (flashProvider && flashProvider.hasOwnProperty('available') && flashProvider.available() &&
             (!MediaProvider.WebRTC || (options.preferredMediaProviders && options.preferredMediaProviders.indexOf("Flash") >= 0))) {
-            MediaProvider.Flash = flashProvider;
+            addMediaProvider("Flash", flashProvider);
             var flashConf = {
                 constraints: options.constraints || getDefaultMediaConstraints(),
                 flashMediaProviderSwfLocation: options.flashMediaProviderSwfLocation,
@@ -120,7 +192,7 @@ var init = function (options) {
         }
         var mediaSourceMediaProvider = require("./media-source-media-provider");
         if (mediaSourceMediaProvider && mediaSourceMediaProvider.hasOwnProperty('available') && mediaSourceMediaProvider.available()) {
-            MediaProvider.MSE = mediaSourceMediaProvider;
+            addMediaProvider("MSE", mediaSourceMediaProvider);
             var mseConf = {
                 audioContext: audioContext,
                 browserDetails: browserDetails.browser
@@ -129,7 +201,7 @@ var init = function (options) {
         }
         var websocketProvider = require("./websocket-media-provider");
         if (websocketProvider && websocketProvider.hasOwnProperty('available') && websocketProvider.available(audioContext)) {
-            MediaProvider.WSPlayer = websocketProvider;
+            addMediaProvider("WSPlayer", websocketProvider);
             var wsConf = {
                 receiverLocation: options.receiverLocation,
                 decoderLocation: options.decoderLocation,
@@ -138,41 +210,20 @@ var init = function (options) {
             };
             websocketProvider.configure(wsConf);
         }
+        mediaProviderConf = {
+            constraints: options.constraints || getDefaultMediaConstraints(),
+            audioContext: audioContext
+        };
+        enableRegisteredMediaProviders();
 
-        //check at least 1 provider available
+        //check at least 1 provider available, preferences are applied by sortMediaProviders
         if (getMediaProviders().length == 0) {
-            throw new Error('None of MediaProviders available');
-        } else if (options.preferredMediaProvider) {
-            if (MediaProvider.hasOwnProperty(options.preferredMediaProvider)) {
-                if (getMediaProviders()[0] != options.preferredMediaProvider) {
-                    // Just reorder media provider list
-                    var _MediaProvider = {};
-                    _MediaProvider[options.preferredMediaProvider] = MediaProvider[options.preferredMediaProvider];
-                    for (var p in MediaProvider) {
-                        _MediaProvider[p] = MediaProvider[p];
-                    }
-                    MediaProvider = _MediaProvider;
-                }
-            } else {
-                logger.warn(LOG_PREFIX, "Preferred media provider is not available.");
-            }
-        }
-        if (options.preferredMediaProviders && options.preferredMediaProviders.length > 0) {
-            var newMediaProvider = {};
-            for (var i in options.preferredMediaProviders) {
-                if (options.preferredMediaProviders.hasOwnProperty(i)) {
-                    var pMP = options.preferredMediaProviders[i];
-                    if (MediaProvider.hasOwnProperty(pMP)) {
-                        newMediaProvider[pMP] = MediaProvider[pMP];
-                    }
-                }
-            }
-            if (util.isEmptyObject(newMediaProvider)) {
+            if (preferredMediaProviders.length > 0) {
                 throw new Error("None of preferred MediaProviders available");
-            } else {
-                MediaProvider = newMediaProvider;
             }
-
+            throw new Error('None of MediaProviders available');
+        } else if (preferredMediaProvider && !MediaProvider.hasOwnProperty(preferredMediaProvider)) {
+            logger.warn(LOG_PREFIX, "Preferred media provider is not available.");
         }
         if (!waitingTemasys && options.mediaProvidersReadyCallback) {
             options.mediaProvidersReadyCallback(Object.keys(MediaProvider));
@@ -182,6 +233,118 @@ var init = function (options) {
     }
 };
 
+/**
+ * Media provider contract. Provider is a plain object, methods below are validated by {@link Flashphoner.registerMediaProvider}.
+ *
+ * @typedef {Object} MediaProviderImpl
+ * @property {Function} available Returns true if provider can be used in current environment, receives audio context if any
+ * @property {Function} createConnection Create media connection (options, handler), returns Promise resolved with connection.
+ * Connection implements createOffer(options) and setRemoteSdp(sdp) returning Promises, close(cacheMedia), getStats(callback)
+ * and optionally volume, mute, fullScreen and device switching methods used by {@link Stream} and {@link Call}.
+ * Handler receives stream or call status updates from provider.
+ * @property {Function} getMediaAccess Get local media (constraints, display), returns Promise resolved with display
+ * @property {Function} releaseMedia Release local media of display, returns true if media was released
+ * @property {Function} listDevices List media devices, returns Promise
+ * @property {Function} playFirstSound Unlock audio playback
+ * @property {Function} playFirstVideo Unlock video playback, returns Promise
+ * @property {Function=} configure Called once before provider is used with configuration object
+ * containing logger, audioContext and constraints
+ * @memberof Flashphoner
+ */
+
+/**
+ * Register custom media provider. Provider registered before {@link Flashphoner.init} is enabled by init,
+ * provider registered later is enabled immediately. Provider is enabled only if its available() method returns true.
+ * Registration with name of built-in provider replaces it.
+ *
+ * @param {String} name Provider name used in mediaProvider option of streams and calls
+ * @param {Flashphoner~MediaProviderImpl} impl Provider implementation
+ * @param {Object=} options Registration options
+ * @param {Number=} options.priority Providers with higher priority are used by default first.
+ * Built-in priorities are WebRTC 40, Flash 30, MSE 20, WSPlayer 10, default is 0.
+ * Order of preferredMediaProviders passed to init takes precedence, providers not listed there are not used
+ * @throws {TypeError} Error if name is empty or provider doesn't implement required methods
+ * @memberof Flashphoner
+ */
+var registerMediaProvider = function (name, impl, options) {
+    if (!name || typeof name !== 'string') {
+        throw new TypeError("Media provider name should be a non empty string");
+    }
+    if (!impl || typeof impl !== 'object') {
+        throw new TypeError("Media provider " + name + " should be an object");
+    }
+    var missing = REQUIRED_MEDIA_PROVIDER_METHODS.filter(function (method) {
+        return typeof impl[method] !== 'function';
+    });
+    if (missing.length > 0) {
+        throw new TypeError("Media provider " + name + " doesn't implement " + missing.join(", "));
+    }
+    var priority = options && options.priority !== undefined ? options.priority : DEFAULT_MEDIA_PROVIDER_PRIORITY;
+    if (typeof priority !== 'number' || isNaN(priority)) {
+        throw new TypeError("Media provider priority should be a number");
+    }
+    registeredMediaProviders[name] = {impl: impl, priority: priority};
+    if (mediaProviderConf) {
+        enableMediaProvider(name, registeredMediaProviders[name]);
+        sortMediaProviders();
+    }
+};
+
+function addMediaProvider(name, impl, priority) {
+    MediaProvider[name] = impl;
+    mediaProviderPriority[name] = priority !== undefined ? priority : BUILTIN_MEDIA_PROVIDER_PRIORITY[name];
+}
+
+function enableMediaProvider(name, provider) {
+    if (!provider.impl.available(mediaProviderConf.audioContext)) {
+        logger.warn(LOG_PREFIX, "Media provider " + name + " is not available");
+        return;
+    }
+    if (typeof provider.impl.configure === 'function') {
+        provider.impl.configure({
+            logger: logger,
+            audioContext: mediaProviderConf.audioContext,
+            constraints: mediaProviderConf.constraints
+        });
+    }
+    addMediaProvider(name, provider.impl, provider.priority);
+    logger.info(LOG_PREFIX, "Media provider " + name + " registered");
+}
+
+function enableRegisteredMediaProviders() {
+    for (var name in registeredMediaProviders) {
+        if (registeredMediaProviders.hasOwnProperty(name)) {
+            enableMediaProvider(name, registeredMediaProviders[name]);
+        }
+    }
+    sortMediaProviders();
+}
+
+//order providers by priority, providers with equal priority keep registration order.
+//preferredMediaProviders of init define both order and allowed providers, preferredMediaProvider goes first
+function sortMediaProviders() {
+    var names = Object.keys(MediaProvider);
+    var sorted;
+    if (preferredMediaProviders.length > 0) {
+        sorted = preferredMediaProviders.filter(function (name, index) {
+            return MediaProvider.hasOwnProperty(name) && preferredMediaProviders.indexOf(name) == index;
+        });
+    } else {
+        sorted = names.slice().sort(function (a, b) {
+            return (mediaProviderPriority[b] - mediaProviderPriority[a]) || (names.indexOf(a) - names.indexOf(b));
+        });
+        var preferredIndex = sorted.indexOf(preferredMediaProvider);
+        if (preferredIndex > 0) {
+            sorted.unshift(sorted.splice(preferredIndex, 1)[0]);
+        }
+    }
+    var _MediaProvider = {};
+    sorted.forEach(function (name) {
+        _MediaProvider[name] = MediaProvider[name];
+    });
+    MediaProvider = _MediaProvider;
+}
+
 /**
  * Get available MediaProviders.
  *
@@ -342,6 +505,44 @@ function getConstraintsProperty(constraints, property, defaultValue) {
     return res || defaultValue;
 }
 
+/**
+ * Get simulcast layers from constraints.video.simulcast
+ *
+ * @param {Boolean|Array<Object>} simulcast True to use default layers or list of layers
+ * @param {Integer} maxBitrate Stream maxBitrate, limits bitrate of default layers
+ * @returns {Array<Object>} Layers {rid, scaleResolutionDownBy, maxBitrate, active} or null if simulcast is not used
+ * @throws {TypeError} Error if layer rid is not specified or duplicated
+ */
+function parseSimulcastLayers(simulcast, maxBitrate) {
+    if (!simulcast) {
+        return null;
+    }
+    var layers = simulcast === true ? DEFAULT_SIMULCAST_LAYERS : simulcast;
+    if (!Array.isArray(layers) || layers.length == 0) {
+        throw new TypeError("constraints.video.simulcast must be true or array of layers");
+    }
+    var rids = {};
+    return layers.map(function (layer) {
+        if (!layer || typeof layer.rid !== 'string' || !layer.rid) {
+            throw new TypeError("Simulcast layer rid must be provided");
+        }
+        if (rids[layer.rid]) {
+            throw new TypeError("Duplicate simulcast layer rid " + layer.rid);
+        }
+        rids[layer.rid] = true;
+        var layerBitrate = layer.maxBitrate;
+        if (simulcast === true && maxBitrate) {
+            layerBitrate = Math.min(layerBitrate, maxBitrate);
+        }
+        return {
+            rid: layer.rid,
+            scaleResolutionDownBy: layer.scaleResolutionDownBy || 1,
+            maxBitrate: layerBitrate,
+            active: layer.active !== false
+        };
+    });
+}
+
 /**
  * Release local media
  *
@@ -387,20 +588,39 @@ var getSession = function (id) {
  * Create new session and connect to server.
  *
  * @param {Object} options Session options
- * @param {string} options.urlServer Server address in form of [ws,wss]://host.domain:port
+ * @param {string|Array<string>} options.urlServer Server address in form of [ws,wss]://host.domain:port,
+ * or list of addresses to fail over in order of preference
  * @param {string} options.authToken Token for auth on server with keepalived client
  * @param {Boolean=} options.keepAlive Keep alive client on server after disconnect
- * @param {string=} options.lbUrl Load-balancer address
+ * @param {string|Array<string>=} options.lbUrl Load-balancer address or list of addresses to try in order of preference
+ * @param {Integer=} [options.lbTimeout=5000] Load-balancer request timeout in milliseconds
  * @param {string=} options.flashProto Flash protocol [rtmp,rtmfp]
  * @param {Integer=} options.flashPort Flash server port [1935]
  * @param {string=} options.appKey REST App key
  * @param {Object=} options.custom User provided custom object that will be available in REST App code
+ * @param {Function=} options.messageTopic Function returning topic of REST App data payload having no topic field.
+ * Such payload is passed to {@link Session~subscribe} handlers as a whole, data is fired as {@link Flashphoner.constants.SESSION_STATUS.APP_DATA} if topic is not returned
  * @param {Object=} options.sipOptions Sip configuration
  * @param {Object=} options.mediaOptions Media connection configuration
  * @param {Integer=} options.timeout Connection timeout in milliseconds
+ * @param {Boolean|Object=} options.reconnect Reconnect session if connection is lost, true to use default policy
+ * @param {Integer=} [options.reconnect.maxAttempts=5] Maximum reconnect attempts in a row
+ * @param {Integer=} [options.reconnect.delay=1000] Delay before the first attempt in milliseconds
+ * @param {Integer=} [options.reconnect.maxDelay=30000] Maximum delay between attempts in milliseconds
+ * @param {number=} [options.reconnect.multiplier=2] Delay multiplier applied after each failed attempt
+ * @param {number=} [options.reconnect.jitter=0.3] Random delay deviation, fraction of the delay
+ * @param {Boolean|Object=} options.watchdog Watch server traffic including server pings, disabled by default, true to use default settings
+ * @param {Integer=} [options.watchdog.degradedTimeout=10000] Fire DEGRADED event if no data is received from server within this time in milliseconds
+ * @param {Integer=} [options.watchdog.failedTimeout=0] Fail or reconnect session if no data is received from server within this time in milliseconds, 0 to disable.
+ * Should be longer than server ping interval
+ * @param {Integer=} [options.watchdog.pingInterval=0] Interval of client pings used to measure round trip time in milliseconds, 0 to disable pings.
+ * Round trip time is measured only if server answers client "ping" with "pong", WCS does not do it by default
+ * @param {Function=} options.transport Function creating signaling transport for given url.
+ * Transport should implement WebSocket interface, browser WebSocket is used by default.
+ * Use it to connect from Node.js, e.g. function(url) {return new (require('ws'))(url);}
  * @returns {Session} Created session
  * @throws {Error} Error if API is not initialized
- * @throws {TypeError} Error if options.urlServer is not specified
+ * @throws {TypeError} Error if options.urlServer is not specified or empty
  * @memberof Flashphoner
  */
 var createSession = function (options) {
@@ -408,14 +628,19 @@ var createSession = function (options) {
         throw new Error("Flashphoner API is not initialized");
     }
 
-    if (!options || !options.urlServer) {
+    if (!options || !options.urlServer || [].concat(options.urlServer).length == 0) {
         throw new TypeError("options.urlServer must be provided");
     }
 
     var id_ = uuid_v1();
     var sessionStatus = SESSION_STATUS.PENDING;
-    var urlServer = options.urlServer;
-    var lbUrl = options.lbUrl;
+    //servers to connect to, the first one is used if load balancer does not answer
+    var serverCandidates = [].concat(options.urlServer);
+    var urlServer = serverCandidates[0];
+    var lbUrls = options.lbUrl ? [].concat(options.lbUrl) : [];
+    var lbTimeout = options.lbTimeout || DEFAULT_LB_TIMEOUT;
+    //servers left to try if connection fails
+    var failoverServers = [];
     var flashProto = options.flashProto || "rtmfp";
     var flashPort = options.flashPort || 1935;
     var appKey = options.appKey || "defaultApp";
@@ -423,6 +648,19 @@ var createSession = function (options) {
     var keepAlive = options.keepAlive;
     var timeout = options.timeout;
     var connectionTimeout;
+    var reconnectPolicy = getPolicy(options.reconnect, DEFAULT_RECONNECT_POLICY);
+    var watchdogPolicy = getPolicy(options.watchdog, DEFAULT_WATCHDOG_POLICY);
+    var watchdogTimers = {};
+    var degraded = false;
+    var pingSentTime;
+    var rtt;
+    var reconnectAttempts = 0;
+    var reconnectTimer;
+    var reconnecting = false;
+    var disconnectRequested = false;
+    var transport = options.transport || createTransport;
+    //messages waiting for session to be established
+    var outboundQueue = [];
 
     var cConfig;
     //SIP config
@@ -449,6 +687,13 @@ var createSession = function (options) {
     var streamRefreshHandlers = {};
     //session to call callbacks
     var callRefreshHandlers = {};
+    //restore media after reconnect
+    var streamRestoreHandlers = {};
+    var callRestoreHandlers = {};
+    //stream reports for session diagnostics
+    var streamDiagnosticsHandlers = {};
+    var releasedStreamDiagnostics = [];
+    var sessionTimeline = diagnostics.createTimeline();
     /**
      * Represents connection to REST App.
      * Can create and store Streams.
@@ -457,70 +702,128 @@ var createSession = function (options) {
      * @namespace Session
      */
     var session = {};
-    //callbacks added using session.on()
-    var callbacks = {};
+    //listeners added using session.on()
+    var emitter = eventEmitter.create();
+    //topic message handlers added using session.subscribe()
+    var topics = eventEmitter.create();
+    var topicValidators = {};
 
     var wsConnection;
 
-    if (lbUrl) {
-        requestURL(lbUrl);
+    if (lbUrls.length > 0) {
+        requestURL(orderByHealth(lbUrls), 0);
     } else {
-        createWS(urlServer)
+        connectToServer(orderByHealth(serverCandidates), SERVER_SELECTION_REASON.PREFERRED);
     }
 
     //todo remove
     var remoteSdpCache = {};
 
-    //Request URL from load-balancer
-    function requestURL(url) {
-        var request = new XMLHttpRequest();
-        request.open('GET', url, true);
-        request.timeout = 5000;
-        request.ontimeout = function () {
-            logger.warn(LOG_PREFIX, "Timeout during geting url from balancer!");
-            createWS(urlServer);
+    //Request URL from load-balancers one by one, fall back to server list if none of them answers
+    function requestURL(urls, index) {
+        if (disconnectRequested) {
+            return;
         }
-        request.error = function () {
-            logger.warn(LOG_PREFIX, "Error during geting url from balancer!")
-            createWS(urlServer);
+        if (index >= urls.length) {
+            logger.warn(LOG_PREFIX, "None of load balancers answered, use server list");
+            connectToServer(orderByHealth(serverCandidates), SERVER_SELECTION_REASON.FALLBACK);
+            return;
         }
-        request.onload = function (e) {
-            if (request.status == 200 && request.readyState == 4) {
-                var result = JSON.parse(request.responseText);
-                if (urlServer.indexOf("wss://") !== -1) {
-                    urlServer = "wss://" + result.server + ":" + result.wss;
-                } else {
-                    urlServer = "ws://" + result.server + ":" + result.ws;
-                }
+        var url = urls[index];
+        httpGet(url, lbTimeout).then(function (responseText) {
+            var result = JSON.parse(responseText);
+            if (!result.server) {
+                throw new Error("Invalid response " + responseText);
+            }
+            if (result.flash) {
                 flashPort = result.flash;
-                logger.debug(LOG_PREFIX, "Got url from load balancer " + result.server);
-                createWS(urlServer);
             }
+            if (urlServer.indexOf("wss://") !== -1) {
+                return "wss://" + result.server + ":" + result.wss;
+            }
+            return "ws://" + result.server + ":" + result.ws;
+        }).then(function (server) {
+            markHealthy(url);
+            logger.debug(LOG_PREFIX, "Got url from load balancer " + url + ": " + server);
+            var servers = orderByHealth(serverCandidates).filter(function (candidate) {
+                return candidate !== server;
+            });
+            connectToServer([server].concat(servers), SERVER_SELECTION_REASON.BALANCER, url);
+        }, function (e) {
+            logger.warn(LOG_PREFIX, "Failed to get url from load balancer " + url + ": " + e.message);
+            markUnhealthy(url);
+            requestURL(urls, index + 1);
+        });
+    }
+
+    //connect to the first server of the list, others are used for failover
+    function connectToServer(servers, reason, balancer) {
+        if (disconnectRequested) {
+            return;
         }
-        request.send();
+        failoverServers = servers.slice(1);
+        selectServer(servers[0], reason, balancer);
+        createWS(urlServer);
+    }
+
+    function selectServer(url, reason, balancer) {
+        urlServer = url;
+        logger.info(LOG_PREFIX, "Selected server " + url + ", reason: " + reason);
+        var info = {url: url, reason: reason, balancer: balancer};
+        //fire asynchronously, the first server is selected before callbacks are added
+        setTimeout(function () {
+            emitter.emit(SESSION_STATUS.SERVER_SELECTED, session, info);
+        }, 0);
+    }
+
+    //try the next server if connection can't be opened, returns false if there are no servers left
+    function failover(ws) {
+        //established sessions are restored by reconnect
+        if (reconnecting || disconnectRequested || failoverServers.length == 0 || sessionStatus !== SESSION_STATUS.PENDING) {
+            return false;
+        }
+        logger.warn(LOG_PREFIX, "Failed to connect to " + urlServer);
+        markUnhealthy(urlServer);
+        wsConnection = null;
+        clearTimeout(connectionTimeout);
+        if (ws.readyState == 0 || ws.readyState == 1) {
+            ws.close();
+        }
+        connectToServer(failoverServers, SERVER_SELECTION_REASON.FAILOVER);
+        return true;
     }
 
     //connect session to server
     function createWS(url) {
-        wsConnection = new WebSocket(url);
+        var ws = transport(url);
+        wsConnection = ws;
         if (timeout != undefined && timeout > 0) {
           connectionTimeout = setTimeout(function() {
-            if (wsConnection.readyState == 0) {
+            if (ws.readyState == 0) {
               console.log("WS connection timeout");
-              wsConnection.close();
+              ws.close();
             }
           }, timeout);
         }
-        wsConnection.onerror = function () {
+        ws.onerror = function () {
+            //ignore events of the socket which was replaced by reconnect or failover
+            if (ws !== wsConnection || failover(ws) || scheduleReconnect(ws)) {
+                return;
+            }
             onSessionStatusChange(SESSION_STATUS.FAILED);
         };
-        wsConnection.onclose = function () {
+        ws.onclose = function () {
+            if (ws !== wsConnection || failover(ws) || scheduleReconnect(ws)) {
+                return;
+            }
             if (sessionStatus !== SESSION_STATUS.FAILED) {
                 onSessionStatusChange(SESSION_STATUS.DISCONNECTED);
             }
         };
-        wsConnection.onopen = function () {
-            onSessionStatusChange(SESSION_STATUS.CONNECTED);
+        ws.onopen = function () {
+            if (!reconnecting) {
+                onSessionStatusChange(SESSION_STATUS.CONNECTED);
+            }
             clearTimeout(connectionTimeout);
             cConfig = {
                 appKey: appKey,
@@ -528,8 +831,8 @@ var createSession = function (options) {
                 keepAlive: keepAlive,
                 authToken:authToken,
                 clientVersion: "0.5.28",
-                clientOSVersion: window.navigator.appVersion,
-                clientBrowserVersion: window.navigator.userAgent,
+                clientOSVersion: getClientOSVersion(),
+                clientBrowserVersion: getClientBrowserVersion(),
                 msePacketizationVersion: 2,
                 custom: options.custom
             };
@@ -538,11 +841,16 @@ var createSession = function (options) {
             }
             //connect to REST App
             send("connection", cConfig);
-            logger.setConnection(wsConnection);
+            logger.setConnection(ws);
         };
-        wsConnection.onmessage = function (event) {
+        ws.onmessage = function (event) {
+            if (ws !== wsConnection) {
+                return;
+            }
+            onServerActivity();
             var data = {};
-            if (event.data instanceof Blob) {
+            //Blob in browser, Buffer or ArrayBuffer in Node.js
+            if (typeof event.data !== 'string') {
                 data.message = "binaryData";
             } else {
                 data = JSON.parse(event.data);
@@ -552,10 +860,18 @@ var createSession = function (options) {
                 case 'ping':
                     send("pong", null);
                     break;
+                case 'pong':
+                    onPong();
+                    break;
                 case 'getUserData':
+                    markHealthy(urlServer);
                     authToken = obj.authToken;
                     cConfig = obj;
-                    onSessionStatusChange(SESSION_STATUS.ESTABLISHED, obj);
+                    if (reconnecting) {
+                        onReconnected(obj);
+                    } else {
+                        onSessionStatusChange(SESSION_STATUS.ESTABLISHED, obj);
+                    }
                     break;
                 case 'setRemoteSDP':
                     var mediaSessionId = data.data[0];
@@ -582,8 +898,8 @@ var createSession = function (options) {
                     restAppCommunicator.resolveData(obj);
                     break;
                 case 'OnDataEvent':
-                    if (callbacks[SESSION_STATUS.APP_DATA]) {
-                        callbacks[SESSION_STATUS.APP_DATA](obj);
+                    if (!restAppCommunicator.resolveReply(obj) && !routeMessage(obj)) {
+                        emitter.emit(SESSION_STATUS.APP_DATA, obj);
                     }
                     break;
                 case 'fail':
@@ -593,9 +909,7 @@ var createSession = function (options) {
                             streamRefreshHandlers[obj.id](obj);
                         }
                     }
-                    if (callbacks[SESSION_STATUS.WARN]) {
-                        callbacks[SESSION_STATUS.WARN](obj);
-                    }
+                    emitter.emit(SESSION_STATUS.WARN, obj);
                     break;
                 case 'registered':
                     onSessionStatusChange(SESSION_STATUS.REGISTERED);
@@ -625,17 +939,15 @@ var createSession = function (options) {
                     if (callRefreshHandlers[obj.callId]) {
                         logger.error(LOG_PREFIX, "Call already exists, id " + obj.callId);
                     }
-                    if (callbacks[SESSION_STATUS.INCOMING_CALL]) {
-                        callbacks[SESSION_STATUS.INCOMING_CALL](createCall(obj));
+                    if (emitter.hasListeners(SESSION_STATUS.INCOMING_CALL)) {
+                        emitter.emit(SESSION_STATUS.INCOMING_CALL, createCall(obj));
                     } else {
                         //todo hangup call
                     }
                     break;
                 case 'notifySessionDebugEvent':
                     logger.info(LOG_PREFIX, "Session debug status " + obj.status);
-                    if (callbacks[SESSION_STATUS.DEBUG]) {
-                        callbacks[SESSION_STATUS.DEBUG](obj);
-                    }
+                    emitter.emit(SESSION_STATUS.DEBUG, obj);
                     break;
                 case 'availableStream':
                     var availableStream = {};
@@ -658,30 +970,204 @@ var createSession = function (options) {
         };
     }
 
-    //WebSocket send helper
+    //Schedule reconnect if connection is lost, returns false if session should be closed
+    function scheduleReconnect(ws) {
+        if (!reconnectPolicy || disconnectRequested) {
+            return false;
+        }
+        if (!reconnecting && sessionStatus !== SESSION_STATUS.ESTABLISHED && sessionStatus !== SESSION_STATUS.REGISTERED) {
+            //never reconnect session which was not established
+            return false;
+        }
+        if (reconnectAttempts >= reconnectPolicy.maxAttempts) {
+            logger.warn(LOG_PREFIX, "Failed to reconnect after " + reconnectAttempts + " attempts");
+            reconnecting = false;
+            return false;
+        }
+        //detach lost socket, its late events will be ignored
+        wsConnection = null;
+        clearTimeout(connectionTimeout);
+        if (ws.readyState == 0 || ws.readyState == 1) {
+            ws.close();
+        }
+        markUnhealthy(urlServer);
+        var delay = getReconnectDelay(reconnectPolicy, reconnectAttempts);
+        reconnectAttempts++;
+        reconnecting = true;
+        logger.info(LOG_PREFIX, "Connection lost, reconnect attempt " + reconnectAttempts + " in " + delay + " ms");
+        reconnectTimer = setTimeout(function () {
+            reconnectTimer = null;
+            //prefer healthy server if the current one is lost
+            var server = orderByHealth(serverCandidates.indexOf(urlServer) == -1 ? [urlServer].concat(serverCandidates) : serverCandidates)[0];
+            if (server !== urlServer) {
+                selectServer(server, SERVER_SELECTION_REASON.FAILOVER);
+            }
+            createWS(urlServer);
+        }, delay);
+        onSessionStatusChange(SESSION_STATUS.RECONNECTING, {attempt: reconnectAttempts, delay: delay});
+        return true;
+    }
+
+    //Reconnect completion helper, restores active streams and calls
+    function onReconnected(obj) {
+        reconnecting = false;
+        reconnectAttempts = 0;
+        sessionStatus = SESSION_STATUS.ESTABLISHED;
+        flushQueue();
+        startWatchdog();
+        var prop;
+        for (prop in streamRestoreHandlers) {
+            if (streamRestoreHandlers.hasOwnProperty(prop)) {
+                streamRestoreHandlers[prop]();
+            }
+        }
+        for (prop in callRestoreHandlers) {
+            if (callRestoreHandlers.hasOwnProperty(prop)) {
+                callRestoreHandlers[prop]();
+            }
+        }
+        emitter.emit(SESSION_STATUS.RECONNECTED, session, obj);
+    }
+
+    //Watchdog helpers, track server traffic and measure round trip time with client pings
+    function startWatchdog() {
+        if (!watchdogPolicy) {
+            return;
+        }
+        stopWatchdog();
+        resetWatchdogTimers();
+        if (watchdogPolicy.pingInterval > 0) {
+            watchdogTimers.ping = setInterval(function () {
+                pingSentTime = Date.now();
+                send("ping", null);
+            }, watchdogPolicy.pingInterval);
+        }
+    }
+
+    function stopWatchdog() {
+        clearTimeout(watchdogTimers.degraded);
+        clearTimeout(watchdogTimers.failed);
+        clearInterval(watchdogTimers.ping);
+        watchdogTimers = {};
+        pingSentTime = undefined;
+        degraded = false;
+    }
+
+    function resetWatchdogTimers() {
+        clearTimeout(watchdogTimers.degraded);
+        clearTimeout(watchdogTimers.failed);
+        if (watchdogPolicy.degradedTimeout > 0) {
+            watchdogTimers.degraded = setTimeout(function () {
+                degraded = true;
+                logger.warn(LOG_PREFIX, "No data from server within " + watchdogPolicy.degradedTimeout + " ms");
+                emitter.emit(SESSION_STATUS.DEGRADED, session);
+            }, watchdogPolicy.degradedTimeout);
+        }
+        if (watchdogPolicy.failedTimeout > 0) {
+            watchdogTimers.failed = setTimeout(function () {
+                logger.warn(LOG_PREFIX, "No data from server within " + watchdogPolicy.failedTimeout + " ms, connection is lost");
+                var ws = wsConnection;
+                stopWatchdog();
+                if (!scheduleReconnect(ws)) {
+                    //detach silent socket, its close may take long
+                    wsConnection = null;
+                    ws.close();
+                    onSessionStatusChange(SESSION_STATUS.FAILED);
+                }
+            }, watchdogPolicy.failedTimeout);
+        }
+    }
+
+    function onServerActivity() {
+        if (!watchdogTimers.degraded && !watchdogTimers.failed) {
+            return;
+        }
+        if (degraded) {
+            degraded = false;
+            emitter.emit(SESSION_STATUS.RECOVERED, session);
+        }
+        resetWatchdogTimers();
+    }
+
+    function onPong() {
+        if (pingSentTime === undefined) {
+            return;
+        }
+        rtt = Date.now() - pingSentTime;
+        pingSentTime = undefined;
+        emitter.emit(SESSION_STATUS.RTT, session, rtt);
+    }
+
+    //released stream stays in diagnostics until newer released streams push it out
+    function releaseStreamDiagnostics(id) {
+        if (!streamDiagnosticsHandlers[id]) {
+            return;
+        }
+        releasedStreamDiagnostics.push(streamDiagnosticsHandlers[id]);
+        if (releasedStreamDiagnostics.length > RELEASED_STREAM_REPORTS) {
+            releasedStreamDiagnostics.shift();
+        }
+        delete streamDiagnosticsHandlers[id];
+    }
+
+    //WebSocket send helper, queues messages until session is established
     function send(message, data) {
-        wsConnection.send(JSON.stringify({
+        var payload = JSON.stringify({
             message: message,
             data: [data]
-        }));
+        });
+        if (HANDSHAKE_MESSAGES.indexOf(message) !== -1 ||
+            sessionStatus == SESSION_STATUS.ESTABLISHED || sessionStatus == SESSION_STATUS.REGISTERED) {
+            write(message, payload);
+        } else if (sessionStatus == SESSION_STATUS.DISCONNECTED || sessionStatus == SESSION_STATUS.FAILED) {
+            logger.warn(LOG_PREFIX, "Session is " + sessionStatus + ", drop message " + message);
+        } else {
+            outboundQueue.push({message: message, data: data, payload: payload});
+        }
+    }
+
+    function write(message, payload) {
+        if (!wsConnection || wsConnection.readyState !== 1) {
+            logger.warn(LOG_PREFIX, "Connection is not open, drop message " + message);
+            return;
+        }
+        wsConnection.send(payload);
+    }
+
+    function flushQueue() {
+        var queue = outboundQueue;
+        outboundQueue = [];
+        for (var i = 0; i < queue.length; i++) {
+            write(queue[i].message, queue[i].payload);
+        }
     }
 
     //Session status update helper
     function onSessionStatusChange(newStatus, obj) {
         sessionStatus = newStatus;
+        sessionTimeline.add("status", {status: sessionStatus});
+        if (sessionStatus == SESSION_STATUS.ESTABLISHED) {
+            flushQueue();
+            startWatchdog();
+        } else if (sessionStatus == SESSION_STATUS.RECONNECTING) {
+            stopWatchdog();
+            //replies to messages sent over lost connection will never arrive
+            restAppCommunicator.rejectPending(sessionStatus);
+        }
         if (sessionStatus == SESSION_STATUS.DISCONNECTED || sessionStatus == SESSION_STATUS.FAILED) {
+            stopWatchdog();
+            outboundQueue = [];
+            restAppCommunicator.rejectPending(sessionStatus);
             //remove streams
             for (var prop in streamRefreshHandlers) {
                 if (streamRefreshHandlers.hasOwnProperty(prop) && typeof streamRefreshHandlers[prop] === 'function') {
-                    streamRefreshHandlers[prop]({status: STREAM_STATUS.FAILED});
+                    streamRefreshHandlers[prop]({status: STREAM_STATUS.FAILED, info: STREAM_STATUS_INFO.STOPPED_BY_SESSION_DISCONNECT});
                 }
             }
             //remove session from list
             delete sessions[id_];
         }
-        if (callbacks[sessionStatus]) {
-            callbacks[sessionStatus](session, obj);
-        }
+        emitter.emit(sessionStatus, session, obj);
     }
 
     /**
@@ -708,6 +1194,16 @@ var createSession = function (options) {
      * @param {Array<string>=} options.stripCodecs Array of codecs which should be stripped from SDP (WebRTC)
      * @param {Array<string>=} options.sipSDP Array of custom SDP params (ex. bandwidth (b=))
      * @param {Array<string>=} options.sipHeaders Array of custom SIP headers
+     * @param {Boolean|Object=} options.stats Collect statistics periodically while call is established,
+     * see {@link Flashphoner.constants.CALL_STATUS.STATS}
+     * @param {Integer=} [options.stats.interval=1000] Collection interval, ms
+     * @param {Integer=} [options.stats.window=5] Samples to compute bitrate, packet loss and fps over
+     * @param {Integer=} [options.stats.historySize=60] Samples kept in history
+     * @param {Boolean|Object=} options.audioLevel Measure audio level of remote audio while call is established,
+     * see {@link Flashphoner.constants.CALL_STATUS.AUDIO_LEVEL}
+     * @param {Integer=} [options.audioLevel.interval=100] Metering interval, ms
+     * @param {Number=} [options.audioLevel.threshold=0.03] Speaking level from 0 to 1
+     * @param {Integer=} [options.audioLevel.silenceDelay=500] Silence to end speaking, ms
      * @param {sdpHook} sdpHook The callback that handles sdp from the server
      * @returns {Call} Call
      * @throws {TypeError} Error if no options provided
@@ -739,6 +1235,7 @@ var createSession = function (options) {
 
         var info_;
         var errorInfo_;
+        var error_;
         // Constraints
         if (options.constraints) {
             var constraints = options.constraints;
@@ -760,11 +1257,13 @@ var createSession = function (options) {
 
         var cacheLocalResources = options.cacheLocalResources;
         var status_ = CALL_STATUS.NEW;
-        var callbacks = {};
+        var emitter = eventEmitter.create();
         var hasTransferredCall = false;
         var sdpHook = options.sdpHook;
         var sipSDP = options.sipSDP;
         var sipHeaders = options.sipHeaders;
+        var collector = options.stats ? statsCollector.create(options.stats) : null;
+        var audioMeter = options.audioLevel ? audioLevel.createMeter(options.audioLevel) : null;
         /**
          * Represents sip call.
          *
@@ -807,20 +1306,91 @@ var createSession = function (options) {
             }
             var event = callInfo.status;
             status_ = event;
+            if (callInfo.info) {
+                info_ = callInfo.info;
+            }
+            if (collector && event == CALL_STATUS.ESTABLISHED) {
+                startStatsCollection();
+            }
+            if (audioMeter && event == CALL_STATUS.ESTABLISHED) {
+                startAudioLevelMetering();
+            }
             //release call
             if (event == CALL_STATUS.FAILED || event == CALL_STATUS.FINISH ||
                 event == CALL_STATUS.BUSY) {
+                if (collector) {
+                    collector.stop();
+                }
+                if (audioMeter) {
+                    audioMeter.stop();
+                }
                 delete calls[id_];
                 delete callRefreshHandlers[id_];
+                delete callRestoreHandlers[id_];
                 if (Object.keys(calls).length == 0) {
                     if (mediaConnection)
                         mediaConnection.close(cacheLocalResources);
                 }
             }
             //fire call event
-            if (callbacks[event]) {
-                callbacks[event](call);
+            if (event == CALL_STATUS.FAILED) {
+                error_ = errors.fromCallInfo(info_, errorInfo_, event);
+                emitter.emit(event, call, error_);
+            } else {
+                emitter.emit(event, call);
+            }
+        };
+
+        //redial outgoing call after session reconnect, incoming call can't be restored
+        callRestoreHandlers[id_] = function () {
+            if (status_ == CALL_STATUS.NEW) {
+                return;
+            }
+            if (options.incoming) {
+                logger.warn(LOG_PREFIX, "Incoming call can't be restored, id " + id_);
+                if (mediaConnection) {
+                    mediaConnection.close(cacheLocalResources);
+                }
+                callRefreshHandlers[id_]({status: CALL_STATUS.FAILED});
+                return;
+            }
+            logger.info(LOG_PREFIX, "Restore call " + id_);
+            if (collector) {
+                collector.stop();
+                collector.clear();
+            }
+            if (audioMeter) {
+                audioMeter.stop();
+                audioMeter.reset();
+            }
+            if (mediaConnection) {
+                //keep local media to reuse it in the new connection
+                mediaConnection.close(true);
+                mediaConnection = null;
+            }
+            status_ = CALL_STATUS.NEW;
+            call_();
+        };
+
+        var startStatsCollection = function () {
+            collector.start(getStats, function (sample) {
+                emitter.emit(CALL_STATUS.STATS, call, sample);
+            });
+        };
+
+        var startAudioLevelMetering = function () {
+            if (!mediaConnection || !mediaConnection.getAudioLevel) {
+                logger.warn(LOG_PREFIX, "Media provider " + mediaProvider + " can't measure audio level");
+                return;
             }
+            audioMeter.start(function () {
+                return mediaConnection ? mediaConnection.getAudioLevel(true) : 0;
+            }, function (level, changed) {
+                emitter.emit(CALL_STATUS.AUDIO_LEVEL, call, level);
+                if (changed) {
+                    emitter.emit(audioMeter.isSpeaking() ? CALL_STATUS.SPEAKING : CALL_STATUS.SILENT, call, level);
+                }
+            });
         };
 
         /**
@@ -1224,6 +1794,40 @@ var createSession = function (options) {
                 mediaConnection.getStats(callbackFn, nativeStats);
             }
         };
+
+        /**
+         * Get statistics collected with stats option
+         *
+         * @returns {Array<Object>} Samples {timestamp, stats, metrics} from the oldest one,
+         * see {@link Flashphoner.constants.CALL_STATUS.STATS}
+         * @memberof Call
+         * @inner
+         */
+        var getStatsHistory = function () {
+            return collector ? collector.getHistory() : [];
+        };
+
+        /**
+         * Get the latest remote audio level measured with audioLevel option
+         *
+         * @returns {Number} Level from 0 to 1
+         * @memberof Call
+         * @inner
+         */
+        var getAudioLevel = function () {
+            return audioMeter ? audioMeter.getLevel() : 0;
+        };
+
+        /**
+         * Check if remote party is speaking, requires audioLevel option
+         *
+         * @returns {Boolean} True if remote audio is above speaking threshold
+         * @memberof Call
+         * @inner
+         */
+        var isSpeaking = function () {
+            return audioMeter ? audioMeter.isSpeaking() : false;
+        };
         /**
          * Place call on hold
          *
@@ -1285,6 +1889,7 @@ var createSession = function (options) {
 
         /**
          * Add call event callback.
+         * Several callbacks may be added to the same event, use "*" as event to receive all events.
          *
          * @param {string} event One of {@link Flashphoner.constants.CALL_STATUS} events
          * @param {Call~eventCallback} callback Callback function
@@ -1295,13 +1900,38 @@ var createSession = function (options) {
          * @inner
          */
         var on = function (event, callback) {
-            if (!event) {
-                throw new TypeError("Event can't be null");
-            }
-            if (!callback || typeof callback !== 'function') {
-                throw new Error("Callback needs to be a valid function");
-            }
-            callbacks[event] = callback;
+            emitter.on(event, callback);
+            return call;
+        };
+
+        /**
+         * Add call event callback which is removed after the first call.
+         *
+         * @param {string} event One of {@link Flashphoner.constants.CALL_STATUS} events
+         * @param {Call~eventCallback} callback Callback function
+         * @returns {Call} Call callback was attached to
+         * @throws {TypeError} Error if event is not specified
+         * @throws {Error} Error if callback is not a valid function
+         * @memberof Call
+         * @inner
+         */
+        var once = function (event, callback) {
+            emitter.once(event, callback);
+            return call;
+        };
+
+        /**
+         * Remove call event callback.
+         * Removes all callbacks of the event if callback is not specified, and all callbacks at all if event is not specified.
+         *
+         * @param {string=} event One of {@link Flashphoner.constants.CALL_STATUS} events
+         * @param {Call~eventCallback=} callback Callback function
+         * @returns {Call} Call
+         * @memberof Call
+         * @inner
+         */
+        var off = function (event, callback) {
+            emitter.off(event, callback);
             return call;
         };
 
@@ -1387,15 +2017,63 @@ var createSession = function (options) {
             return errorInfo_;
         };
 
+        /**
+         * Get call error, available after {@link Flashphoner.constants.CALL_STATUS.FAILED} event.
+         * The error is also passed to FAILED event callback as second argument.
+         *
+         * @returns {Flashphoner.errors.FlashphonerError} Error
+         * @memberof Call
+         * @inner
+         */
+        var getError = function () {
+            return error_;
+        };
+
+        /**
+         * Initiate outgoing call and wait for it to be established.
+         *
+         * @param {Integer=} timeout Time to wait in milliseconds, 30 seconds if not set, 0 to wait without limit
+         * @returns {Promise<Call>} Resolves on {@link Flashphoner.constants.CALL_STATUS.ESTABLISHED},
+         * rejects with error if call fails, finishes or timeout expires
+         * @memberof Call
+         * @inner
+         */
+        var callAsync = function (timeout) {
+            return waitForStatus(call, [CALL_STATUS.ESTABLISHED],
+                [CALL_STATUS.FAILED, CALL_STATUS.BUSY, CALL_STATUS.FINISH], timeout, call_);
+        };
+
+        /**
+         * Answer incoming call and wait for it to be established.
+         *
+         * @param {Object} answerOptions Call options, see {@link Call~answer}
+         * @param {Integer=} timeout Time to wait in milliseconds, 30 seconds if not set, 0 to wait without limit
+         * @returns {Promise<Call>} Resolves on {@link Flashphoner.constants.CALL_STATUS.ESTABLISHED},
+         * rejects with error if call fails, finishes or timeout expires
+         * @memberof Call
+         * @inner
+         */
+        var answerAsync = function (answerOptions, timeout) {
+            return waitForStatus(call, [CALL_STATUS.ESTABLISHED],
+                [CALL_STATUS.FAILED, CALL_STATUS.BUSY, CALL_STATUS.FINISH], timeout, function () {
+                    answer(answerOptions);
+                });
+        };
 
         call.call = call_;
+        call.callAsync = callAsync;
         call.answer = answer;
+        call.answerAsync = answerAsync;
         call.hangup = hangup;
         call.id = id;
         call.getInfo = getInfo;
         call.getErrorInfo = getErrorInfo;
+        call.getError = getError;
         call.status = status;
         call.getStats = getStats;
+        call.getStatsHistory = getStatsHistory;
+        call.getAudioLevel = getAudioLevel;
+        call.isSpeaking = isSpeaking;
         call.setAudioOutputId = setAudioOutputId;
         call.setVolume = setVolume;
         call.getVolume = getVolume;
@@ -1414,6 +2092,8 @@ var createSession = function (options) {
         call.sendDTMF = sendDTMF;
         call.transfer = transfer;
         call.on = on;
+        call.once = once;
+        call.off = off;
         call.switchCam = switchCam;
         call.switchMic = switchMic;
         call.switchToScreen = switchToScreen;
@@ -1443,6 +2123,12 @@ var createSession = function (options) {
      * @param {Integer} [options.constraints.video.bitrate=0] DEPRECATED FOR PUBLISH: Set bitrate to publish or play stream with this value
      * @param {Integer} [options.constraints.video.minBitrate=0] Set minimal bitrate to publish stream with this value
      * @param {Integer} [options.constraints.video.maxBitrate=0] Set maximal bitrate to publish stream with this value
+     * @param {Boolean|Array<Object>=} options.constraints.video.simulcast Publish several encodings of video (WebRTC).
+     * True to publish default layers q, h, f scaled down by 4, 2 and 1, or list of layers from the lowest to the highest one
+     * @param {string} options.constraints.video.simulcast.rid Layer id
+     * @param {Number=} [options.constraints.video.simulcast.scaleResolutionDownBy=1] Layer resolution scale
+     * @param {Integer=} options.constraints.video.simulcast.maxBitrate Layer maximal bitrate, kbps
+     * @param {Boolean=} [options.constraints.video.simulcast.active=true] Layer is sent
      * @param {Integer} [options.constraints.video.quality=0] Set quality to play stream with this value
      * @param {MediaStream} [options.constraints.customStream] Set a MediaStream  for publish stream from canvas.
      * @param {Boolean=} options.receiveAudio DEPRECATED: Receive audio
@@ -1462,10 +2148,26 @@ var createSession = function (options) {
      * @param {string=} options.transport Transport to be used by server for WebRTC media, {@link Flashphoner.constants.TRANSPORT_TYPE}
      * @param {Boolean=} options.cvoExtension Enable rtp video orientation extension
      * @param {Integer=} options.playoutDelay Time delay between network reception of media and playout
+     * @param {Boolean|Object=} options.adaptiveBitrate Lower published video encoding within minBitrate/maxBitrate constraints
+     * on sustained BAD connection quality or NOT_ENOUGH_BANDWIDTH and raise it back when quality recovers (WebRTC),
+     * see {@link Flashphoner.constants.BITRATE_ADAPTATION}
+     * @param {Integer=} [options.adaptiveBitrate.badQualityCount=3] BAD quality updates in a row to lower encoding
+     * @param {Integer=} [options.adaptiveBitrate.goodQualityCount=5] PERFECT quality updates in a row to raise encoding
+     * @param {Boolean|Object=} options.stats Collect statistics periodically while stream is published or played,
+     * see {@link Flashphoner.constants.STREAM_STATUS.STATS}
+     * @param {Integer=} [options.stats.interval=1000] Collection interval, ms
+     * @param {Integer=} [options.stats.window=5] Samples to compute bitrate, packet loss and fps over
+     * @param {Integer=} [options.stats.historySize=60] Samples kept in history
+     * @param {Boolean|Object=} options.audioLevel Measure audio level of local microphone while stream is published
+     * or remote audio while it is played, see {@link Flashphoner.constants.STREAM_STATUS.AUDIO_LEVEL}
+     * @param {Integer=} [options.audioLevel.interval=100] Metering interval, ms
+     * @param {Number=} [options.audioLevel.threshold=0.03] Speaking level from 0 to 1
+     * @param {Integer=} [options.audioLevel.silenceDelay=500] Silence to end speaking, ms
      * @param {sdpHook} sdpHook The callback that handles sdp from the server
      * @returns {Stream} Stream
      * @throws {TypeError} Error if no options provided
      * @throws {TypeError} Error if options.name is not specified
+     * @throws {TypeError} Error if simulcast layers are invalid
      * @throws {Error} Error if session state is not ESTABLISHED
      * @memberof Session
      * @inner
@@ -1536,6 +2238,7 @@ var createSession = function (options) {
         var bitrate = getConstraintsProperty(constraints, "video.bitrate", 0);
         var minBitrate = getConstraintsProperty(constraints, "video.minBitrate", 0);
         var maxBitrate = getConstraintsProperty(constraints, "video.maxBitrate", 0);
+        var simulcastLayers = parseSimulcastLayers(getConstraintsProperty(constraints, "video.simulcast", null), maxBitrate);
 
         // Quality
         var quality = getConstraintsProperty(constraints, "video.quality", 0);
@@ -1554,20 +2257,51 @@ var createSession = function (options) {
         var rtmpUrl = options.rtmpUrl;
         var info_;
         var errorInfo_;
+        var error_;
         var remoteBitrate = -1;
         var networkBandwidth = -1;
         var sdpHook = options.sdpHook;
         var transportType = options.transport;
         var cvoExtension = options.cvoExtension;
         var remoteVideo = options.remoteVideo;
-        //callbacks added using stream.on()
-        var callbacks = {};
+        //listeners added using stream.on()
+        var emitter = eventEmitter.create();
         var playoutDelay = options.playoutDelay;
 
         var connectionQuality;
+        //the last quality added to timeline, quality is updated every second so only changes are recorded
+        var recordedQuality;
 
         var videoBytes = 0;
 
+        var adaptation;
+        if (options.adaptiveBitrate && simulcastLayers) {
+            //layers keep their own bitrates, viewers are switched between layers by server
+            logger.warn(LOG_PREFIX, "Bitrate adaptation is not used with simulcast");
+        } else if (options.adaptiveBitrate) {
+            var adaptationOptions = typeof options.adaptiveBitrate === 'object' ? options.adaptiveBitrate : {};
+            adaptation = bitrateAdaptation.create({
+                minBitrate: minBitrate,
+                maxBitrate: maxBitrate,
+                badQualityCount: adaptationOptions.badQualityCount,
+                goodQualityCount: adaptationOptions.goodQualityCount
+            }, function (parameters) {
+                if (!mediaConnection || !mediaConnection.setEncodingParameters) {
+                    return Promise.reject(new Error("Media provider " + mediaProvider + " can't change encoding"));
+                }
+                return mediaConnection.setEncodingParameters(parameters);
+            }, function (step) {
+                timeline.add("adaptation", {info: step.reason, level: step.level, maxBitrate: step.maxBitrate});
+                emitter.emit(BITRATE_ADAPTATION.STEP, stream, step);
+            });
+        }
+
+        var collector = options.stats ? statsCollector.create(options.stats) : null;
+        var audioMeter = options.audioLevel ? audioLevel.createMeter(options.audioLevel) : null;
+        var timeline = diagnostics.createTimeline();
+        var localSdp;
+        var remoteSdp;
+
         /**
          * Represents media stream.
          *
@@ -1581,6 +2315,7 @@ var createSession = function (options) {
                 var _sdp = sdp;
                 if (_codecOptions) _sdp = util.SDP.writeFmtp(sdp, _codecOptions, "opus");
                 _sdp = sdpHookHandler(_sdp, sdpHook);
+                remoteSdp = _sdp;
                 mediaConnection.setRemoteSdp(_sdp).then(function () {
                 });
                 return;
@@ -1614,6 +2349,9 @@ var createSession = function (options) {
                 var info = streamInfo.info.split("/");
                 remoteBitrate = info[0];
                 networkBandwidth = info[1];
+                if (adaptation && published_) {
+                    adaptation.onNotEnoughBandwidth();
+                }
             } else {
                 status_ = event;
             }
@@ -1621,12 +2359,27 @@ var createSession = function (options) {
             if (streamInfo.info)
                 info_ = streamInfo.info;
 
+            timeline.add("status", {status: event, info: streamInfo.info});
+            if (collector && (event == STREAM_STATUS.PUBLISHING || event == STREAM_STATUS.PLAYING)) {
+                startStatsCollection();
+            }
+            if (audioMeter && (event == STREAM_STATUS.PUBLISHING || event == STREAM_STATUS.PLAYING)) {
+                startAudioLevelMetering();
+            }
             //release stream
             if (event == STREAM_STATUS.FAILED || event == STREAM_STATUS.STOPPED ||
                 event == STREAM_STATUS.UNPUBLISHED) {
+                if (collector) {
+                    collector.stop();
+                }
+                if (audioMeter) {
+                    audioMeter.stop();
+                }
 
                 delete streams[id_];
                 delete streamRefreshHandlers[id_];
+                delete streamRestoreHandlers[id_];
+                releaseStreamDiagnostics(id_);
                 if (mediaConnection) {
                     mediaConnection.close(cacheLocalResources);
                 }
@@ -1635,11 +2388,68 @@ var createSession = function (options) {
                 recordFileName = streamInfo.recordName;
             }
             //fire stream event
-            if (callbacks[event]) {
-                callbacks[event](stream);
+            if (event == STREAM_STATUS.FAILED) {
+                error_ = errors.fromStreamInfo(info_, errorInfo_, event);
+                emitter.emit(event, stream, error_);
+            } else {
+                emitter.emit(event, stream);
+            }
+        };
+
+        //republish or replay stream after session reconnect
+        streamRestoreHandlers[id_] = function () {
+            if (status_ == STREAM_STATUS.NEW) {
+                return;
+            }
+            logger.info(LOG_PREFIX, "Restore stream " + name_);
+            if (mediaConnection) {
+                //keep local media to reuse it in the new connection
+                mediaConnection.close(published_ || cacheLocalResources);
+                mediaConnection = null;
+            }
+            videoBytes = 0;
+            recordedQuality = undefined;
+            if (adaptation) {
+                adaptation.reset();
+            }
+            if (collector) {
+                //counters of the new media connection start from zero
+                collector.stop();
+                collector.clear();
+            }
+            if (audioMeter) {
+                audioMeter.stop();
+                audioMeter.reset();
+            }
+            status_ = STREAM_STATUS.NEW;
+            if (published_) {
+                publish();
+            } else {
+                play();
             }
         };
 
+        var startStatsCollection = function () {
+            collector.start(getStats, function (sample) {
+                emitter.emit(STREAM_STATUS.STATS, stream, sample);
+            });
+        };
+
+        var startAudioLevelMetering = function () {
+            if (!mediaConnection || !mediaConnection.getAudioLevel) {
+                logger.warn(LOG_PREFIX, "Media provider " + mediaProvider + " can't measure audio level");
+                return;
+            }
+            audioMeter.start(function () {
+                return mediaConnection ? mediaConnection.getAudioLevel(!published_) : 0;
+            }, function (level, changed) {
+                emitter.emit(STREAM_STATUS.AUDIO_LEVEL, stream, level);
+                if (changed) {
+                    emitter.emit(audioMeter.isSpeaking() ? STREAM_STATUS.SPEAKING : STREAM_STATUS.SILENT, stream, level);
+                }
+            });
+        };
+
         var detectConnectionQuality = function (event, streamInfo) {
             if (disableConnectionQualityCalculation) {
                 return;
@@ -1686,9 +2496,16 @@ var createSession = function (options) {
                         currentQuality = CONNECTION_QUALITY.PERFECT;
                     }
                 }
-                if (callbacks[CONNECTION_QUALITY.UPDATE]) {
+                if (currentQuality != recordedQuality) {
+                    recordedQuality = currentQuality;
+                    timeline.add("quality", {quality: currentQuality});
+                }
+                if (emitter.hasListeners(CONNECTION_QUALITY.UPDATE)) {
                     connectionQuality = currentQuality;
-                    callbacks[CONNECTION_QUALITY.UPDATE](connectionQuality, clientFiltered, serverFiltered);
+                    emitter.emit(CONNECTION_QUALITY.UPDATE, connectionQuality, clientFiltered, serverFiltered);
+                }
+                if (adaptation && published_) {
+                    adaptation.onQuality(currentQuality);
                 }
                 videoBytes = bytesSentReceived;
             });
@@ -1737,6 +2554,7 @@ var createSession = function (options) {
                 });
             }).then(function (offer) {
                 logger.debug(LOG_PREFIX, "Offer SDP:\n" + offer.sdp);
+                localSdp = offer.sdp;
                 //request stream with offer sdp from server
                 send("playStream", {
                     mediaSessionId: id_,
@@ -1763,8 +2581,12 @@ var createSession = function (options) {
                     offer.player.play(id_);
                 }
             }).catch(function (error) {
-                //todo fire stream failed status
-                throw error;
+                logger.warn(LOG_PREFIX, error);
+                errorInfo_ = error.message;
+                //release stream and fire stream failed status, handler is removed if stream is already released
+                if (streamRefreshHandlers[id_]) {
+                    streamRefreshHandlers[id_]({status: STREAM_STATUS.FAILED, info: ERROR_INFO.LOCAL_ERROR});
+                }
             });
         };
 
@@ -1808,7 +2630,8 @@ var createSession = function (options) {
                     constraints: constraints,
                     connectionConfig: mediaOptions,
                     connectionConstraints: mediaConnectionConstraints,
-                    customStream: constraints && constraints.customStream ? constraints.customStream : false
+                    customStream: constraints && constraints.customStream ? constraints.customStream : false,
+                    simulcast: simulcastLayers
                 }).then(function (newConnection) {
                     mediaConnection = newConnection;
                     return mediaConnection.createOffer({
@@ -1816,6 +2639,7 @@ var createSession = function (options) {
                     });
                 }).then(function (offer) {
                     logger.debug(LOG_PREFIX, "Offer SDP:\n" + offer.sdp);
+                    localSdp = offer.sdp;
                     //publish stream with offer sdp to server
                     send("publishStream", {
                         mediaSessionId: id_,
@@ -1842,10 +2666,55 @@ var createSession = function (options) {
                 info_ = ERROR_INFO.LOCAL_ERROR;
                 errorInfo_ = error.message;
                 status_ = STREAM_STATUS.FAILED;
+                error_ = errors.fromStreamInfo(info_, errorInfo_, status_);
+                timeline.add("status", {status: status_, info: errorInfo_});
                 //fire stream event
-                if (callbacks[status_]) {
-                    callbacks[status_](stream);
-                }
+                emitter.emit(status_, stream, error_);
+            });
+        };
+
+        /**
+         * Get simulcast layers of published stream
+         *
+         * @returns {Array<Object>} Layers {rid, scaleResolutionDownBy, maxBitrate, active} or empty array if simulcast is not used
+         * @memberof Stream
+         * @inner
+         */
+        var getSimulcastLayers = function () {
+            if (!simulcastLayers) {
+                return [];
+            }
+            return simulcastLayers.map(function (layer) {
+                var copy = {};
+                util.copyObjectPropsToAnotherObject(layer, copy);
+                return copy;
+            });
+        };
+
+        /**
+         * Enable or disable simulcast layer in real-time, disabled layer is not sent to server.
+         * Works only with WebRTC
+         *
+         * @param {string} rid Layer id
+         * @param {Boolean} active Send layer
+         * @returns {Promise} Resolved when layer state is applied
+         * @throws {TypeError} Error if there is no layer with such rid
+         * @throws {Error} Error if stream status is not {@link Flashphoner.constants.STREAM_STATUS.PUBLISHING}
+         * @memberof Stream
+         * @inner
+         */
+        var setSimulcastLayerActive = function (rid, active) {
+            var layer = (simulcastLayers || []).filter(function (layer) {
+                return layer.rid === rid;
+            })[0];
+            if (!layer) {
+                throw new TypeError("Unknown simulcast layer " + rid);
+            }
+            if (status_ !== STREAM_STATUS.PUBLISHING) {
+                throw new Error('Invalid stream state');
+            }
+            return mediaConnection.setSimulcastLayerActive(rid, !!active).then(function () {
+                layer.active = !!active;
             });
         };
 
@@ -2101,6 +2970,18 @@ var createSession = function (options) {
             return errorInfo_;
         };
 
+        /**
+         * Get stream error, available after {@link Flashphoner.constants.STREAM_STATUS.FAILED} event.
+         * The error is also passed to FAILED event callback as second argument.
+         *
+         * @returns {Flashphoner.errors.FlashphonerError} Error
+         * @memberof Stream
+         * @inner
+         */
+        var getError = function () {
+            return error_;
+        };
+
         /**
          * Get stream video size
          * @returns {Object} Video size
@@ -2273,6 +3154,97 @@ var createSession = function (options) {
             return networkBandwidth;
         };
 
+        /**
+         * Get the last step of bitrate adaptation, works only for published Stream with adaptiveBitrate option
+         *
+         * @returns {Object} Step passed with {@link Flashphoner.constants.BITRATE_ADAPTATION.STEP} or null if encoding is original
+         * @memberof Stream
+         * @inner
+         */
+        var getBitrateAdaptation = function () {
+            if (!adaptation || adaptation.getLevel() == 0) {
+                return null;
+            }
+            return adaptation.getStep();
+        };
+
+        /**
+         * Get statistics collected with stats option
+         *
+         * @returns {Array<Object>} Samples {timestamp, stats, metrics} from the oldest one,
+         * see {@link Flashphoner.constants.STREAM_STATUS.STATS}
+         * @memberof Stream
+         * @inner
+         */
+        var getStatsHistory = function () {
+            return collector ? collector.getHistory() : [];
+        };
+
+        /**
+         * Get the latest audio level measured with audioLevel option
+         *
+         * @returns {Number} Level from 0 to 1
+         * @memberof Stream
+         * @inner
+         */
+        var getAudioLevel = function () {
+            return audioMeter ? audioMeter.getLevel() : 0;
+        };
+
+        /**
+         * Check if stream audio is above speaking threshold, requires audioLevel option
+         *
+         * @returns {Boolean} True if speaking
+         * @memberof Stream
+         * @inner
+         */
+        var isSpeaking = function () {
+            return audioMeter ? audioMeter.isSpeaking() : false;
+        };
+
+        //stream report of diagnostics export
+        var getDiagnostics = function (window) {
+            var since = diagnostics.getSince(window);
+            return {
+                created: Date.now(),
+                stream: {
+                    id: id_,
+                    name: name_,
+                    published: published_,
+                    mediaProvider: mediaProvider,
+                    transport: transportType,
+                    status: status_,
+                    info: info_,
+                    errorInfo: errorInfo_
+                },
+                sdp: {
+                    offer: localSdp,
+                    answer: remoteSdp
+                },
+                timeline: timeline.get(since),
+                stats: collector ? diagnostics.filterSince(collector.getHistory(), since) : []
+            };
+        };
+        streamDiagnosticsHandlers[id_] = getDiagnostics;
+
+        /**
+         * Export stream timeline to attach it to support ticket. Exported file contains status transitions,
+         * connection quality updates, SDP offer and answer, media provider and transport
+         * and stats samples if stream is created with stats option.
+         *
+         * @param {Object=} options Export options
+         * @param {string=} [options.format=json] File format, json or csv
+         * @param {Integer=} options.window Export only events and samples of the last window ms
+         * @returns {Object} File {name, type, data}, data is a string, Blob is available as blob in browser
+         * @throws {TypeError} Error if format is not supported
+         * @memberof Stream
+         * @inner
+         */
+        var exportStats = function (options) {
+            options = options || {};
+            return diagnostics.createFile("stream-" + name_, getDiagnostics(options.window), options.format);
+        };
+
         /**
          * Request full screen for player stream
          * @memberof Stream
@@ -2296,6 +3268,7 @@ var createSession = function (options) {
 
         /**
          * Add stream event callback.
+         * Several callbacks may be added to the same event, use "*" as event to receive all events.
          *
          * @param {string} event One of {@link Flashphoner.constants.STREAM_STATUS} events
          * @param {Stream~eventCallback} callback Callback function
@@ -2306,13 +3279,38 @@ var createSession = function (options) {
          * @inner
          */
         var on = function (event, callback) {
-            if (!event) {
-                throw new TypeError("Event can't be null");
-            }
-            if (!callback || typeof callback !== 'function') {
-                throw new Error("Callback needs to be a valid function");
-            }
-            callbacks[event] = callback;
+            emitter.on(event, callback);
+            return stream;
+        };
+
+        /**
+         * Add stream event callback which is removed after the first call.
+         *
+         * @param {string} event One of {@link Flashphoner.constants.STREAM_STATUS} events
+         * @param {Stream~eventCallback} callback Callback function
+         * @returns {Stream} Stream callback was attached to
+         * @throws {TypeError} Error if event is not specified
+         * @throws {Error} Error if callback is not a valid function
+         * @memberof Stream
+         * @inner
+         */
+        var once = function (event, callback) {
+            emitter.once(event, callback);
+            return stream;
+        };
+
+        /**
+         * Remove stream event callback.
+         * Removes all callbacks of the event if callback is not specified, and all callbacks at all if event is not specified.
+         *
+         * @param {string=} event One of {@link Flashphoner.constants.STREAM_STATUS} events
+         * @param {Stream~eventCallback=} callback Callback function
+         * @returns {Stream} Stream
+         * @memberof Stream
+         * @inner
+         */
+        var off = function (event, callback) {
+            emitter.off(event, callback);
             return stream;
         };
 
@@ -2336,9 +3334,56 @@ var createSession = function (options) {
             });
         };
 
+        /**
+         * Play stream and wait for playback to start.
+         *
+         * @param {Integer=} timeout Time to wait in milliseconds, 30 seconds if not set, 0 to wait without limit
+         * @returns {Promise<Stream>} Resolves on {@link Flashphoner.constants.STREAM_STATUS.PLAYING},
+         * rejects with {@link Flashphoner.errors.FlashphonerError} if stream fails or timeout expires
+         * @memberof Stream
+         * @inner
+         */
+        var playAsync = function (timeout) {
+            return waitForStatus(stream, [STREAM_STATUS.PLAYING],
+                [STREAM_STATUS.FAILED, STREAM_STATUS.STOPPED], timeout, play);
+        };
+
+        /**
+         * Publish stream and wait for publishing to start.
+         *
+         * @param {Integer=} timeout Time to wait in milliseconds, 30 seconds if not set, 0 to wait without limit
+         * @returns {Promise<Stream>} Resolves on {@link Flashphoner.constants.STREAM_STATUS.PUBLISHING},
+         * rejects with {@link Flashphoner.errors.FlashphonerError} if stream fails or timeout expires
+         * @memberof Stream
+         * @inner
+         */
+        var publishAsync = function (timeout) {
+            return waitForStatus(stream, [STREAM_STATUS.PUBLISHING],
+                [STREAM_STATUS.FAILED, STREAM_STATUS.UNPUBLISHED], timeout, publish);
+        };
+
+        /**
+         * Stop stream and wait for it to be released.
+         *
+         * @param {Integer=} timeout Time to wait in milliseconds, 30 seconds if not set, 0 to wait without limit
+         * @returns {Promise<Stream>} Resolves when stream is stopped, unpublished or failed, rejects if timeout expires
+         * @memberof Stream
+         * @inner
+         */
+        var stopAsync = function (timeout) {
+            if (status_ == STREAM_STATUS.FAILED || status_ == STREAM_STATUS.STOPPED || status_ == STREAM_STATUS.UNPUBLISHED) {
+                return Promise.resolve(stream);
+            }
+            return waitForStatus(stream, [STREAM_STATUS.STOPPED, STREAM_STATUS.UNPUBLISHED, STREAM_STATUS.FAILED],
+                [], timeout, stop);
+        };
+
         stream.play = play;
+        stream.playAsync = playAsync;
         stream.publish = publish;
+        stream.publishAsync = publishAsync;
         stream.stop = stop;
+        stream.stopAsync = stopAsync;
         stream.id = id;
         stream.status = status;
         stream.name = name;
@@ -2346,6 +3391,7 @@ var createSession = function (options) {
         stream.getRecordInfo = getRecordInfo;
         stream.getInfo = getInfo;
         stream.getErrorInfo = getErrorInfo;
+        stream.getError = getError;
         stream.videoResolution = videoResolution;
         stream.setAudioOutputId = setAudioOutputId;
         stream.setVolume = setVolume;
@@ -2364,8 +3410,17 @@ var createSession = function (options) {
         stream.snapshot = snapshot;
         stream.getNetworkBandwidth = getNetworkBandwidth;
         stream.getRemoteBitrate = getRemoteBitrate;
+        stream.getBitrateAdaptation = getBitrateAdaptation;
+        stream.getStatsHistory = getStatsHistory;
+        stream.getAudioLevel = getAudioLevel;
+        stream.isSpeaking = isSpeaking;
+        stream.exportStats = exportStats;
+        stream.getSimulcastLayers = getSimulcastLayers;
+        stream.setSimulcastLayerActive = setSimulcastLayerActive;
         stream.fullScreen = fullScreen;
         stream.on = on;
+        stream.once = once;
+        stream.off = off;
         stream.available = available;
         stream.switchCam = switchCam;
         stream.switchMic = switchMic;
@@ -2384,8 +3439,17 @@ var createSession = function (options) {
      * @inner
      */
     var disconnect = function () {
+        disconnectRequested = true;
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
         if (wsConnection) {
             wsConnection.close();
+        } else if (reconnecting || sessionStatus == SESSION_STATUS.PENDING) {
+            //waiting for reconnect or load balancer answer
+            reconnecting = false;
+            onSessionStatusChange(SESSION_STATUS.DISCONNECTED);
         }
     };
 
@@ -2411,6 +3475,35 @@ var createSession = function (options) {
         return urlServer;
     };
 
+    /**
+     * Get last measured round trip time to server.
+     * Available only if session was created with watchdog pingInterval and server answers client pings with "pong",
+     * WCS does not do it by default.
+     *
+     * @returns {number} Round trip time in milliseconds, undefined if not measured yet
+     * @memberof Session
+     * @inner
+     */
+    var getRtt = function () {
+        return rtt;
+    };
+
+    /**
+     * Get amount of outgoing data not yet sent to server.
+     * Includes messages queued until session is established and data buffered by WebSocket.
+     *
+     * @returns {number} Approximate size of data in bytes
+     * @memberof Session
+     * @inner
+     */
+    var bufferedAmount = function () {
+        var amount = wsConnection ? wsConnection.bufferedAmount || 0 : 0;
+        for (var i = 0; i < outboundQueue.length; i++) {
+            amount += outboundQueue[i].payload.length;
+        }
+        return amount;
+    };
+
     /**
      * Get session status
      *
@@ -2456,6 +3549,42 @@ var createSession = function (options) {
         send("submitBugReport", reportObject);
     }
 
+    /**
+     * Export session diagnostics to attach it to support ticket. Exported file contains session status transitions,
+     * available media providers, browser and timelines of the session streams, see {@link Stream.exportStats}.
+     * Timelines of the last 20 released streams are included too.
+     *
+     * @param {Object=} options Export options
+     * @param {string=} [options.format=json] File format, json or csv
+     * @param {Integer=} options.window Export only events and samples of the last window ms
+     * @returns {Object} File {name, type, data}, data is a string, Blob is available as blob in browser
+     * @throws {TypeError} Error if format is not supported
+     * @memberof Session
+     * @inner
+     */
+    var exportDiagnostics = function (options) {
+        options = options || {};
+        var report = {
+            created: Date.now(),
+            session: {
+                id: id_,
+                url: urlServer,
+                status: sessionStatus,
+                rtt: rtt,
+                mediaProviders: getMediaProviders(),
+                browser: browserDetails.browser,
+                browserVersion: browserDetails.version
+            },
+            timeline: sessionTimeline.get(diagnostics.getSince(options.window)),
+            streams: releasedStreamDiagnostics.concat(Object.keys(streamDiagnosticsHandlers).map(function (id) {
+                return streamDiagnosticsHandlers[id];
+            })).map(function (getDiagnostics) {
+                return getDiagnostics(options.window);
+            })
+        };
+        return diagnostics.createFile("session-" + id_, report, options.format);
+    };
+
     /**
      * Start session debug
      * @memberof Session
@@ -2488,64 +3617,317 @@ var createSession = function (options) {
 
     /**
      * Add session event callback.
+     * Several callbacks may be added to the same event, use "*" as event to receive all events.
      *
      * @param {string} event One of {@link Flashphoner.constants.SESSION_STATUS} events
      * @param {Session~eventCallback} callback Callback function
-     * @returns {Session} Session
+     * @returns {Session} Session callback was attached to
      * @throws {TypeError} Error if event is not specified
      * @throws {Error} Error if callback is not a valid function
      * @memberof Session
      * @inner
      */
     var on = function (event, callback) {
-        if (!event) {
-            throw new Error("Event can't be null", "TypeError");
+        emitter.on(event, callback);
+        return session;
+    };
+
+    /**
+     * Add session event callback which is removed after the first call.
+     *
+     * @param {string} event One of {@link Flashphoner.constants.SESSION_STATUS} events
+     * @param {Session~eventCallback} callback Callback function
+     * @returns {Session} Session callback was attached to
+     * @throws {TypeError} Error if event is not specified
+     * @throws {Error} Error if callback is not a valid function
+     * @memberof Session
+     * @inner
+     */
+    var once = function (event, callback) {
+        emitter.once(event, callback);
+        return session;
+    };
+
+    /**
+     * Remove session event callback.
+     * Removes all callbacks of the event if callback is not specified, and all callbacks at all if event is not specified.
+     *
+     * @param {string=} event One of {@link Flashphoner.constants.SESSION_STATUS} events
+     * @param {Session~eventCallback=} callback Callback function
+     * @returns {Session} Session
+     * @memberof Session
+     * @inner
+     */
+    var off = function (event, callback) {
+        emitter.off(event, callback);
+        return session;
+    };
+
+    /**
+     * Wait for session to be established.
+     *
+     * @param {Integer=} timeout Time to wait in milliseconds, 30 seconds if not set, 0 to wait without limit
+     * @returns {Promise<Session>} Resolves on {@link Flashphoner.constants.SESSION_STATUS.ESTABLISHED},
+     * rejects with error if session fails, disconnects or timeout expires
+     * @memberof Session
+     * @inner
+     */
+    var connect = function (timeout) {
+        if (sessionStatus == SESSION_STATUS.ESTABLISHED || sessionStatus == SESSION_STATUS.REGISTERED) {
+            return Promise.resolve(session);
         }
-        if (!callback || typeof callback !== 'function') {
-            throw new Error("Callback needs to be a valid function");
+        if (sessionStatus == SESSION_STATUS.FAILED || sessionStatus == SESSION_STATUS.DISCONNECTED) {
+            return Promise.reject(statusError(sessionStatus, session));
+        }
+        return waitForStatus(session, [SESSION_STATUS.ESTABLISHED],
+            [SESSION_STATUS.FAILED, SESSION_STATUS.DISCONNECTED], timeout);
+    };
+
+    /**
+     * Topic message handler.
+     *
+     * @callback Session~messageHandler
+     * @param {Object} payload Message payload
+     * @param {Object} data Data received from REST App
+     */
+
+    /**
+     * Subscribe to messages of the topic.
+     * REST App sends topic message as data with payload {topic: topic, payload: message}.
+     * Message of the topic having subscribers is passed to handlers instead of {@link Flashphoner.constants.SESSION_STATUS.APP_DATA} event.
+     * Use "*" as topic to receive messages of all topics, topic is passed as the first argument then.
+     *
+     * @param {string} topic Topic name
+     * @param {Session~messageHandler} handler Message handler
+     * @returns {Session} Session
+     * @throws {TypeError} Error if topic is not specified
+     * @throws {Error} Error if handler is not a valid function
+     * @memberof Session
+     * @inner
+     */
+    var subscribe = function (topic, handler) {
+        topics.on(topic, handler);
+        return session;
+    };
+
+    /**
+     * Unsubscribe from messages of the topic.
+     * Removes all handlers of the topic if handler is not specified, and all handlers at all if topic is not specified.
+     *
+     * @param {string=} topic Topic name
+     * @param {Session~messageHandler=} handler Message handler
+     * @returns {Session} Session
+     * @memberof Session
+     * @inner
+     */
+    var unsubscribe = function (topic, handler) {
+        topics.off(topic, handler);
+        return session;
+    };
+
+    /**
+     * Set validator of the topic messages, e.g. function compiled from JSON schema.
+     * Validator is applied to both published and received messages, invalid received messages are dropped.
+     *
+     * @param {string} topic Topic name
+     * @param {Function=} validator Function receiving message payload, returns false or throws if message is invalid.
+     * Removes validator if not specified.
+     * @returns {Session} Session
+     * @memberof Session
+     * @inner
+     */
+    var setTopicValidator = function (topic, validator) {
+        if (validator) {
+            topicValidators[topic] = validator;
+        } else {
+            delete topicValidators[topic];
         }
-        callbacks[event] = callback;
         return session;
     };
 
+    /**
+     * Publish message to the topic through REST App.
+     *
+     * @param {string} topic Topic name
+     * @param {Object} payload Message payload
+     * @param {Object=} options Send options, see {@link Session~sendData}
+     * @returns {Promise} Resolves if message accepted, rejects with TypeError if message is not valid
+     * @memberof Session
+     * @inner
+     */
+    var publishMessage = function (topic, payload, options) {
+        if (!topic) {
+            return Promise.reject(new TypeError("Topic can't be null"));
+        }
+        if (!validateMessage(topic, payload)) {
+            return Promise.reject(new TypeError("Invalid message of topic " + topic));
+        }
+        return restAppCommunicator.sendData({
+            topic: topic,
+            payload: payload
+        }, options);
+    };
+
+    var validateMessage = function (topic, payload) {
+        if (!topicValidators[topic]) {
+            return true;
+        }
+        try {
+            return topicValidators[topic](payload) !== false;
+        } catch (e) {
+            logger.warn(LOG_PREFIX, "Message of topic " + topic + " is not valid: " + e);
+            return false;
+        }
+    };
+
+    //pass topic message to subscribers, returns false if data should be fired as APP_DATA
+    var routeMessage = function (data) {
+        var message = data.payload;
+        if (message && typeof message.topic !== 'string' && options.messageTopic) {
+            message = {topic: options.messageTopic(message), payload: message};
+        }
+        if (!message || typeof message.topic !== 'string' || !topics.hasListeners(message.topic)) {
+            return false;
+        }
+        if (!validateMessage(message.topic, message.payload)) {
+            logger.warn(LOG_PREFIX, "Drop invalid message of topic " + message.topic);
+            return true;
+        }
+        topics.emit(message.topic, message.payload, data);
+        return true;
+    };
+
     var restAppCommunicator = function () {
         var pending = {};
         var exports = {};
         /**
-         * Send data to REST App
+         * Send data to REST App.
+         * Data is queued until session is established.
+         *
+         * In request/response mode REST App should answer with data sent to the session
+         * with the same operationId as the request has, the answer is not fired as {@link Flashphoner.constants.SESSION_STATUS.APP_DATA} event.
          *
          * @param {Object} data Object to send
-         * @returns {Promise} Resolves if data accepted, otherwise rejects
+         * @param {Object=} options Send options
+         * @param {Integer=} options.timeout Time to wait for the data to be accepted or answered in milliseconds, unlimited if not set
+         * @param {AbortSignal=} options.signal Signal to cancel the operation
+         * @param {Boolean=} options.expectReply Wait for REST App answer
+         * @returns {Promise} Resolves if data accepted, or with REST App answer payload if options.expectReply is set, otherwise rejects.
+         * Rejects with {@link Flashphoner.errors.NetworkError} if session disconnects before data is accepted or timeout expires.
          * @memberof Session
          * @name sendData
          * @method
          * @inner
          */
-        exports.sendData = function (data) {
+        exports.sendData = function (data, options) {
+            options = options || {};
             return new Promise(function (resolve, reject) {
+                var signal = options.signal;
+                if (signal && signal.aborted) {
+                    reject(abortError(signal));
+                    return;
+                }
                 var obj = {
                     operationId: uuid_v1(),
                     payload: data
                 };
+                var timer;
+                var onAbort = function () {
+                    complete(obj.operationId);
+                    reject(abortError(signal));
+                };
                 pending[obj.operationId] = {
+                    expectReply: options.expectReply,
                     FAILED: function (info) {
                         reject(info);
                     },
                     ACCEPTED: function (info) {
                         resolve(info);
+                    },
+                    REPLY: function (payload) {
+                        resolve(payload);
+                    },
+                    cleanup: function () {
+                        clearTimeout(timer);
+                        if (signal) {
+                            signal.removeEventListener("abort", onAbort);
+                        }
                     }
                 };
+                if (options.timeout > 0) {
+                    timer = setTimeout(function () {
+                        complete(obj.operationId);
+                        reject(new errors.NetworkError("Timeout waiting for " + (options.expectReply ? "reply" : "data to be accepted"), {
+                            code: "TIMEOUT",
+                            retryable: true
+                        }));
+                    }, options.timeout);
+                }
+                if (signal) {
+                    signal.addEventListener("abort", onAbort);
+                }
                 send("sendData", obj);
             });
         };
+        //remove operation from pending and from send queue if it was not sent yet
+        var complete = function (operationId) {
+            var handler = pending[operationId];
+            delete pending[operationId];
+            handler.cleanup();
+            outboundQueue = outboundQueue.filter(function (item) {
+                return item.message != "sendData" || item.data.operationId != operationId;
+            });
+            return handler;
+        };
+        var abortError = function (signal) {
+            if (signal.reason) {
+                return signal.reason;
+            }
+            var error = new Error("Operation aborted");
+            error.name = "AbortError";
+            return error;
+        };
         exports.resolveData = function (data) {
-            if (pending[data.operationId]) {
-                var handler = pending[data.operationId];
-                delete pending[data.operationId];
+            var handler = pending[data.operationId];
+            if (handler) {
+                if (handler.expectReply && data.status == "ACCEPTED") {
+                    //wait for reply
+                    return;
+                }
+                complete(data.operationId);
                 delete data.operationId;
                 handler[data.status](data);
             }
         };
+        //returns true if data is an answer to the pending request
+        exports.resolveReply = function (data) {
+            var handler = pending[data.operationId];
+            if (handler && handler.expectReply) {
+                complete(data.operationId);
+                handler.REPLY(data.payload);
+                return true;
+            }
+            return false;
+        };
+        //reject operations which will not be answered, queued operations are kept unless session is closed
+        exports.rejectPending = function (status) {
+            var queued = {};
+            for (var i = 0; i < outboundQueue.length; i++) {
+                if (outboundQueue[i].message == "sendData") {
+                    queued[outboundQueue[i].data.operationId] = true;
+                }
+            }
+            for (var operationId in pending) {
+                if (pending.hasOwnProperty(operationId) && !queued[operationId]) {
+                    var handler = complete(operationId);
+                    handler.FAILED(new errors.NetworkError("Session " + status + " before data was accepted", {
+                        code: "SESSION_" + status,
+                        retryable: true,
+                        status: status
+                    }));
+                }
+            }
+        };
         return exports;
     }();
 
@@ -2564,23 +3946,221 @@ var createSession = function (options) {
     //export Session
     session.id = id;
     session.status = status;
+    session.connect = connect;
     session.getServerUrl = getServerUrl;
+    session.bufferedAmount = bufferedAmount;
+    session.getRtt = getRtt;
     session.createStream = createStream;
     session.createCall = createCall;
     session.getStream = getStream;
     session.getStreams = getStreams;
     session.sendData = restAppCommunicator.sendData;
+    session.subscribe = subscribe;
+    session.unsubscribe = unsubscribe;
+    session.setTopicValidator = setTopicValidator;
+    session.publishMessage = publishMessage;
     session.disconnect = disconnect;
     session.submitBugReport = submitBugReport;
+    session.exportDiagnostics = exportDiagnostics;
     session.startDebug = startDebug;
     session.stopDebug = stopDebug;
     session.on = on;
+    session.once = once;
+    session.off = off;
 
     //save interface to global map
     sessions[id_] = session;
     return session;
 };
 
+//promise helper, resolves when target fires one of resolveOn events and rejects on one of rejectOn events or timeout
+var waitForStatus = function (target, resolveOn, rejectOn, timeout, action) {
+    if (timeout === undefined || timeout === null) {
+        timeout = DEFAULT_ASYNC_TIMEOUT;
+    }
+    return new Promise(function (resolve, reject) {
+        var timer;
+        var handlers = {};
+        var settle = function () {
+            clearTimeout(timer);
+            for (var event in handlers) {
+                if (handlers.hasOwnProperty(event)) {
+                    target.off(event, handlers[event]);
+                }
+            }
+        };
+        resolveOn.forEach(function (event) {
+            handlers[event] = function () {
+                settle();
+                resolve(target);
+            };
+        });
+        rejectOn.forEach(function (event) {
+            handlers[event] = function () {
+                settle();
+                reject(statusError(event, target));
+            };
+        });
+        for (var event in handlers) {
+            if (handlers.hasOwnProperty(event)) {
+                target.on(event, handlers[event]);
+            }
+        }
+        if (timeout > 0) {
+            timer = setTimeout(function () {
+                settle();
+                reject(new errors.NetworkError("Timeout waiting for " + resolveOn.join(", "), {
+                    code: "TIMEOUT",
+                    retryable: true,
+                    status: target.status()
+                }));
+            }, timeout);
+        }
+        if (action) {
+            try {
+                action();
+            } catch (e) {
+                settle();
+                reject(e);
+            }
+        }
+    });
+};
+
+//client info sent to server on connect
+var getClientOSVersion = function () {
+    if (util.isBrowser()) {
+        return window.navigator.appVersion;
+    }
+    return typeof process !== 'undefined' ? process.platform : "unknown";
+};
+
+var getClientBrowserVersion = function () {
+    if (util.isBrowser()) {
+        return window.navigator.userAgent;
+    }
+    return typeof process !== 'undefined' && process.versions ? "Node.js " + process.versions.node : "unknown";
+};
+
+//error describing unexpected status, typed error is used if target provides one
+var statusError = function (status, target) {
+    if (target.getError && target.getError()) {
+        return target.getError();
+    }
+    var info;
+    if (target.getErrorInfo && target.getErrorInfo()) {
+        info = target.getErrorInfo();
+    } else if (target.getInfo) {
+        info = target.getInfo();
+    }
+    var error = new Error(info || status);
+    error.status = status;
+    error.info = info;
+    return error;
+};
+
+//health helpers, servers with less recent failures go first, order of preference is kept otherwise
+var markUnhealthy = function (url) {
+    var health = serverHealth[url];
+    if (!health || Date.now() - health.lastFailure > SERVER_HEALTH_TTL) {
+        health = serverHealth[url] = {failures: 0};
+    }
+    health.failures++;
+    health.lastFailure = Date.now();
+};
+
+var markHealthy = function (url) {
+    delete serverHealth[url];
+};
+
+var getFailures = function (url) {
+    var health = serverHealth[url];
+    if (!health || Date.now() - health.lastFailure > SERVER_HEALTH_TTL) {
+        return 0;
+    }
+    return health.failures;
+};
+
+var orderByHealth = function (urls) {
+    return urls.map(function (url, index) {
+        return {url: url, index: index, failures: getFailures(url)};
+    }).sort(function (a, b) {
+        return a.failures - b.failures || a.index - b.index;
+    }).map(function (item) {
+        return item.url;
+    });
+};
+
+//HTTP GET helper, resolves with response text if server answers with 200 OK
+var httpGet = function (url, timeout) {
+    return new Promise(function (resolve, reject) {
+        if (typeof XMLHttpRequest === 'undefined') {
+            if (typeof fetch === 'undefined') {
+                reject(new Error("HTTP requests are not supported"));
+                return;
+            }
+            //request is cancelled on timeout where fetch supports it
+            var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            var timer = setTimeout(function () {
+                if (controller) {
+                    controller.abort();
+                }
+                reject(new Error("Timeout"));
+            }, timeout);
+            fetch(url, controller ? {signal: controller.signal} : undefined).then(function (response) {
+                if (response.status != 200) {
+                    throw new Error("Status " + response.status);
+                }
+                return response.text();
+            }).then(function (text) {
+                clearTimeout(timer);
+                resolve(text);
+            }, function (e) {
+                clearTimeout(timer);
+                reject(e);
+            });
+            return;
+        }
+        var request = new XMLHttpRequest();
+        request.open('GET', url, true);
+        request.timeout = timeout;
+        request.ontimeout = function () {
+            reject(new Error("Timeout"));
+        };
+        request.onerror = function () {
+            reject(new Error("Request failed"));
+        };
+        request.onload = function () {
+            if (request.status == 200) {
+                resolve(request.responseText);
+            } else {
+                reject(new Error("Status " + request.status));
+            }
+        };
+        request.send();
+    });
+};
+
+//policy option helper, returns undefined if option is disabled, defaults if it is true
+var getPolicy = function (option, defaults) {
+    if (!option) {
+        return undefined;
+    }
+    var policy = {};
+    util.copyObjectPropsToAnotherObject(defaults, policy);
+    if (typeof option === 'object') {
+        util.copyObjectPropsToAnotherObject(option, policy);
+    }
+    return policy;
+};
+
+//exponential backoff with jitter
+var getReconnectDelay = function (policy, attempt) {
+    var delay = Math.min(policy.delay * Math.pow(policy.multiplier, attempt), policy.maxDelay);
+    var deviation = delay * policy.jitter;
+    return Math.max(0, Math.round(delay - deviation + Math.random() * deviation * 2));
+};
+
 var isUsingTemasys = function () {
     return isUsingTemasysPlugin;
 };
@@ -2589,6 +4169,7 @@ module.exports = {
     init: init,
     isUsingTemasys: isUsingTemasys,
     getMediaProviders: getMediaProviders,
+    registerMediaProvider: registerMediaProvider,
     getMediaDevices: getMediaDevices,
     getMediaAccess: getMediaAccess,
     releaseLocalMedia: releaseLocalMedia,
@@ -2600,6 +4181,7 @@ module.exports = {
     getLogger: getLogger,
     roomApi: require('./room-module'),
     constants: constants,
+    errors: errors,
     /**
      * The Screensharing whitelist is no longer needed to share your screen or windows starting Firefox 52
      * https://wiki.mozilla.org/Screensharing
@@ -3,8 +3,86 @@ var SESSION_STATUS = require('./constants').SESSION_STATUS;
 var STREAM_STATUS = require('./constants').STREAM_STATUS;
 var Promise = require('promise-polyfill');
 var util = require('./util');
+var eventEmitter = require('./event-emitter');
+var roomSubscriber = require('./room-subscriber');
+var audioLevel = require('./audio-level');
 var uuid_v1 = require('uuid/v1');
 var ROOM_REST_APP = "roomApp";
+//topic of room messages is derived from room name
+var ROOM_TOPIC_PREFIX = "room:";
+var DEFAULT_CHAT_HISTORY_SIZE = 100;
+var DEFAULT_CHAT_PAGE_SIZE = 20;
+var MESSAGE_TYPE_TEXT = "text";
+var MESSAGE_TYPE_DATA = "data";
+
+//deep freeze of room state snapshot
+var freeze = function(object) {
+    Object.keys(object).forEach(function(key) {
+        if (object[key] && typeof object[key] === 'object') {
+            freeze(object[key]);
+        }
+    });
+    return Object.freeze(object);
+};
+
+var indexParticipants = function(state) {
+    var index = {};
+    state.participants.forEach(function(participant) {
+        index[participant.name] = participant;
+    });
+    return index;
+};
+
+//streams of the participant which are not in the other snapshot
+var diffStreams = function(participant, other, result) {
+    participant.streams.forEach(function(streamName) {
+        if (!other || other.streams.indexOf(streamName) == -1) {
+            result.push({participant: participant.name, stream: streamName});
+        }
+    });
+};
+
+/**
+ * Compare room state snapshots
+ *
+ * @param {Object} previous Previous state
+ * @param {Object} current Current state
+ * @returns {Object} Changes {joined, left, streamsAdded, streamsRemoved, ownerChanged, lockedChanged} or null if state is not changed
+ */
+var diffState = function(previous, current) {
+    var before = indexParticipants(previous);
+    var after = indexParticipants(current);
+    var diff = {
+        joined: [],
+        left: [],
+        streamsAdded: [],
+        streamsRemoved: [],
+        ownerChanged: previous.owner !== current.owner,
+        lockedChanged: previous.locked !== current.locked
+    };
+    current.participants.forEach(function(participant) {
+        if (!before[participant.name]) {
+            diff.joined.push(participant.name);
+        }
+        diffStreams(participant, before[participant.name], diff.streamsAdded);
+    });
+    previous.participants.forEach(function(participant) {
+        if (!after[participant.name]) {
+            diff.left.push(participant.name);
+        }
+        diffStreams(participant, after[participant.name], diff.streamsRemoved);
+    });
+    if (!diff.joined.length && !diff.left.length && !diff.streamsAdded.length && !diff.streamsRemoved.length &&
+        !diff.ownerChanged && !diff.lockedChanged) {
+        return null;
+    }
+    return diff;
+};
+
+//topic of the room messages routed by session
+var roomTopic = function(roomName) {
+    return ROOM_TOPIC_PREFIX + roomName;
+};
 
 /**
  * Room api based on core api
@@ -18,6 +96,7 @@ var ROOM_REST_APP = "roomApp";
  * @param {Object} options session options
  * @param {String} options.urlServer Server address in form of [ws,wss]://host.domain:port
  * @param {String} options.username Username to login with
+ * @param {Function=} options.transport Signaling transport factory, see {@link Flashphoner.createSession}
  * @returns {roomApi.Session}
  * @memberof roomApi
  * @method connect
@@ -28,36 +107,37 @@ var appSession = function(options) {
      *
      * @namespace roomApi.Session
      */
-    var callbacks = {};
+    var emitter = eventEmitter.create();
     var rooms = {};
     var username_ = options.username;
     var exports;
-    var roomHandlers = {};
-    var session = Flashphoner.createSession({
+    //core is required here to avoid circular dependency on module load
+    var session = require('./flashphoner-core').createSession({
         urlServer: options.urlServer,
+        transport: options.transport,
         mediaOptions: options.mediaOptions,
         appKey: (options.appKey && options.appKey.length!=0) ? options.appKey: ROOM_REST_APP,
         custom: {
             login: options.username,
             token: options.token
+        },
+        messageTopic: function(payload) {
+            if (payload.roomName) {
+                return roomTopic(payload.roomName);
+            }
         }
     }).on(SESSION_STATUS.ESTABLISHED, function(session){
-        if (callbacks[session.status()]) {
-            callbacks[session.status()](exports);
-        }
+        emitter.emit(session.status(), exports);
     }).on(SESSION_STATUS.APP_DATA, function(data){
-        if (roomHandlers[data.payload.roomName]) {
-            roomHandlers[data.payload.roomName](data.payload);
-        } else {
+        //room messages are received by subscribed rooms
+        if (data.payload && data.payload.roomName) {
             console.warn("Failed to find room");
         }
     }).on(SESSION_STATUS.DISCONNECTED, sessionDied).on(SESSION_STATUS.FAILED, sessionDied);
 
     //teardown helper
     function sessionDied(session) {
-        if (callbacks[session.status()]) {
-            callbacks[session.status()](exports);
-        }
+        emitter.emit(session.status(), exports);
     }
 
     /**
@@ -128,6 +208,7 @@ var appSession = function(options) {
 
     /**
      * Add session event callback.
+     * Several callbacks may be added to the same event, use "*" as event to receive all events.
      *
      * @param {string} event One of {@link Flashphoner.constants.SESSION_STATUS} events
      * @param {Session~eventCallback} callback Callback function
@@ -138,13 +219,38 @@ var appSession = function(options) {
      * @inner
      */
     var on = function(event, callback) {
-        if (!event) {
-            throw new Error("Event can't be null", "TypeError");
-        }
-        if (!callback || typeof callback !== 'function') {
-            throw new Error("Callback needs to be a valid function");
-        }
-        callbacks[event] = callback;
+        emitter.on(event, callback);
+        return exports;
+    };
+
+    /**
+     * Add session event callback which is removed after the first call.
+     *
+     * @param {string} event One of {@link Flashphoner.constants.SESSION_STATUS} events
+     * @param {Session~eventCallback} callback Callback function
+     * @returns {roomApi.Session} Session
+     * @throws {TypeError} Error if event is not specified
+     * @throws {Error} Error if callback is not a valid function
+     * @memberof roomApi.Session
+     * @inner
+     */
+    var once = function(event, callback) {
+        emitter.once(event, callback);
+        return exports;
+    };
+
+    /**
+     * Remove session event callback.
+     * Removes all callbacks of the event if callback is not specified, and all callbacks at all if event is not specified.
+     *
+     * @param {string=} event One of {@link Flashphoner.constants.SESSION_STATUS} events
+     * @param {Session~eventCallback=} callback Callback function
+     * @returns {roomApi.Session} Session
+     * @memberof roomApi.Session
+     * @inner
+     */
+    var off = function(event, callback) {
+        emitter.off(event, callback);
         return exports;
     };
 
@@ -153,6 +259,11 @@ var appSession = function(options) {
      *
      * @param {Object} options Room options
      * @param {String} options.name Room name
+     * @param {Integer=} [options.chatHistorySize=100] Chat messages kept in room history
+     * @param {Boolean|Object=} options.activeSpeaker Measure audio level of streams published and played in the room
+     * and detect active speaker, see {@link roomApi.events.ACTIVE_SPEAKER}. Object is passed to streams as audioLevel option
+     * @param {Integer=} [options.activeSpeaker.switchDelay=1500] Time another participant should be the loudest
+     * to take over speaking active speaker, ms
      * @returns {roomApi.Room}
      * @memberof roomApi.Session
      * @inner
@@ -166,169 +277,298 @@ var appSession = function(options) {
         var room = {};
         var name_ = options.name;
         var participants = {};
-        var callbacks = {};
-        var stateStreams = {};
-        roomHandlers[name_] = function(data) {
-            /**
-             * Room participant
-             *
-             * @namespace roomApi.Room.Participant
-             */
+        var emitter = eventEmitter.create();
+        var owner_;
+        var locked_ = false;
+        var state_ = createState();
+        var messages = [];
+        var chatHistorySize = options.chatHistorySize || DEFAULT_CHAT_HISTORY_SIZE;
+        var activeSpeakerOptions = options.activeSpeaker;
+        var speakerDetector = activeSpeakerOptions ? audioLevel.createActiveSpeakerDetector(activeSpeakerOptions) : null;
+        var onMessage = function(data) {
             var participant;
+            var stream;
             if (data.name == "STATE") {
                 if (data.info) {
                     for (var i = 0; i < data.info.length; i++) {
                         participantFromState(data.info[i]);
                     }
-                    stateStreams = {};
                 }
-                if (callbacks["STATE"]) {
-                    callbacks["STATE"](room);
+                if (data.owner !== undefined) {
+                    owner_ = data.owner;
                 }
+                locked_ = !!data.locked;
+                emitter.emit("STATE", room);
             } else if (data.name == "JOINED") {
-                participants[data.info] = {
-                    streams: {},
-                    name: function(){
-                        return data.info;
-                    },
-                    sendMessage: attachSendMessage(data.info),
-                    getStreams: function() { return util.copyObjectToArray(this.streams);}
-                };
-                if (callbacks["JOINED"]) {
-                    callbacks["JOINED"](participants[data.info]);
-                }
+                participants[data.info] = createParticipant(data.info);
+                emitter.emit("JOINED", participants[data.info]);
             } else if (data.name == "LEFT") {
                 participant = participants[data.info];
                 delete participants[data.info];
-                if (callbacks["LEFT"]) {
-                    callbacks["LEFT"](participant);
-                }
+                emitter.emit("LEFT", participant);
+                removeStreams(participant, "LEFT");
             } else if (data.name == "PUBLISHED") {
-                participant = participants[data.info.login];
-                participant.streams[data.info.name] = {
-                    play: play(data.info.name),
-                    stop: stop(data.info.name),
-                    id: id(data.info.name),
-                    streamName: function() {return data.info.name}
-                };
-                if (callbacks["PUBLISHED"]) {
-                    callbacks["PUBLISHED"](participant);
-                }
+                participant = getParticipant(data.info.login);
+                stream = createParticipantStream(data.info.name, data.info.login);
+                participant.streams[data.info.name] = stream;
+                emitter.emit("PUBLISHED", participant);
+                emitter.emit("STREAM_ADDED", {participant: participant, stream: stream});
+                emitter.emit("PARTICIPANT_UPDATED", participant);
             } else if (data.name == "FAILED" || data.name == "UNPUBLISHED") {
                 participant = participants[data.info.login];
-                if (participant != null)
+                stream = participant ? participant.streams[data.info.name] : null;
+                if (stream) {
                     delete participant.streams[data.info.name];
+                    //reason tells unpublished stream from failed one
+                    var removed = {participant: participant, stream: stream, reason: data.name};
+                    emitter.emit("UNPUBLISHED", removed);
+                    emitter.emit("STREAM_REMOVED", removed);
+                    emitter.emit("PARTICIPANT_UPDATED", participant);
+                }
             } else if (data.name == "MESSAGE") {
-                if (callbacks["MESSAGE"]) {
-                    callbacks["MESSAGE"]({
-                        from: participants[data.info.from],
-                        text: data.info.text
-                    });
+                emitter.emit("MESSAGE", addMessage(createMessage(data.info.from, data.info)));
+            } else if (data.name == "KICKED") {
+                var kicked = moderationEvent(data.info.login);
+                if (kicked.local) {
+                    cleanUp();
+                } else {
+                    delete participants[data.info.login];
+                }
+                emitter.emit("KICKED", kicked);
+                removeStreams(kicked.participant, "KICKED");
+            } else if (data.name == "MUTED" || data.name == "UNMUTED") {
+                var muteEvent = moderationEvent(data.info.login);
+                muteEvent.streamName = data.info.streamName;
+                muteEvent.audio = !!data.info.audio;
+                muteEvent.video = !!data.info.video;
+                if (muteEvent.local) {
+                    muteLocalStreams(muteEvent, data.name == "MUTED");
                 }
+                emitter.emit(data.name, muteEvent);
+            } else if (data.name == "LOCKED" || data.name == "UNLOCKED") {
+                locked_ = data.name == "LOCKED";
+                emitter.emit(data.name, room);
+            } else if (data.name == "OWNER_CHANGED") {
+                owner_ = data.info;
+                emitter.emit("OWNER_CHANGED", moderationEvent(data.info));
             }
+            updateState();
         };
+        session.subscribe(roomTopic(name_), onMessage);
 
-        //participant creation helper
-        function participantFromState(state) {
-            var participant = {};
-
-            if (state.hasOwnProperty("login")) {
-                var login = state.login;
-                var streamName = state.name;
-                stateStreams[streamName] = {
-                    /**
-                     * Play participant stream
-                     *
-                     * @param {HTMLElement} display Div element stream should be displayed in
-                     * @returns {Stream} Local stream object
-                     * @memberof roomApi.Room.Participant.Stream
-                     * @inner
-                     */
-                    play: play(streamName),
-                    /**
-                     * Stop participant stream
-                     *
-                     * @memberof roomApi.Room.Participant.Stream
-                     * @inner
-                     */
-                    stop: stop(streamName),
-                    /**
-                     * Get participant stream id
-                     *
-                     * @returns {String} Stream id
-                     * @memberof roomApi.Room.Participant.Stream
-                     * @inner
-                     */
-                    id: id(streamName),
-                    /**
-                     * Get participant stream name
-                     *
-                     * @returns {String} Stream name
-                     * @memberof roomApi.Room.Participant.Stream
-                     * @inner
-                     */
-                    streamName: function(){return streamName}
-                };
-
-                if (participants[login] != null) {
-                    participant = participants[login];
-                } else {
-                    participant = {
-                        streams: {},
-                        /**
-                         * Get participant name
-                         *
-                         * @returns {String} Participant name
-                         * @memberof roomApi.Room.Participant
-                         * @inner
-                         */
-                        name: function(){
-                            return login;
-                        },
-                        /**
-                         * Send message to participant
-                         *
-                         * @param {String} message Message to send
-                         * @param {Function} error Error callback
-                         * @memberof roomApi.Room.Participant
-                         * @inner
-                         */
-                        sendMessage: attachSendMessage(login),
-                        /**
-                         * Get participant streams
-                         *
-                         * @returns {Array<roomApi.Room.Participant.Stream>} Streams
-                         * @memberof roomApi.Room.Participant
-                         * @inner
-                         */
-                        getStreams: function() { return util.copyObjectToArray(this.streams);}
+        //streams of participant who left the room
+        function removeStreams(participant, reason) {
+            if (!participant) {
+                return;
+            }
+            var streams = participant.getStreams();
+            for (var i = 0; i < streams.length; i++) {
+                emitter.emit("STREAM_REMOVED", {participant: participant, stream: streams[i], reason: reason});
+            }
+            removeSpeaker(participant.name());
+        }
+
+        //feed audio level of published or played stream to active speaker detection
+        function trackSpeaker(login, stream) {
+            if (!speakerDetector) {
+                return stream;
+            }
+            var release = function() {
+                removeSpeaker(login);
+            };
+            stream.on(STREAM_STATUS.AUDIO_LEVEL, function(stream, level) {
+                var previous = speakerDetector.get();
+                if (speakerDetector.update(login, level, stream.isSpeaking(), Date.now())) {
+                    emitActiveSpeaker(previous);
+                }
+            }).on(STREAM_STATUS.FAILED, release).on(STREAM_STATUS.STOPPED, release).on(STREAM_STATUS.UNPUBLISHED, release);
+            return stream;
+        }
+
+        function removeSpeaker(login) {
+            if (speakerDetector && speakerDetector.remove(login)) {
+                emitActiveSpeaker(login);
+            }
+        }
+
+        function emitActiveSpeaker(previous) {
+            var event = moderationEvent(speakerDetector.get());
+            event.previous = previous;
+            emitter.emit("ACTIVE_SPEAKER", event);
+        }
+
+        //room state snapshot helper
+        function createState() {
+            return freeze({
+                name: name_,
+                owner: owner_,
+                locked: locked_,
+                participants: Object.keys(participants).map(function(login) {
+                    return {
+                        name: login,
+                        streams: Object.keys(participants[login].streams)
                     };
-                    participants[participant.name()] = participant;
+                })
+            });
+        }
+
+        //notify about changes made by room event
+        function updateState() {
+            var state = createState();
+            var diff = diffState(state_, state);
+            if (diff) {
+                var previous = state_;
+                state_ = state;
+                emitter.emit("STATE_CHANGED", state, diff, previous);
+            }
+        }
+
+        //moderation and active speaker event helper
+        function moderationEvent(login) {
+            return {
+                name: login,
+                participant: participants[login],
+                local: login == username_
+            };
+        }
+
+        //apply moderator mute to streams published by this participant
+        function muteLocalStreams(event, muted) {
+            var streams = session.getStreams();
+            for (var i = 0; i < streams.length; i++) {
+                if (streams[i].name().indexOf(name_ + "-" + username_) !== 0 || streams[i].status() != STREAM_STATUS.PUBLISHING ||
+                    (event.streamName && streams[i].name() != event.streamName)) {
+                    continue;
+                }
+                if (event.audio && muted) {
+                    streams[i].muteAudio();
+                } else if (event.audio) {
+                    streams[i].unmuteAudio();
                 }
+                if (event.video && muted) {
+                    streams[i].muteVideo();
+                } else if (event.video) {
+                    streams[i].unmuteVideo();
+                }
+            }
+        }
+
+        //stop room streams and forget the room
+        function cleanUp() {
+            //clear streams
+            var streams = session.getStreams();
+            for (var i = 0; i < streams.length; i++) {
+                if (streams[i].name().indexOf(name_ + "-" + username_) !== -1 && streams[i].status() != STREAM_STATUS.UNPUBLISHED) {
+                    streams[i].stop();
+                } else if (streams[i].name().indexOf(name_) !== -1 && streams[i].status() != STREAM_STATUS.STOPPED) {
+                    streams[i].stop();
+                }
+            }
+            session.unsubscribe(roomTopic(name_), onMessage);
+            delete rooms[name_];
+        }
+
+        /**
+         * Room participant
+         *
+         * @namespace roomApi.Room.Participant
+         */
+        //participant creation helper
+        function createParticipant(login) {
+            return {
+                streams: {},
                 /**
-                 * Room participant
+                 * Get participant name
                  *
-                 * @namespace roomApi.Room.Participant.Stream
+                 * @returns {String} Participant name
+                 * @memberof roomApi.Room.Participant
+                 * @inner
                  */
-            } else {
-                participant = {
-                    streams: {},
-                    name: function(){
-                        return state;
-                    },
-                    sendMessage: attachSendMessage(state),
-                    getStreams: function() {return util.copyObjectToArray(this.streams);}
-                }
+                name: function(){
+                    return login;
+                },
+                /**
+                 * Send direct chat message to participant, see {@link roomApi.Room.sendMessage}.
+                 * Unlike room method, failure is not thrown or rejected to keep existing callers working
+                 *
+                 * @param {String|Object} message Message text or typed message, other values are sent as text
+                 * @param {Function=} error DEPRECATED: Error callback called if server refuses the message
+                 * @returns {Promise<Object>} Resolves with sent message when server accepts it, with undefined otherwise
+                 * @memberof roomApi.Room.Participant
+                 * @inner
+                 */
+                sendMessage: attachSendMessage(login),
+                /**
+                 * Get participant streams
+                 *
+                 * @returns {Array<roomApi.Room.Participant.Stream>} Streams
+                 * @memberof roomApi.Room.Participant
+                 * @inner
+                 */
+                getStreams: function() { return util.copyObjectToArray(this.streams);}
+            };
+        }
+
+        //participant may publish before JOINED is received
+        function getParticipant(login) {
+            if (!participants[login]) {
+                participants[login] = createParticipant(login);
             }
-            if (Object.keys(stateStreams).length !=0 ) {
-                for (var k in stateStreams) {
-                    if (stateStreams.hasOwnProperty(k)) {
-                        participant.streams[k] = stateStreams[k];
-                        delete stateStreams[k];
-                    }
-                }
+            return participants[login];
+        }
+
+        /**
+         * Room participant stream
+         *
+         * @namespace roomApi.Room.Participant.Stream
+         */
+        //participant stream creation helper
+        function createParticipantStream(streamName, login) {
+            return {
+                /**
+                 * Play participant stream
+                 *
+                 * @param {HTMLElement} display Div element stream should be displayed in
+                 * @returns {Stream} Local stream object
+                 * @memberof roomApi.Room.Participant.Stream
+                 * @inner
+                 */
+                play: play(streamName, login),
+                /**
+                 * Stop participant stream
+                 *
+                 * @memberof roomApi.Room.Participant.Stream
+                 * @inner
+                 */
+                stop: stop(streamName),
+                /**
+                 * Get participant stream id
+                 *
+                 * @returns {String} Stream id
+                 * @memberof roomApi.Room.Participant.Stream
+                 * @inner
+                 */
+                id: id(streamName),
+                /**
+                 * Get participant stream name
+                 *
+                 * @returns {String} Stream name
+                 * @memberof roomApi.Room.Participant.Stream
+                 * @inner
+                 */
+                streamName: function(){return streamName}
+            };
+        }
+
+        //state contains participant logins or {login, name} of published streams
+        function participantFromState(state) {
+            if (!state.hasOwnProperty("login")) {
+                return getParticipant(state);
+            }
+            var participant = getParticipant(state.login);
+            if (state.name) {
+                participant.streams[state.name] = createParticipantStream(state.name, state.login);
             }
-            participants[participant.name()] = participant;
             return participant;
         }
 
@@ -359,21 +599,217 @@ var appSession = function(options) {
                     cleanUp();
                     reject(room);
                 });
+            });
+        };
 
-                function cleanUp() {
-                    //clear streams
-                    var streams = session.getStreams();
-                    for (var i = 0; i < streams.length; i++) {
-                        if (streams[i].name().indexOf(name_ + "-" + username_) !== -1 && streams[i].status() != STREAM_STATUS.UNPUBLISHED) {
-                            streams[i].stop();
-                        } else if (streams[i].name().indexOf(name_) !== -1 && streams[i].status() != STREAM_STATUS.STOPPED) {
-                            streams[i].stop();
-                        }
+        /**
+         * Remove participant from the room, available to room owner.
+         * Room fires KICKED event, kicked participant leaves the room.
+         *
+         * @param {String} participantName Participant name
+         * @returns {Promise<room>} Rejects if server refuses the command
+         * @throws {TypeError} Error if participant name is not specified
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var kick = function(participantName) {
+            return sendModerationCommand("kick", participantName, {});
+        };
+
+        /**
+         * Mute participant streams, available to room owner.
+         * Room fires MUTED event, streams are muted by the participant side.
+         *
+         * @param {String} participantName Participant name
+         * @param {Object=} options Mute options, both audio and video are muted if none is set
+         * @param {String=} options.streamName Mute only this stream
+         * @param {Boolean=} options.audio Mute audio
+         * @param {Boolean=} options.video Mute video
+         * @returns {Promise<room>} Rejects if server refuses the command
+         * @throws {TypeError} Error if participant name is not specified
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var mute = function(participantName, options) {
+            return sendModerationCommand("mute", participantName, getMuteOptions(options));
+        };
+
+        /**
+         * Unmute participant streams muted by {@link roomApi.Room.mute}, available to room owner.
+         * Room fires UNMUTED event.
+         *
+         * @param {String} participantName Participant name
+         * @param {Object=} options Unmute options, both audio and video are unmuted if none is set
+         * @param {String=} options.streamName Unmute only this stream
+         * @param {Boolean=} options.audio Unmute audio
+         * @param {Boolean=} options.video Unmute video
+         * @returns {Promise<room>} Rejects if server refuses the command
+         * @throws {TypeError} Error if participant name is not specified
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var unmute = function(participantName, options) {
+            return sendModerationCommand("unmute", participantName, getMuteOptions(options));
+        };
+
+        /**
+         * Lock room, new participants can't join locked room. Available to room owner.
+         * Room fires LOCKED event.
+         *
+         * @returns {Promise<room>} Rejects if server refuses the command
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var lock = function() {
+            return sendAppCommand("lock", {name: name_}).then(function(){
+                return room;
+            });
+        };
+
+        /**
+         * Unlock room, available to room owner.
+         * Room fires UNLOCKED event.
+         *
+         * @returns {Promise<room>} Rejects if server refuses the command
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var unlock = function() {
+            return sendAppCommand("unlock", {name: name_}).then(function(){
+                return room;
+            });
+        };
+
+        /**
+         * Make another participant the room owner, available to room owner.
+         * Room fires OWNER_CHANGED event.
+         *
+         * @param {String} participantName Participant name
+         * @returns {Promise<room>} Rejects if server refuses the command
+         * @throws {TypeError} Error if participant name is not specified
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var transferOwnership = function(participantName) {
+            return sendModerationCommand("transferOwnership", participantName, {});
+        };
+
+        /**
+         * Send chat message. Message is sent to all participants unless recipient is set.
+         * Message text is sent as {type: "text", text}, typed message may carry JSON payload, e.g.
+         * {type: "reaction", payload: {messageId: id, emoji: "+1"}}.
+         *
+         * @param {String|Object} content Message text or typed message
+         * @param {String=} content.type Message type, "data" by default
+         * @param {String=} content.text Message text
+         * @param {Object=} content.payload Message payload, should be serializable to JSON
+         * @param {Object=} options Send options
+         * @param {String=} options.to Name of participant to send direct message to
+         * @returns {Promise<Object>} Resolves with sent message {id, timestamp, fromName, to, local, type, text, payload}
+         * when server accepts it, rejects if server refuses the message
+         * @throws {TypeError} Error if content is neither string nor object
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var sendMessage = function(content, options) {
+            options = options || {};
+            if (typeof content === 'string') {
+                content = {type: MESSAGE_TYPE_TEXT, text: content};
+            } else if (!content || typeof content !== 'object') {
+                throw new TypeError("Message must be a string or an object");
+            }
+            var message = createMessage(username_, {
+                to: options.to,
+                type: content.type || MESSAGE_TYPE_DATA,
+                text: content.text,
+                payload: content.payload
+            });
+            return sendAppCommand("sendMessage", {
+                roomConfig: {
+                    name: name_
+                },
+                to: message.to,
+                id: message.id,
+                timestamp: message.timestamp,
+                type: message.type,
+                text: message.text,
+                payload: message.payload
+            }).then(function(){
+                return addMessage(message);
+            });
+        };
+
+        /**
+         * Get chat messages from history, sent messages are added when server accepts them
+         *
+         * @param {Object=} options Page options
+         * @param {String=} options.before Get messages older than message with this id, the newest messages are returned if not set
+         * @param {Integer=} [options.limit=20] Messages in page
+         * @returns {Array<Object>} Messages from the oldest one, see MESSAGE event
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var getMessages = function(options) {
+            options = options || {};
+            var limit = options.limit || DEFAULT_CHAT_PAGE_SIZE;
+            var end = messages.length;
+            if (options.before) {
+                end = 0;
+                for (var i = 0; i < messages.length; i++) {
+                    if (messages[i].id == options.before) {
+                        end = i;
+                        break;
                     }
-                    delete roomHandlers[name_];
-                    delete rooms[name_];
                 }
-            });
+            }
+            return messages.slice(Math.max(0, end - limit), end);
+        };
+
+        /**
+         * Get room state snapshot. Snapshot is immutable, a new one is passed with STATE_CHANGED event on every change
+         * as (state, diff, previous), see diff format in diffState.
+         *
+         * @returns {Object} State {name, owner, locked, participants: [{name, streams: [streamName]}]}
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var getState = function() {
+            var state = createState();
+            //the same snapshot is returned until state changes
+            return diffState(state_, state) ? state : state_;
+        };
+
+        /**
+         * Get room owner name
+         *
+         * @returns {String} Owner name, undefined if server didn't report it
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var owner = function() {
+            return owner_;
+        };
+
+        /**
+         * Get active speaker detected with activeSpeaker option
+         *
+         * @returns {String} Participant name, null if nobody has spoken yet
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var getActiveSpeaker = function() {
+            return speakerDetector ? speakerDetector.get() : null;
+        };
+
+        /**
+         * Room is locked
+         *
+         * @returns {Boolean} True if new participants can't join the room
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var isLocked = function() {
+            return locked_;
         };
 
         /**
@@ -393,13 +829,17 @@ var appSession = function(options) {
             options.name = (options.name) ? (name_ + "-" + username_ + "-" + uuid_v1().substr(0,4) + "-" + options.name) : (name_ + "-" + username_ + "-" + uuid_v1().substr(0,4));
             options.cacheLocalResources = (typeof options.cacheLocalResources === "boolean") ? options.cacheLocalResources : true;
             options.custom = {name: name_};
-            var stream = session.createStream(options);
+            if (activeSpeakerOptions && !options.audioLevel) {
+                options.audioLevel = activeSpeakerOptions;
+            }
+            var stream = trackSpeaker(username_, session.createStream(options));
             stream.publish();
             return stream;
         };
 
         /**
          * Add room event callback.
+         * Several callbacks may be added to the same event, use "*" as event to receive all events.
          *
          * @param {string} event One of {@link roomApi.events} events
          * @param {roomApi.Room~eventCallback} callback Callback function
@@ -410,13 +850,38 @@ var appSession = function(options) {
          * @inner
          */
         var on = function(event, callback) {
-            if (!event) {
-                throw new Error("Event can't be null", "TypeError");
-            }
-            if (!callback || typeof callback !== 'function') {
-                throw new Error("Callback needs to be a valid function");
-            }
-            callbacks[event] = callback;
+            emitter.on(event, callback);
+            return room;
+        };
+
+        /**
+         * Add room event callback which is removed after the first call.
+         *
+         * @param {string} event One of {@link roomApi.events} events
+         * @param {roomApi.Room~eventCallback} callback Callback function
+         * @returns {roomApi.Room} room
+         * @throws {TypeError} Error if event is not specified
+         * @throws {Error} Error if callback is not a valid function
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var once = function(event, callback) {
+            emitter.once(event, callback);
+            return room;
+        };
+
+        /**
+         * Remove room event callback.
+         * Removes all callbacks of the event if callback is not specified, and all callbacks at all if event is not specified.
+         *
+         * @param {string=} event One of {@link roomApi.events} events
+         * @param {roomApi.Room~eventCallback=} callback Callback function
+         * @returns {roomApi.Room} room
+         * @memberof roomApi.Room
+         * @inner
+         */
+        var off = function(event, callback) {
+            emitter.off(event, callback);
             return room;
         };
 
@@ -432,10 +897,10 @@ var appSession = function(options) {
         };
 
         //participant helpers
-        function play(streamName) {
+        function play(streamName, login) {
             return function(display){
-                var stream = session.createStream({name: streamName, display: display, custom: {name: name_}});
-                stream.play();
+                var stream = session.createStream({name: streamName, display: display, custom: {name: name_}, audioLevel: activeSpeakerOptions});
+                trackSpeaker(login, stream).play();
                 return stream;
             }
         }
@@ -463,14 +928,9 @@ var appSession = function(options) {
 
         function attachSendMessage(recipientName) {
             return function(text, error) {
-                var message = {
-                    roomConfig: {
-                        name: name_
-                    },
-                    to: recipientName,
-                    text: text
-                };
-                sendAppCommand("sendMessage", message).then(function(){}, function(){
+                var content = typeof text === 'string' || (text && typeof text === 'object') ? text : {type: MESSAGE_TYPE_TEXT, text: text};
+                //failure is reported to callback only, callers may ignore returned Promise
+                return sendMessage(content, {to: recipientName}).then(null, function(){
                     if (error) {
                         error();
                     }
@@ -478,6 +938,54 @@ var appSession = function(options) {
             }
         }
 
+        //chat message helper, info is received from server or created by this participant
+        function createMessage(login, info) {
+            return {
+                id: info.id || uuid_v1(),
+                timestamp: info.timestamp || Date.now(),
+                from: participants[login],
+                fromName: login,
+                to: info.to,
+                local: login == username_,
+                type: info.type || MESSAGE_TYPE_TEXT,
+                text: info.text,
+                payload: info.payload
+            };
+        }
+
+        function addMessage(message) {
+            messages.push(message);
+            if (messages.length > chatHistorySize) {
+                messages.shift();
+            }
+            return message;
+        }
+
+        //mute and unmute both audio and video by default
+        function getMuteOptions(options) {
+            options = options || {};
+            var all = !options.audio && !options.video;
+            return {
+                streamName: options.streamName,
+                audio: all || !!options.audio,
+                video: all || !!options.video
+            };
+        }
+
+        //moderation command to participant helper
+        function sendModerationCommand(commandName, participantName, data) {
+            if (!participantName) {
+                throw new TypeError("Participant name must be provided");
+            }
+            data.roomConfig = {
+                name: name_
+            };
+            data.to = participantName;
+            return sendAppCommand(commandName, data).then(function(){
+                return room;
+            });
+        }
+
         //sendData helper
         function sendAppCommand(commandName, data) {
             var command = {
@@ -488,15 +996,27 @@ var appSession = function(options) {
         }
 
         sendAppCommand("join", {name: name_}).then(function(){}, function(info){
-            if (callbacks["FAILED"]) {
-                callbacks["FAILED"](room, info.info);
-            }
+            emitter.emit("FAILED", room, info.info);
         });
         room.name = name;
         room.leave = leave;
         room.publish = publish;
         room.getParticipants = getParticipants;
+        room.kick = kick;
+        room.mute = mute;
+        room.unmute = unmute;
+        room.lock = lock;
+        room.unlock = unlock;
+        room.transferOwnership = transferOwnership;
+        room.owner = owner;
+        room.isLocked = isLocked;
+        room.getActiveSpeaker = getActiveSpeaker;
+        room.getState = getState;
+        room.sendMessage = sendMessage;
+        room.getMessages = getMessages;
         room.on = on;
+        room.once = once;
+        room.off = off;
         rooms[name_] = room;
         return room;
     };
@@ -510,21 +1030,50 @@ var appSession = function(options) {
         status: status,
         getRooms: getRooms,
         join: join,
-        on: on
+        on: on,
+        once: once,
+        off: off
     };
     return exports;
 };
 
+/**
+ * Room events.
+ * Payloads of paired stream events differ: PUBLISHED passes participant only and is kept so for compatibility,
+ * UNPUBLISHED passes {participant, stream, reason}, reason is UNPUBLISHED or FAILED.
+ * STREAM_ADDED {participant, stream} and STREAM_REMOVED {participant, stream, reason} have the same shape
+ * and are fired for streams of participants who left or were kicked too.
+ *
+ * @namespace roomApi.events
+ */
 var events = {
     STATE: "STATE",
     JOINED: "JOINED",
     LEFT: "LEFT",
+    //participant
     PUBLISHED: "PUBLISHED",
+    //{participant, stream, reason}
+    UNPUBLISHED: "UNPUBLISHED",
+    //{participant, stream}
+    STREAM_ADDED: "STREAM_ADDED",
+    //{participant, stream, reason}
+    STREAM_REMOVED: "STREAM_REMOVED",
+    PARTICIPANT_UPDATED: "PARTICIPANT_UPDATED",
+    STATE_CHANGED: "STATE_CHANGED",
     MESSAGE: "MESSAGE",
-    FAILED: "FAILED"
+    FAILED: "FAILED",
+    KICKED: "KICKED",
+    MUTED: "MUTED",
+    UNMUTED: "UNMUTED",
+    LOCKED: "LOCKED",
+    UNLOCKED: "UNLOCKED",
+    OWNER_CHANGED: "OWNER_CHANGED",
+    ACTIVE_SPEAKER: "ACTIVE_SPEAKER"
 };
 
 module.exports = {
     connect: appSession,
-    events: events
+    events: events,
+    createSubscriber: roomSubscriber.create,
+    LAYOUT: roomSubscriber.LAYOUT
 };
\ No newline at end of file
@@ -0,0 +1,323 @@
+'use strict';
+
+var STREAM_STATUS = require('./constants').STREAM_STATUS;
+var logger = require('./util').logger;
+var LOG_PREFIX = "room-subscriber";
+var DEFAULT_MAX_STREAMS = 9;
+//height of thumbnails strip in speaker layout and width of thumbnails column in sidebar layout, %
+var THUMBNAILS_SIZE = 25;
+
+/**
+ * Layouts of played streams
+ *
+ * @namespace roomApi.LAYOUT
+ */
+var LAYOUT = {
+    //equal tiles
+    GRID: "grid",
+    //speaker tile above thumbnails strip
+    SPEAKER: "speaker",
+    //speaker tile beside thumbnails column
+    SIDEBAR: "sidebar"
+};
+
+var splitEvenly = function (count, offset, size, vertical) {
+    var tiles = [];
+    for (var i = 0; i < count; i++) {
+        var tileSize = size / count;
+        tiles.push(vertical ?
+            {left: offset, top: i * tileSize, width: THUMBNAILS_SIZE, height: tileSize} :
+            {left: i * tileSize, top: offset, width: tileSize, height: THUMBNAILS_SIZE});
+    }
+    return tiles;
+};
+
+/**
+ * Compute tile positions, the first tile is the speaker one in speaker and sidebar layouts
+ *
+ * @param {string} layout One of {@link roomApi.LAYOUT}
+ * @param {Integer} count Tiles count
+ * @returns {Array<Object>} Tiles {left, top, width, height} in percents of container size
+ */
+var computeLayout = function (layout, count) {
+    if (count == 0) {
+        return [];
+    }
+    if (layout == LAYOUT.GRID || count == 1) {
+        var columns = Math.ceil(Math.sqrt(count));
+        var rows = Math.ceil(count / columns);
+        var tiles = [];
+        for (var i = 0; i < count; i++) {
+            tiles.push({
+                left: (i % columns) * 100 / columns,
+                top: Math.floor(i / columns) * 100 / rows,
+                width: 100 / columns,
+                height: 100 / rows
+            });
+        }
+        return tiles;
+    }
+    if (layout == LAYOUT.SPEAKER) {
+        return [{left: 0, top: 0, width: 100, height: 100 - THUMBNAILS_SIZE}]
+            .concat(splitEvenly(count - 1, 100 - THUMBNAILS_SIZE, 100, false));
+    }
+    return [{left: 0, top: 0, width: 100 - THUMBNAILS_SIZE, height: 100}]
+        .concat(splitEvenly(count - 1, 100 - THUMBNAILS_SIZE, 100, true));
+};
+
+/**
+ * Create room subscriber which plays streams of remote participants into container
+ * and stops them when participants unpublish streams or leave the room.
+ * Streams above maxStreams wait until played streams are removed.
+ *
+ * @param {roomApi.Room} room Joined room
+ * @param {Object} options Subscriber options
+ * @param {HTMLElement} options.container Element to create stream displays in, it is made relatively positioned
+ * if it is not positioned because displays are absolutely positioned in percents of its size
+ * @param {string=} [options.layout=grid] One of {@link roomApi.LAYOUT}
+ * @param {Integer=} [options.maxStreams=9] Streams played simultaneously
+ * @param {Boolean=} [options.followSpeaker=true] Show active speaker of the room joined with activeSpeaker option in the speaker tile
+ * @returns {roomApi.Subscriber} Subscriber
+ * @throws {TypeError} Error if container is not specified or layout is unknown
+ * @memberof roomApi
+ * @method createSubscriber
+ */
+var createSubscriber = function (room, options) {
+    if (!options || !options.container) {
+        throw new TypeError("options.container must be provided");
+    }
+    var container = options.container;
+    positionContainer(container);
+    var layout_ = checkLayout(options.layout || LAYOUT.GRID);
+    var maxStreams = options.maxStreams || DEFAULT_MAX_STREAMS;
+    var followSpeaker = options.followSpeaker !== false;
+    var speaker_;
+    //played tiles {participant, stream, display, playing} and streams waiting for free tile {participant, stream}
+    var tiles = [];
+    var pending = [];
+
+    /**
+     * Plays room streams
+     *
+     * @namespace roomApi.Subscriber
+     */
+    var subscriber = {};
+
+    var onStreamAdded = function (event) {
+        add(event.participant, event.stream);
+    };
+
+    var onStreamRemoved = function (event) {
+        remove(event.stream.streamName());
+    };
+
+    var onActiveSpeaker = function (event) {
+        if (event.name) {
+            setSpeaker(event.name);
+        }
+    };
+
+    var add = function (participant, stream) {
+        if (find(tiles, stream.streamName()) != -1 || find(pending, stream.streamName()) != -1) {
+            return;
+        }
+        if (tiles.length >= maxStreams) {
+            pending.push({participant: participant, stream: stream});
+            return;
+        }
+        var display = document.createElement("div");
+        var tile = {participant: participant, stream: stream, display: display};
+        container.appendChild(display);
+        tiles.push(tile);
+        tile.playing = stream.play(display).on(STREAM_STATUS.FAILED, function () {
+            logger.warn(LOG_PREFIX, "Failed to play stream " + stream.streamName());
+            remove(stream.streamName());
+        });
+        arrange();
+    };
+
+    var remove = function (streamName) {
+        var index = find(pending, streamName);
+        if (index != -1) {
+            pending.splice(index, 1);
+            return;
+        }
+        index = find(tiles, streamName);
+        if (index == -1) {
+            return;
+        }
+        var tile = tiles.splice(index, 1)[0];
+        release(tile);
+        if (pending.length) {
+            var next = pending.shift();
+            add(next.participant, next.stream);
+        } else {
+            arrange();
+        }
+    };
+
+    var release = function (tile) {
+        var status = tile.playing.status();
+        if (status != STREAM_STATUS.STOPPED && status != STREAM_STATUS.FAILED) {
+            tile.playing.stop();
+        }
+        if (tile.display.parentNode) {
+            tile.display.parentNode.removeChild(tile.display);
+        }
+    };
+
+    //speaker tile goes first
+    var arrange = function () {
+        var ordered = tiles.slice();
+        if (layout_ != LAYOUT.GRID) {
+            var speakerIndex = -1;
+            for (var i = 0; i < ordered.length; i++) {
+                if (ordered[i].participant.name() == speaker_) {
+                    speakerIndex = i;
+                    break;
+                }
+            }
+            if (speakerIndex > 0) {
+                ordered.unshift(ordered.splice(speakerIndex, 1)[0]);
+            }
+        }
+        var positions = computeLayout(layout_, ordered.length);
+        ordered.forEach(function (tile, index) {
+            var style = tile.display.style;
+            style.position = "absolute";
+            style.left = positions[index].left + "%";
+            style.top = positions[index].top + "%";
+            style.width = positions[index].width + "%";
+            style.height = positions[index].height + "%";
+        });
+    };
+
+    /**
+     * Change layout
+     *
+     * @param {string} layout One of {@link roomApi.LAYOUT}
+     * @throws {TypeError} Error if layout is unknown
+     * @memberof roomApi.Subscriber
+     * @inner
+     */
+    var setLayout = function (layout) {
+        layout_ = checkLayout(layout);
+        arrange();
+    };
+
+    /**
+     * Get layout
+     *
+     * @returns {string} One of {@link roomApi.LAYOUT}
+     * @memberof roomApi.Subscriber
+     * @inner
+     */
+    var getLayout = function () {
+        return layout_;
+    };
+
+    /**
+     * Show participant in the speaker tile of speaker and sidebar layouts, the first played participant is shown by default
+     *
+     * @param {string} participantName Participant name
+     * @memberof roomApi.Subscriber
+     * @inner
+     */
+    var setSpeaker = function (participantName) {
+        speaker_ = participantName;
+        arrange();
+    };
+
+    /**
+     * Get played streams
+     *
+     * @returns {Array<Object>} Tiles {participant, stream, display, playing}, playing is the played {@link Stream}
+     * @memberof roomApi.Subscriber
+     * @inner
+     */
+    var getTiles = function () {
+        return tiles.map(function (tile) {
+            return {participant: tile.participant, stream: tile.stream, display: tile.display, playing: tile.playing};
+        });
+    };
+
+    /**
+     * Get count of streams waiting for free tile
+     *
+     * @returns {Integer} Streams count
+     * @memberof roomApi.Subscriber
+     * @inner
+     */
+    var getPendingCount = function () {
+        return pending.length;
+    };
+
+    /**
+     * Stop played streams, remove displays and stop following the room
+     *
+     * @memberof roomApi.Subscriber
+     * @inner
+     */
+    var destroy = function () {
+        room.off("STREAM_ADDED", onStreamAdded);
+        room.off("STREAM_REMOVED", onStreamRemoved);
+        room.off("ACTIVE_SPEAKER", onActiveSpeaker);
+        pending = [];
+        var released = tiles;
+        tiles = [];
+        released.forEach(release);
+    };
+
+    room.on("STREAM_ADDED", onStreamAdded);
+    room.on("STREAM_REMOVED", onStreamRemoved);
+    if (followSpeaker) {
+        room.on("ACTIVE_SPEAKER", onActiveSpeaker);
+    }
+    //streams published before subscriber is created
+    room.getParticipants().forEach(function (participant) {
+        participant.getStreams().forEach(function (stream) {
+            add(participant, stream);
+        });
+    });
+
+    subscriber.setLayout = setLayout;
+    subscriber.getLayout = getLayout;
+    subscriber.setSpeaker = setSpeaker;
+    subscriber.getTiles = getTiles;
+    subscriber.getPendingCount = getPendingCount;
+    subscriber.destroy = destroy;
+    return subscriber;
+};
+
+//absolutely positioned displays are laid out against the nearest positioned ancestor
+var positionContainer = function (container) {
+    var position = typeof window !== 'undefined' && window.getComputedStyle ?
+        window.getComputedStyle(container).position : container.style.position;
+    if (!position || position == "static") {
+        container.style.position = "relative";
+    }
+};
+
+var checkLayout = function (layout) {
+    for (var key in LAYOUT) {
+        if (LAYOUT.hasOwnProperty(key) && LAYOUT[key] == layout) {
+            return layout;
+        }
+    }
+    throw new TypeError("Unknown layout " + layout);
+};
+
+var find = function (entries, streamName) {
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].stream.streamName() == streamName) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+module.exports = {
+    create: createSubscriber,
+    computeLayout: computeLayout,
+    LAYOUT: LAYOUT
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+var DEFAULT_INTERVAL = 1000;
+//samples used to compute rates, the newest sample is compared with the oldest one
+var DEFAULT_WINDOW = 5;
+var DEFAULT_HISTORY_SIZE = 60;
+
+/**
+ * Get option of stats collection
+ *
+ * @param {Boolean|Object} options Stats options of stream or call
+ * @returns {Object} Options {interval, window, historySize} with defaults
+ */
+var getOptions = function (options) {
+    options = typeof options === 'object' ? options : {};
+    return {
+        interval: options.interval || DEFAULT_INTERVAL,
+        window: Math.max(2, options.window || DEFAULT_WINDOW),
+        historySize: options.historySize || DEFAULT_HISTORY_SIZE
+    };
+};
+
+var delta = function (newer, older, key) {
+    if (typeof newer[key] !== 'number' || typeof older[key] !== 'number') {
+        return undefined;
+    }
+    return newer[key] - older[key];
+};
+
+var percent = function (part, total) {
+    if (part === undefined || total === undefined || total <= 0) {
+        return undefined;
+    }
+    return part / total * 100;
+};
+
+//rates of one media type of outbound or inbound stream
+var computeRates = function (newer, older, remote, olderRemote, seconds, outbound) {
+    var metrics = {};
+    var bytes = delta(newer, older, outbound ? "bytesSent" : "bytesReceived");
+    if (bytes !== undefined) {
+        metrics.bitrate = Math.round(bytes * 8 / seconds);
+    }
+    var frames = delta(newer, older, outbound ? "framesEncoded" : "framesDecoded");
+    if (frames !== undefined) {
+        metrics.fps = frames / seconds;
+    } else if (typeof newer.framesPerSecond === 'number') {
+        metrics.fps = newer.framesPerSecond;
+    }
+    var lost;
+    var total;
+    if (outbound) {
+        //loss of sent packets is reported by receiver
+        lost = remote && olderRemote ? delta(remote, olderRemote, "packetsLost") : undefined;
+        total = delta(newer, older, "packetsSent");
+    } else {
+        lost = delta(newer, older, "packetsLost");
+        var received = delta(newer, older, "packetsReceived");
+        total = lost !== undefined && received !== undefined ? lost + received : undefined;
+    }
+    var loss = percent(lost, total);
+    if (loss !== undefined) {
+        metrics.packetLoss = Math.max(0, loss);
+    }
+    if (typeof newer.jitter === 'number') {
+        metrics.jitter = newer.jitter * 1000;
+    } else if (remote && typeof remote.jitter === 'number') {
+        metrics.jitter = remote.jitter * 1000;
+    }
+    return metrics;
+};
+
+var computeDirection = function (newer, older, outbound) {
+    var section = outbound ? "outboundStream" : "inboundStream";
+    var result = {};
+    var streams = newer.stats[section] || {};
+    Object.keys(streams).forEach(function (mediaType) {
+        var olderStream = (older.stats[section] || {})[mediaType];
+        if (!olderStream) {
+            return;
+        }
+        var remote = (newer.stats.remoteInboundStream || {})[mediaType];
+        var olderRemote = (older.stats.remoteInboundStream || {})[mediaType];
+        result[mediaType] = computeRates(streams[mediaType], olderStream, remote, olderRemote,
+            (newer.timestamp - older.timestamp) / 1000, outbound);
+    });
+    return result;
+};
+
+/**
+ * Create stats collector of stream or call. Collected stats are kept in bounded history
+ * with metrics derived over sliding window: bitrate (bps), packetLoss (%), fps, jitter (ms) and roundTripTime (ms).
+ *
+ * @param {Boolean|Object} options Stats options
+ * @param {Integer=} [options.interval=1000] Collection interval, ms
+ * @param {Integer=} [options.window=5] Samples to compute metrics over
+ * @param {Integer=} [options.historySize=60] Samples kept in history
+ * @returns {Object} Collector
+ */
+var createStatsCollector = function (options) {
+    var config = getOptions(options);
+    var history = [];
+    var timer = null;
+
+    /**
+     * Add stats sample
+     *
+     * @param {Object} stats Stats returned by media connection getStats()
+     * @param {Number} timestamp Collection time, ms
+     * @returns {Object} Sample {timestamp, stats, metrics}
+     */
+    var add = function (stats, timestamp) {
+        var sample = {timestamp: timestamp, stats: stats, metrics: {outbound: {}, inbound: {}}};
+        var older = history[Math.max(0, history.length - config.window + 1)];
+        if (older && timestamp > older.timestamp) {
+            sample.metrics.outbound = computeDirection(sample, older, true);
+            sample.metrics.inbound = computeDirection(sample, older, false);
+        }
+        var pair = stats.candidatePair;
+        if (pair && typeof pair.currentRoundTripTime === 'number') {
+            sample.metrics.roundTripTime = pair.currentRoundTripTime * 1000;
+        }
+        history.push(sample);
+        if (history.length > config.historySize) {
+            history.shift();
+        }
+        return sample;
+    };
+
+    var getHistory = function () {
+        return history.slice();
+    };
+
+    var getLast = function () {
+        return history[history.length - 1];
+    };
+
+    var clear = function () {
+        history = [];
+    };
+
+    /**
+     * Collect stats periodically
+     *
+     * @param {Function} getStats Requests stats, receives callback
+     * @param {Function} onSample Receives collected sample
+     */
+    var start = function (getStats, onSample) {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(function () {
+            getStats(function (stats) {
+                //stats may arrive after collection is stopped
+                if (!timer || !stats) {
+                    return;
+                }
+                onSample(add(stats, Date.now()));
+            });
+        }, config.interval);
+    };
+
+    var stop = function () {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+
+    return {
+        add: add,
+        getHistory: getHistory,
+        getLast: getLast,
+        clear: clear,
+        start: start,
+        stop: stop
+    };
+};
+
+module.exports = {
+    create: createStatsCollector
+};
@@ -35,6 +35,14 @@ module.exports = {
             }
         }
     },
+    /**
+     * Check if code runs in browser, window and navigator are not available in Node.js
+     *
+     * @returns {boolean}
+     */
+    isBrowser: function() {
+        return typeof window !== 'undefined' && typeof navigator !== 'undefined';
+    },
     browser: function() {
         var browser;
         var isAndroid = navigator.userAgent.toLowerCase().indexOf("android") > -1;
@@ -15,6 +15,8 @@ var createMicGainNode;
 var microphoneGain;
 var constants = require('./constants');
 var validBrowsers = ["firefox", "chrome", "safari"];
+//string values of rtp reports included in stats
+var STAT_STRING_KEYS = ["qualityLimitationReason", "encoderImplementation", "decoderImplementation", "rid"];
 
 var createConnection = function (options) {
     return new Promise(function (resolve, reject) {
@@ -48,6 +50,37 @@ var createConnection = function (options) {
         var constraints = options.constraints ? options.constraints : {};
         var screenShare = false;
         var playoutDelay = options.playoutDelay;
+        //simulcast layers {rid, scaleResolutionDownBy, maxBitrate, active} of published video
+        var simulcast = options.simulcast;
+
+        //video is sent with encoding per simulcast layer, other tracks are added as is
+        var addLocalStream = function (stream) {
+            if (!simulcast) {
+                connection.addStream(stream);
+                return;
+            }
+            stream.getTracks().forEach(function (track) {
+                if (track.kind !== 'video') {
+                    connection.addTrack(track, stream);
+                    return;
+                }
+                connection.addTransceiver(track, {
+                    direction: "sendonly",
+                    streams: [stream],
+                    sendEncodings: simulcast.map(function (layer) {
+                        var encoding = {
+                            rid: layer.rid,
+                            scaleResolutionDownBy: layer.scaleResolutionDownBy,
+                            active: layer.active
+                        };
+                        if (layer.maxBitrate) {
+                            encoding.maxBitrate = layer.maxBitrate * 1000;
+                        }
+                        return encoding;
+                    })
+                });
+            });
+        };
 
         if (bidirectional) {
             localVideo = getCacheInstance(localDisplay);
@@ -98,7 +131,7 @@ var createConnection = function (options) {
                 } else {
                     localVideo = cachedVideo;
                     localVideo.id = id;
-                    connection.addStream(localVideo.srcObject);
+                    addLocalStream(localVideo.srcObject);
                 }
             }
         }
@@ -172,6 +205,7 @@ var createConnection = function (options) {
             return connection.signalingState;
         };
         var close = function (cacheCamera) {
+            releaseAudioLevelMeter();
             if (remoteVideo) {
                 removeVideoElement(remoteVideo);
                 //tweak for custom video players #WCS-1511
@@ -389,32 +423,65 @@ var createConnection = function (options) {
         };
         var getStat = function (callbackFn, nativeStats) {
             var browser = browserDetails.browser;
-            var result = {outboundStream: {}, inboundStream: {}, otherStats: []};
+            var result = {outboundStream: {}, inboundStream: {}, remoteInboundStream: {}, candidatePair: {}, otherStats: []};
             if (connection && validBrowsers.includes(browser)) {
                 if (nativeStats) {
                     return connection.getStats(null);
                 } else {
                     connection.getStats(null).then(function (stat) {
                         if (stat) {
+                            var candidates = {};
+                            var pairs = {};
+                            var selectedPairId;
                             stat.forEach(function (report) {
-                                if (!report.isRemote) {
-                                    if (report.type == 'outbound-rtp') {
-                                        fillStatObject(result.outboundStream, report);
-                                        if (report.mediaType == 'video') {
+                                if (report.isRemote) {
+                                    return;
+                                }
+                                var mediaType = getMediaType(report);
+                                switch (report.type) {
+                                    case 'outbound-rtp':
+                                        if (report.rid) {
+                                            fillLayerStatObject(result.outboundStream, report);
+                                        } else {
+                                            fillStatObject(result.outboundStream, report);
+                                        }
+                                        if (mediaType == 'video' && localVideo && localVideo.srcObject) {
                                             var vSettings = localVideo.srcObject.getVideoTracks()[0].getSettings();
-                                            result.outboundStream[report.mediaType].height = vSettings.height;
-                                            result.outboundStream[report.mediaType].width = vSettings.width;
+                                            result.outboundStream[mediaType].height = vSettings.height;
+                                            result.outboundStream[mediaType].width = vSettings.width;
                                         }
-                                    } else if (report.type == 'inbound-rtp') {
+                                        break;
+                                    case 'inbound-rtp':
                                         fillStatObject(result.inboundStream, report);
-                                        if (report.mediaType == 'video' && remoteVideo != undefined) {
-                                            result.inboundStream[report.mediaType].height = remoteVideo.videoHeight;
-                                            result.inboundStream[report.mediaType].width = remoteVideo.videoWidth;
+                                        if (mediaType == 'video' && remoteVideo != undefined) {
+                                            result.inboundStream[mediaType].height = remoteVideo.videoHeight;
+                                            result.inboundStream[mediaType].width = remoteVideo.videoWidth;
+                                        }
+                                        break;
+                                    case 'remote-inbound-rtp':
+                                        fillStatObject(result.remoteInboundStream, report);
+                                        break;
+                                    case 'candidate-pair':
+                                        pairs[report.id] = report;
+                                        //Firefox doesn't report transport, selected pair is marked
+                                        if (report.selected || (report.nominated && report.state == 'succeeded' && !selectedPairId)) {
+                                            selectedPairId = report.id;
                                         }
-                                    }
+                                        break;
+                                    case 'transport':
+                                        if (report.selectedCandidatePairId) {
+                                            selectedPairId = report.selectedCandidatePairId;
+                                        }
+                                        break;
+                                    case 'local-candidate':
+                                    case 'remote-candidate':
+                                        candidates[report.id] = report;
+                                        break;
                                 }
                             });
-
+                            if (selectedPairId && pairs[selectedPairId]) {
+                                fillCandidatePairObject(result.candidatePair, pairs[selectedPairId], candidates);
+                            }
                         }
                         callbackFn(result);
                     });
@@ -422,21 +489,72 @@ var createConnection = function (options) {
             }
         };
 
+        //mediaType is replaced by kind in the current spec
+        function getMediaType(report) {
+            return report.kind || report.mediaType;
+        }
+
+        function isCounter(key) {
+            return key.startsWith("bytes") || key.startsWith("packets") || key.indexOf("Count") != -1;
+        }
+
+        //every simulcast layer is reported separately, counters of layers are summed up
+        function fillLayerStatObject(obj, report) {
+            var mediaType = getMediaType(report);
+            if (!obj[mediaType] || !obj[mediaType].layers) {
+                fillStatObject(obj, report);
+                obj[mediaType].layers = {};
+            } else {
+                Object.keys(report).forEach(function (key) {
+                    if (isCounter(key)) {
+                        obj[mediaType][key] = (obj[mediaType][key] || 0) + report[key];
+                    }
+                });
+            }
+            var layer = {};
+            Object.keys(report).forEach(function (key) {
+                if (isCounter(key) || key.startsWith("frame") || key == "qualityLimitationReason" || key == "active") {
+                    layer[key] = report[key];
+                }
+            });
+            obj[mediaType].layers[report.rid] = layer;
+        }
+
+        //numeric values are copied as is, ids referencing other reports are dropped
         function fillStatObject(obj, report) {
-            var mediaType = report.mediaType;
+            var mediaType = getMediaType(report);
             obj[mediaType] = {};
             //WCS-1922, currentRemoteDescription - browser compatibilitySection: Chrome 70, FF 57, Safari 11
             var description = connection.currentRemoteDescription != undefined ? connection.currentRemoteDescription : connection.remoteDescription;
-            var codec = util.getCurrentCodecAndSampleRate(description.sdp, mediaType);
-            obj[mediaType]["codec"] = codec.name;
-            obj[mediaType]["codecRate"] = codec.sampleRate;
+            var codec = description ? util.getCurrentCodecAndSampleRate(description.sdp, mediaType) : null;
+            if (codec) {
+                obj[mediaType]["codec"] = codec.name;
+                obj[mediaType]["codecRate"] = codec.sampleRate;
+            }
             Object.keys(report).forEach(function (key) {
-                if (key.startsWith("bytes") || key.startsWith("packets") || key.indexOf("Count") != -1) {
+                if (typeof report[key] === 'number' || STAT_STRING_KEYS.indexOf(key) != -1) {
                     obj[mediaType][key] = report[key];
                 }
             });
         }
 
+        function fillCandidatePairObject(obj, pair, candidates) {
+            Object.keys(pair).forEach(function (key) {
+                if (typeof pair[key] === 'number' || key == "state") {
+                    obj[key] = pair[key];
+                }
+            });
+            ["local", "remote"].forEach(function (side) {
+                var candidate = candidates[pair[side + "CandidateId"]];
+                if (candidate) {
+                    obj[side + "CandidateType"] = candidate.candidateType;
+                    obj[side + "Protocol"] = candidate.protocol;
+                    obj[side + "Address"] = candidate.address || candidate.ip;
+                    obj[side + "Port"] = candidate.port;
+                }
+            });
+        }
+
         var fullScreen = function () {
             var video = document.getElementById(id);
             if (video) {
@@ -664,6 +782,91 @@ var createConnection = function (options) {
             screenShare = false;
         };
 
+        /**
+         * Change encoding of published video
+         *
+         * @param {Object} parameters Encoding parameters, unset values are removed
+         * @param {Number=} parameters.maxBitrate Maximum bitrate, bps
+         * @param {Number=} parameters.scaleResolutionDownBy Resolution scale
+         * @param {Number=} parameters.maxFramerate Maximum frame rate
+         * @returns {Promise} Resolved when parameters are applied to all video senders
+         */
+        var setEncodingParameters = function (parameters) {
+            var senders = connection.getSenders().filter(function (sender) {
+                return sender.track && sender.track.kind === 'video';
+            });
+            return Promise.all(senders.map(function (sender) {
+                var senderParameters = sender.getParameters();
+                if (!senderParameters.encodings || senderParameters.encodings.length == 0) {
+                    senderParameters.encodings = [{}];
+                }
+                senderParameters.encodings.forEach(function (encoding) {
+                    ["maxBitrate", "scaleResolutionDownBy", "maxFramerate"].forEach(function (name) {
+                        if (parameters[name] === undefined) {
+                            delete encoding[name];
+                        } else {
+                            encoding[name] = parameters[name];
+                        }
+                    });
+                });
+                return sender.setParameters(senderParameters);
+            }));
+        };
+
+        /**
+         * Enable or disable simulcast layer
+         *
+         * @param {String} rid Layer id
+         * @param {Boolean} active Send layer
+         * @returns {Promise} Resolved when layer state is applied
+         */
+        var setSimulcastLayerActive = function (rid, active) {
+            var sender = connection.getSenders().filter(function (sender) {
+                return sender.track && sender.track.kind === 'video';
+            })[0];
+            if (!sender) {
+                return Promise.reject(new Error("No video is published"));
+            }
+            var parameters = sender.getParameters();
+            var encoding = (parameters.encodings || []).filter(function (encoding) {
+                return encoding.rid === rid;
+            })[0];
+            if (!encoding) {
+                return Promise.reject(new Error("Unknown simulcast layer " + rid));
+            }
+            encoding.active = active;
+            return sender.setParameters(parameters);
+        };
+
+        var audioLevelMeter = null;
+
+        /**
+         * Get audio level of local microphone or remote audio
+         *
+         * @param {Boolean} remote Measure remote audio
+         * @returns {Number} Level from 0 to 1, 0 if there is no audio
+         */
+        var getAudioLevel = function (remote) {
+            var video = remote ? remoteVideo : localVideo;
+            var mediaStream = video && video.srcObject;
+            if (!audioContext || !mediaStream || mediaStream.getAudioTracks().length == 0) {
+                return 0;
+            }
+            //media stream is replaced on device switch
+            if (!audioLevelMeter || audioLevelMeter.stream !== mediaStream) {
+                releaseAudioLevelMeter();
+                audioLevelMeter = createAudioLevelMeter(mediaStream);
+            }
+            return audioLevelMeter.getLevel();
+        };
+
+        var releaseAudioLevelMeter = function () {
+            if (audioLevelMeter) {
+                audioLevelMeter.release();
+                audioLevelMeter = null;
+            }
+        };
+
         var exports = {};
         exports.state = state;
         exports.createOffer = createOffer;
@@ -690,6 +893,9 @@ var createConnection = function (options) {
         exports.switchMic = switchMic;
         exports.switchToScreen = switchToScreen;
         exports.switchToCam = switchToCam;
+        exports.setEncodingParameters = setEncodingParameters;
+        exports.setSimulcastLayerActive = setSimulcastLayerActive;
+        exports.getAudioLevel = getAudioLevel;
         connections[id] = exports;
         resolve(exports);
     });
@@ -934,6 +1140,30 @@ var createGainNode = function (stream) {
     return gainNode;
 };
 
+//RMS of the latest audio samples, analyser is not connected to destination so audio is not played twice
+var createAudioLevelMeter = function (stream) {
+    var source = audioContext.createMediaStreamSource(stream);
+    var analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    source.connect(analyser);
+    var samples = new Uint8Array(analyser.fftSize);
+    return {
+        stream: stream,
+        getLevel: function () {
+            analyser.getByteTimeDomainData(samples);
+            var sum = 0;
+            for (var i = 0; i < samples.length; i++) {
+                var sample = (samples[i] - 128) / 128;
+                sum += sample * sample;
+            }
+            return Math.sqrt(sum / samples.length);
+        },
+        release: function () {
+            source.disconnect();
+        }
+    };
+};
+
 //Fix to set screen resolution for screen sharing in Firefox
 var setScreenResolution = function (video, stream, constraints) {
     var newHeight;
@@ -72,6 +72,15 @@ var createConnection = function(options, handlers) {
             }
             return -1;
         };
+        //WSPlayer doesn't collect media statistics, report empty sections in the format of WebRTC provider
+        var getStats = function(callbackFn) {
+            callbackFn({
+                type: "wsplayer",
+                outboundStream: {},
+                inboundStream: {},
+                otherStats: []
+            });
+        };
         var fullScreen = function() {
             if (canvas) {
                 if (!document.fullscreenElement && !document.mozFullScreenElement &&
@@ -132,6 +141,7 @@ var createConnection = function(options, handlers) {
         exports.isRemoteAudioMuted = isRemoteAudioMuted;
         exports.setVolume = setVolume;
         exports.getVolume = getVolume;
+        exports.getStats = getStats;
         exports.fullScreen = fullScreen;
         connections[id] = exports;
         resolve(connections[id]);
@@ -0,0 +1,67 @@
+//audio level metering and active speaker detection tests running in Node.js
+var expect = require('chai').expect;
+var audioLevel = require('../src/audio-level');
+
+describe('audio level', function() {
+    it('should keep speaking during short pauses', function() {
+        var meter = audioLevel.createMeter({threshold: 0.1, silenceDelay: 300});
+        expect(meter.add(0.05, 0)).to.be.false;
+        expect(meter.add(0.2, 100)).to.be.true;
+        expect(meter.isSpeaking()).to.be.true;
+        expect(meter.add(0.01, 300)).to.be.false;
+        expect(meter.add(0.3, 350)).to.be.false;
+        expect(meter.add(0.01, 500)).to.be.false;
+        expect(meter.add(0.01, 650)).to.be.true;
+        expect(meter.isSpeaking()).to.be.false;
+        expect(meter.getLevel()).to.be.equal(0.01);
+    });
+    it('should meter level periodically', function(done) {
+        var meter = audioLevel.createMeter({interval: 10});
+        var levels = [];
+        meter.start(function() {
+            return 0.5;
+        }, function(level, changed) {
+            levels.push(changed);
+            if (levels.length == 2) {
+                meter.stop();
+                expect(levels).to.be.eql([true, false]);
+                expect(meter.isSpeaking()).to.be.true;
+                done();
+            }
+        });
+    });
+
+    describe('active speaker', function() {
+        it('should select the first speaking participant', function() {
+            var detector = audioLevel.createActiveSpeakerDetector();
+            expect(detector.update("alice", 0.01, false, 0)).to.be.false;
+            expect(detector.get()).to.be.null;
+            expect(detector.update("bob", 0.2, true, 100)).to.be.true;
+            expect(detector.get()).to.be.equal("bob");
+            //everybody is silent
+            expect(detector.update("bob", 0, false, 2000)).to.be.false;
+            expect(detector.get()).to.be.equal("bob");
+        });
+        it('should switch after delay while active speaker is speaking', function() {
+            var detector = audioLevel.createActiveSpeakerDetector({switchDelay: 1000});
+            detector.update("alice", 0.2, true, 0);
+            expect(detector.update("bob", 0.4, true, 100)).to.be.false;
+            expect(detector.update("bob", 0.4, true, 600)).to.be.false;
+            //alice is louder again, bob has to wait from the start
+            detector.update("alice", 0.5, true, 700);
+            expect(detector.update("bob", 0.4, true, 1200)).to.be.false;
+            detector.update("bob", 0.6, true, 1300);
+            expect(detector.update("bob", 0.6, true, 2300)).to.be.true;
+            expect(detector.get()).to.be.equal("bob");
+        });
+        it('should switch immediately when active speaker is silent', function() {
+            var detector = audioLevel.createActiveSpeakerDetector();
+            detector.update("alice", 0.2, true, 0);
+            detector.update("alice", 0, false, 500);
+            expect(detector.update("bob", 0.1, true, 600)).to.be.true;
+            expect(detector.remove("alice")).to.be.false;
+            expect(detector.remove("bob")).to.be.true;
+            expect(detector.get()).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,113 @@
+//bitrate adaptation controller tests running in Node.js
+var expect = require('chai').expect;
+var bitrateAdaptation = require('../src/bitrate-adaptation');
+var constants = require('../src/constants');
+var CONNECTION_QUALITY = constants.CONNECTION_QUALITY;
+var BITRATE_ADAPTATION = constants.BITRATE_ADAPTATION;
+
+describe('bitrate adaptation', function() {
+    var applied;
+    var steps;
+    var result;
+
+    var create = function(options) {
+        return bitrateAdaptation.create(options, function(parameters) {
+            applied.push(parameters);
+            return result;
+        }, function(step) {
+            steps.push(step);
+        });
+    };
+
+    var report = function(adaptation, quality, count) {
+        for (var i = 0; i < count; i++) {
+            adaptation.onQuality(quality);
+        }
+    };
+
+    //steps are reported when encoding is applied
+    var settle = function() {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 0);
+        });
+    };
+
+    beforeEach(function() {
+        applied = [];
+        steps = [];
+        result = Promise.resolve();
+    });
+
+    it('should lower encoding on sustained bad quality', function() {
+        var adaptation = create({minBitrate: 100, maxBitrate: 1000, badQualityCount: 3});
+        report(adaptation, CONNECTION_QUALITY.BAD, 2);
+        adaptation.onQuality(CONNECTION_QUALITY.GOOD);
+        report(adaptation, CONNECTION_QUALITY.BAD, 2);
+        expect(applied).to.be.empty;
+        adaptation.onQuality(CONNECTION_QUALITY.BAD);
+        return settle().then(function() {
+            expect(applied).to.be.eql([{maxBitrate: 700000, scaleResolutionDownBy: undefined, maxFramerate: undefined}]);
+            expect(steps[0]).to.include({level: 1, direction: "down", reason: BITRATE_ADAPTATION.BAD_QUALITY, maxBitrate: 700});
+            expect(adaptation.getLevel()).to.be.equal(1);
+        });
+    });
+    it('should lower resolution and framerate on lower levels', function() {
+        var adaptation = create({maxBitrate: 1000});
+        var levels = Promise.resolve();
+        bitrateAdaptation.LADDER.forEach(function() {
+            levels = levels.then(function() {
+                adaptation.onNotEnoughBandwidth();
+                return settle();
+            });
+        });
+        return levels.then(function() {
+            var last = bitrateAdaptation.LADDER.length - 1;
+            expect(adaptation.getLevel()).to.be.equal(last);
+            expect(steps).to.have.length(last);
+            expect(steps[last - 1].scaleResolutionDownBy).to.be.equal(4);
+            expect(steps[last - 1].maxFramerate).to.be.equal(10);
+        });
+    });
+    it('should not lower bitrate below minimum', function() {
+        var adaptation = create({minBitrate: 800, maxBitrate: 1000});
+        adaptation.onNotEnoughBandwidth();
+        return settle().then(function() {
+            expect(steps[0].maxBitrate).to.be.equal(800);
+        });
+    });
+    it('should restore original encoding when quality recovers', function() {
+        var adaptation = create({goodQualityCount: 2});
+        adaptation.onNotEnoughBandwidth();
+        return settle().then(function() {
+            expect(steps[0].maxBitrate).to.be.equal(1400);
+            report(adaptation, CONNECTION_QUALITY.PERFECT, 2);
+            return settle();
+        }).then(function() {
+            expect(steps[1]).to.include({level: 0, direction: "up", reason: BITRATE_ADAPTATION.QUALITY_RECOVERED});
+            //stream without maxBitrate constraint is not limited
+            expect(applied[1].maxBitrate).to.be.undefined;
+            report(adaptation, CONNECTION_QUALITY.PERFECT, 4);
+            return settle();
+        }).then(function() {
+            expect(steps).to.have.length(2);
+        });
+    });
+    it('should keep level if encoding is not applied', function() {
+        var adaptation = create({});
+        result = Promise.reject(new Error("Not supported"));
+        adaptation.onNotEnoughBandwidth();
+        return settle().then(function() {
+            expect(adaptation.getLevel()).to.be.equal(0);
+            expect(steps).to.be.empty;
+        });
+    });
+    it('should ignore step applied before reset', function() {
+        var adaptation = create({});
+        adaptation.onNotEnoughBandwidth();
+        adaptation.reset();
+        return settle().then(function() {
+            expect(adaptation.getLevel()).to.be.equal(0);
+            expect(steps).to.be.empty;
+        });
+    });
+});
@@ -0,0 +1,61 @@
+//diagnostics export tests running in Node.js
+var expect = require('chai').expect;
+var diagnostics = require('../src/diagnostics');
+
+describe('diagnostics', function() {
+    var createReport = function() {
+        return {
+            created: 1000,
+            stream: {name: "stream 1"},
+            timeline: [
+                {timestamp: 1000, type: "status", status: "PENDING"},
+                {timestamp: 3000, type: "status", status: "FAILED", info: "Failed by error, \"ICE\""}
+            ],
+            stats: [
+                {timestamp: 2000, stats: {}, metrics: {outbound: {video: {bitrate: 500000}}, inbound: {}, roundTripTime: 40}}
+            ]
+        };
+    };
+
+    it('should keep bounded timeline', function() {
+        var timeline = diagnostics.createTimeline(2);
+        timeline.add("status", {status: "PENDING"});
+        timeline.add("status", {status: "PUBLISHING"});
+        timeline.add("quality", {quality: "BAD"});
+        var events = timeline.get(0);
+        expect(events).to.have.length(2);
+        expect(events[0]).to.include({type: "status", status: "PUBLISHING"});
+        expect(events[1].timestamp).to.be.a('number');
+        expect(timeline.get(Date.now() + 1000)).to.be.empty;
+    });
+    it('should convert report to CSV sorted by time', function() {
+        var lines = diagnostics.toCsv(createReport()).trim().split("\r\n");
+        expect(lines[0]).to.be.equal("timestamp,source,type,status,info,quality,outbound.video.bitrate,roundTripTime");
+        expect(lines).to.have.length(4);
+        expect(lines[1]).to.be.equal(new Date(1000).toISOString() + ",stream 1,status,PENDING,,,,");
+        expect(lines[2]).to.be.equal(new Date(2000).toISOString() + ",stream 1,stats,,,,500000,40");
+        expect(lines[3]).to.contain(',"Failed by error, ""ICE""",');
+    });
+    it('should include session and stream sources in CSV', function() {
+        var csv = diagnostics.toCsv({
+            created: 1000,
+            session: {},
+            timeline: [{timestamp: 500, type: "status", status: "ESTABLISHED"}],
+            streams: [createReport()]
+        });
+        var lines = csv.trim().split("\r\n");
+        expect(lines).to.have.length(5);
+        expect(lines[1]).to.contain(",session,status,ESTABLISHED");
+    });
+    it('should create file of requested format', function() {
+        var file = diagnostics.createFile("stream-stream 1", createReport());
+        expect(file.name).to.be.equal("stream-stream_1-1000.json");
+        expect(file.type).to.be.equal("application/json");
+        expect(JSON.parse(file.data).stream.name).to.be.equal("stream 1");
+        file = diagnostics.createFile("stream", createReport(), diagnostics.FORMAT.CSV);
+        expect(file.type).to.be.equal("text/csv");
+        expect(function() {
+            diagnostics.createFile("stream", createReport(), "xml");
+        }).to.throw(TypeError);
+    });
+});
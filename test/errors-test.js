@@ -0,0 +1,74 @@
+//typed errors tests running in Node.js
+var expect = require('chai').expect;
+var constants = require('../src/constants');
+var errors = require('../src/errors');
+var CATEGORY = constants.ERROR_CATEGORY;
+var STREAM_STATUS_INFO = constants.STREAM_STATUS_INFO;
+var CALL_STATUS_INFO = constants.CALL_STATUS_INFO;
+var ERROR_INFO = constants.ERROR_INFO;
+
+describe('errors', function() {
+    //[info, expected class, code, category, retryable]
+    var streamCases = [
+        [STREAM_STATUS_INFO.FAILED_BY_ICE_ERROR, errors.NetworkError, "FAILED_BY_ICE_ERROR", CATEGORY.NETWORK, true],
+        [STREAM_STATUS_INFO.SESSION_DOES_NOT_EXIST, errors.NetworkError, "SESSION_DOES_NOT_EXIST", CATEGORY.NETWORK, true],
+        [STREAM_STATUS_INFO.NO_COMMON_CODECS, errors.MediaError, "NO_COMMON_CODECS", CATEGORY.MEDIA, false],
+        [STREAM_STATUS_INFO.RESTRICTED_ACCESS, errors.AuthError, "RESTRICTED_ACCESS", CATEGORY.AUTH, false],
+        [STREAM_STATUS_INFO.STREAM_NOT_FOUND, errors.ServerError, "STREAM_NOT_FOUND", CATEGORY.SERVER, false],
+        [STREAM_STATUS_INFO.NO_AVAILABLE_TRANSCODERS, errors.ServerError, "NO_AVAILABLE_TRANSCODERS", CATEGORY.SERVER, true],
+        [ERROR_INFO.LOCAL_ERROR, errors.MediaError, "LOCAL_ERROR", CATEGORY.MEDIA, false],
+        ["Something unexpected", errors.ServerError, "UNKNOWN", CATEGORY.SERVER, false],
+        [undefined, errors.ServerError, "UNKNOWN", CATEGORY.SERVER, false]
+    ];
+    var callCases = [
+        [CALL_STATUS_INFO.FAILED_BY_REQUEST_TIMEOUT, errors.NetworkError, "FAILED_BY_REQUEST_TIMEOUT", CATEGORY.NETWORK, true],
+        [CALL_STATUS_INFO.NO_COMMON_CODECS, errors.MediaError, "NO_COMMON_CODECS", CATEGORY.MEDIA, false],
+        [CALL_STATUS_INFO.FAILED_BY_SESSION_CREATION, errors.ServerError, "FAILED_BY_SESSION_CREATION", CATEGORY.SERVER, true],
+        [CALL_STATUS_INFO.NORMAL_CALL_CLEARING, errors.ServerError, "NORMAL_CALL_CLEARING", CATEGORY.SERVER, false],
+        [ERROR_INFO.LOCAL_ERROR, errors.MediaError, "LOCAL_ERROR", CATEGORY.MEDIA, false],
+        //stream only info is unknown for calls
+        [STREAM_STATUS_INFO.RESTRICTED_ACCESS, errors.ServerError, "UNKNOWN", CATEGORY.SERVER, false]
+    ];
+
+    var check = function(error, expected) {
+        expect(error).to.be.an.instanceof(expected[1]);
+        expect(error).to.be.an.instanceof(errors.FlashphonerError);
+        expect(error).to.be.an.instanceof(Error);
+        expect(error.code).to.be.equal(expected[2]);
+        expect(error.category).to.be.equal(expected[3]);
+        expect(error.retryable).to.be.equal(expected[4]);
+    };
+
+    streamCases.forEach(function(expected) {
+        it('should map stream info "' + expected[0] + '" to ' + expected[2], function() {
+            var error = errors.fromStreamInfo(expected[0], undefined, "FAILED");
+            check(error, expected);
+            expect(error.status).to.be.equal("FAILED");
+            expect(error.original).to.be.equal(expected[0]);
+        });
+    });
+    callCases.forEach(function(expected) {
+        it('should map call info "' + expected[0] + '" to ' + expected[2], function() {
+            check(errors.fromCallInfo(expected[0], undefined, "FAILED"), expected);
+        });
+    });
+    it('should prefer local error message', function() {
+        var error = errors.fromStreamInfo(ERROR_INFO.LOCAL_ERROR, "Permission denied", "FAILED");
+        expect(error.message).to.be.equal("Permission denied");
+        expect(error.original).to.be.equal("Permission denied");
+        expect(errors.fromStreamInfo().message).to.be.equal("Stream failed");
+        expect(errors.fromCallInfo().message).to.be.equal("Call failed");
+    });
+    it('should map every stream info to error class of its category', function() {
+        var classes = {};
+        classes[CATEGORY.NETWORK] = [errors.NetworkError, "NetworkError"];
+        classes[CATEGORY.MEDIA] = [errors.MediaError, "MediaError"];
+        classes[CATEGORY.AUTH] = [errors.AuthError, "AuthError"];
+        classes[CATEGORY.SERVER] = [errors.ServerError, "ServerError"];
+        Object.keys(STREAM_STATUS_INFO).forEach(function(code) {
+            var error = errors.fromStreamInfo(STREAM_STATUS_INFO[code]);
+            expect(error).to.be.an.instanceof(classes[error.category][0]);
+            expect(error.name).to.be.equal(classes[error.category][1]);
+        });
+    });
+});
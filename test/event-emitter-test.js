@@ -0,0 +1,115 @@
+//event emitter tests running in Node.js
+var expect = require('chai').expect;
+var eventEmitter = require('../src/event-emitter');
+
+describe('event emitter', function() {
+    var emitter;
+
+    beforeEach(function() {
+        emitter = eventEmitter.create();
+    });
+
+    it('should notify every listener in subscription order', function() {
+        var calls = [];
+        emitter.on("A", function(value) {
+            calls.push("first " + value);
+        });
+        emitter.on("A", function(value) {
+            calls.push("second " + value);
+        });
+        emitter.emit("A", 1);
+        emitter.emit("B", 2);
+        expect(calls).to.be.eql(["first 1", "second 1"]);
+    });
+    it('should remove once listener before it is called', function() {
+        var calls = 0;
+        emitter.once("A", function() {
+            calls++;
+            expect(emitter.hasListeners("A")).to.be.false;
+            emitter.emit("A");
+        });
+        emitter.emit("A");
+        emitter.emit("A");
+        expect(calls).to.be.equal(1);
+    });
+    it('should remove listener, event listeners and all listeners', function() {
+        var calls = [];
+        var a = function() {
+            calls.push("a");
+        };
+        var b = function() {
+            calls.push("b");
+        };
+        emitter.on("A", a);
+        emitter.on("A", b);
+        emitter.on("B", b);
+        emitter.off("A", a);
+        emitter.emit("A");
+        expect(calls).to.be.eql(["b"]);
+        emitter.off("A");
+        expect(emitter.hasListeners("A")).to.be.false;
+        expect(emitter.hasListeners("B")).to.be.true;
+        emitter.off();
+        expect(emitter.hasListeners("B")).to.be.false;
+    });
+    it('should keep dispatching to listeners present when event is emitted', function() {
+        var calls = [];
+        var second = function() {
+            calls.push("second");
+        };
+        emitter.on("A", function() {
+            calls.push("first");
+            emitter.off("A", second);
+            emitter.on("A", function() {
+                calls.push("added");
+            });
+        });
+        emitter.on("A", second);
+        emitter.emit("A");
+        expect(calls).to.be.eql(["first", "second"]);
+        calls = [];
+        emitter.emit("A");
+        expect(calls).to.be.eql(["first", "added"]);
+    });
+    it('should pass event name to wildcard listener', function() {
+        var events = [];
+        emitter.on(eventEmitter.WILDCARD, function(event, value) {
+            events.push([event, value]);
+        });
+        emitter.emit("A", 1);
+        emitter.emit("B", 2);
+        expect(emitter.hasListeners("C")).to.be.true;
+        expect(events).to.be.eql([["A", 1], ["B", 2]]);
+    });
+    it('should reject invalid subscription', function() {
+        expect(function() {
+            emitter.on(null, function() {});
+        }).to.throw(TypeError);
+        expect(function() {
+            emitter.on("A");
+        }).to.throw(Error);
+    });
+    it('should call other listeners and rethrow listener error asynchronously', function() {
+        var error = new Error("listener");
+        var deferred = [];
+        var setTimeout = global.setTimeout;
+        var calls = 0;
+        emitter.on("A", function() {
+            throw error;
+        });
+        emitter.on("A", function() {
+            calls++;
+        });
+        global.setTimeout = function(callback) {
+            deferred.push(callback);
+        };
+        try {
+            emitter.emit("A");
+        } finally {
+            global.setTimeout = setTimeout;
+        }
+        expect(calls).to.be.equal(1);
+        expect(deferred).to.have.length(1);
+        expect(deferred[0]).to.throw(error);
+    });
+});
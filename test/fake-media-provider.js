@@ -0,0 +1,232 @@
+//in-memory media provider to test stream and call logic without browser, see media-provider-conformance.js
+var FAKE_SDP = "v=0\r\n" +
+    "o=- 1988962254 1988962254 IN IP4 0.0.0.0\r\n" +
+    "c=IN IP4 0.0.0.0\r\n" +
+    "t=0 0\r\n" +
+    "a=sdplang:en\r\n" +
+    "m=audio 0 RTP/AVP 111\r\n" +
+    "a=rtpmap:111 opus/48000/2\r\n" +
+    "a=sendrecv\r\n" +
+    "m=video 0 RTP/AVP 102\r\n" +
+    "a=rtpmap:102 H264/90000\r\n" +
+    "a=sendrecv\r\n";
+
+/**
+ * Create fake media provider, register it with Flashphoner.registerMediaProvider.
+ * Every provider instance keeps its own connections and local media.
+ *
+ * @param {Object=} options Provider options
+ * @param {Boolean=} options.available Value returned by available(), true by default
+ * @param {Object=} options.devices Devices returned by listDevices()
+ * @returns {Object} Provider
+ */
+var create = function(options) {
+    options = options || {};
+    var provider = {
+        //connections by stream or call id
+        connections: {},
+        //local media by display
+        localMedia: [],
+        configuration: null,
+        //rejects next getMediaAccess with this error if set
+        mediaAccessError: null,
+        //rejects next createConnection with this error if set
+        connectionError: null
+    };
+
+    provider.available = function() {
+        return options.available !== false;
+    };
+
+    provider.configure = function(configuration) {
+        provider.configuration = configuration;
+    };
+
+    provider.createConnection = function(options, handler) {
+        if (provider.connectionError) {
+            var error = provider.connectionError;
+            provider.connectionError = null;
+            return Promise.reject(error);
+        }
+        return new Promise(function(resolve) {
+            var id = options.id;
+            var volume = 100;
+            var muted = {audio: false, video: false, remoteAudio: false};
+            var connection = {
+                id: id,
+                options: options,
+                handler: handler,
+                remoteSdp: null,
+                closed: false,
+                cacheMedia: false,
+                audioOutputId: options.audioOutputId,
+                microphoneGain: 100,
+                cam: null,
+                mic: null,
+                screen: false,
+                //encoding parameters in order of setEncodingParameters calls
+                encodings: [],
+                //simulcast layer state by rid
+                layers: {},
+                //counters reported by getStats
+                bytesSent: 0,
+                bytesReceived: 0,
+                //level returned by getAudioLevel
+                audioLevel: 0
+            };
+            (options.simulcast || []).forEach(function(layer) {
+                connection.layers[layer.rid] = layer.active;
+            });
+            connection.createOffer = function() {
+                return Promise.resolve({sdp: FAKE_SDP});
+            };
+            connection.createAnswer = function() {
+                return Promise.resolve(FAKE_SDP);
+            };
+            connection.setRemoteSdp = function(sdp) {
+                connection.remoteSdp = sdp;
+                return Promise.resolve();
+            };
+            connection.close = function(cacheMedia) {
+                connection.closed = true;
+                connection.cacheMedia = !!cacheMedia;
+                delete provider.connections[id];
+            };
+            connection.getStats = function(callbackFn) {
+                var outboundVideo = {bytesSent: connection.bytesSent};
+                if (options.simulcast) {
+                    outboundVideo.layers = {};
+                    Object.keys(connection.layers).forEach(function(rid) {
+                        outboundVideo.layers[rid] = {active: connection.layers[rid]};
+                    });
+                }
+                callbackFn({
+                    type: "fake",
+                    outboundStream: {video: outboundVideo},
+                    inboundStream: {video: {bytesReceived: connection.bytesReceived}},
+                    otherStats: []
+                });
+            };
+            connection.getAudioLevel = function(remote) {
+                connection.audioLevelRemote = remote;
+                return connection.audioLevel;
+            };
+            connection.setVolume = function(value) {
+                volume = value;
+            };
+            connection.getVolume = function() {
+                return volume;
+            };
+            connection.muteAudio = function() {
+                muted.audio = true;
+            };
+            connection.unmuteAudio = function() {
+                muted.audio = false;
+            };
+            connection.isAudioMuted = function() {
+                return muted.audio;
+            };
+            connection.muteVideo = function() {
+                muted.video = true;
+            };
+            connection.unmuteVideo = function() {
+                muted.video = false;
+            };
+            connection.isVideoMuted = function() {
+                return muted.video;
+            };
+            connection.muteRemoteAudio = function() {
+                muted.remoteAudio = true;
+            };
+            connection.unmuteRemoteAudio = function() {
+                muted.remoteAudio = false;
+            };
+            connection.isRemoteAudioMuted = function() {
+                return muted.remoteAudio;
+            };
+            connection.setAudioOutputId = function(id) {
+                connection.audioOutputId = id;
+                return Promise.resolve();
+            };
+            connection.setMicrophoneGain = function(gain) {
+                connection.microphoneGain = gain;
+            };
+            connection.changeAudioCodec = function(codec) {
+                connection.audioCodec = codec;
+            };
+            connection.switchCam = function(deviceId) {
+                connection.cam = deviceId;
+                return Promise.resolve(deviceId);
+            };
+            connection.switchMic = function(deviceId) {
+                connection.mic = deviceId;
+                return Promise.resolve(deviceId);
+            };
+            connection.switchToScreen = function() {
+                connection.screen = true;
+                return Promise.resolve();
+            };
+            connection.switchToCam = function() {
+                connection.screen = false;
+            };
+            connection.fullScreen = function() {
+                connection.fullScreenRequested = true;
+            };
+            connection.setSimulcastLayerActive = function(rid, active) {
+                if (!connection.layers.hasOwnProperty(rid)) {
+                    return Promise.reject(new Error("Unknown simulcast layer " + rid));
+                }
+                connection.layers[rid] = active;
+                return Promise.resolve();
+            };
+            connection.setEncodingParameters = function(parameters) {
+                connection.encodings.push(parameters);
+                return Promise.resolve();
+            };
+            provider.connections[id] = connection;
+            resolve(connection);
+        });
+    };
+
+    provider.getMediaAccess = function(constraints, display) {
+        if (provider.mediaAccessError) {
+            var error = provider.mediaAccessError;
+            provider.mediaAccessError = null;
+            return Promise.reject(error);
+        }
+        if (provider.localMedia.indexOf(display) == -1) {
+            provider.localMedia.push(display);
+        }
+        return Promise.resolve(display);
+    };
+
+    provider.releaseMedia = function(display) {
+        var index = provider.localMedia.indexOf(display);
+        if (index == -1) {
+            return false;
+        }
+        provider.localMedia.splice(index, 1);
+        return true;
+    };
+
+    provider.listDevices = function() {
+        return Promise.resolve(options.devices || {
+            audio: [{id: "fake-mic", label: "Fake microphone", type: "mic"}],
+            video: [{id: "fake-cam", label: "Fake camera", type: "camera"}]
+        });
+    };
+
+    provider.playFirstSound = function() {
+    };
+
+    provider.playFirstVideo = function() {
+        return Promise.resolve();
+    };
+
+    return provider;
+};
+
+module.exports = {
+    create: create,
+    SDP: FAKE_SDP
+};
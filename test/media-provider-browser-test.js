@@ -0,0 +1,99 @@
+//media provider contract tests of built-in providers running in browser,
+//build bundle with "grunt browserify:mediaProviderTests" and open media-provider-test.html
+var describeConformance = require('./media-provider-conformance');
+
+var logger = {
+    debug: function() {},
+    info: function() {},
+    warn: console.warn.bind(console),
+    error: console.error.bind(console)
+};
+var audioContext = new (window.AudioContext || window.webkitAudioContext)();
+var connectionId = 0;
+
+var connectionOptions = function() {
+    var display = document.createElement("div");
+    document.body.appendChild(display);
+    connectionId++;
+    return {
+        id: "conformance-" + connectionId,
+        display: display,
+        mainUrl: "ws://127.0.0.1:1",
+        connectionConfig: {iceServers: []}
+    };
+};
+
+describeConformance("WebRTC", {
+    provider: function() {
+        var provider = require('../src/webrtc-media-provider');
+        provider.configure({
+            constraints: {audio: true, video: true},
+            audioContext: audioContext,
+            logger: logger
+        });
+        return provider;
+    },
+    connectionOptions: connectionOptions,
+    publish: true,
+    play: true
+});
+describeConformance("WSPlayer", {
+    provider: function() {
+        var provider = require('../src/websocket-media-provider');
+        provider.configure({audioContext: audioContext, logger: logger});
+        return provider;
+    },
+    connectionOptions: connectionOptions,
+    play: true
+});
+//Flash connects to media server, set it with ?server=wss://host:8443 page parameter
+var serverUrl = (/[?&]server=([^&]+)/.exec(window.location.search) || [])[1];
+
+describeConformance("Flash", {
+    provider: function() {
+        var provider = require('../src/flash-media-provider');
+        provider.configure({constraints: {audio: true, video: true}, logger: logger});
+        return provider;
+    },
+    connectionOptions: function() {
+        var options = connectionOptions();
+        options.mainUrl = decodeURIComponent(serverUrl);
+        options.flashProto = "rtmp";
+        options.flashPort = 1935;
+        return options;
+    },
+    available: function(provider) {
+        return provider.available() && !!serverUrl;
+    },
+    publish: true,
+    play: true,
+    deviations: {
+        stats: "reports incoming and outgoing sections of Flash statistics",
+        switchCam: "no-op, returns nothing",
+        switchMic: "no-op, returns nothing",
+        muteRemoteAudio: "not implemented",
+        unmuteRemoteAudio: "not implemented",
+        isRemoteAudioMuted: "not implemented",
+        remoteMute: "not implemented"
+    }
+});
+describeConformance("Temasys", {
+    provider: function() {
+        var provider = require('../src/temasys-media-provider');
+        provider.configure({constraints: {audio: true, video: true}, logger: logger});
+        return provider;
+    },
+    connectionOptions: connectionOptions,
+    publish: true,
+    play: true,
+    deviations: {
+        stats: "reports incomingStreams and outgoingStreams in Chrome and Firefox only",
+        switchCam: "not implemented",
+        switchMic: "not implemented",
+        muteRemoteAudio: "not implemented",
+        unmuteRemoteAudio: "not implemented",
+        isRemoteAudioMuted: "not implemented",
+        remoteMute: "not implemented",
+        fullScreen: "not implemented"
+    }
+});
@@ -0,0 +1,172 @@
+//media provider contract shared by provider tests in Node.js (media-provider-test.js) and browser (media-provider-browser-test.js)
+var expect = require('chai').expect;
+
+//provider methods called by API
+var PROVIDER_METHODS = ["available", "createConnection", "getMediaAccess", "releaseMedia",
+    "listDevices", "playFirstSound", "playFirstVideo"];
+//connection methods called for every stream or call
+var CONNECTION_METHODS = ["createOffer", "setRemoteSdp", "close", "getStats", "setVolume", "getVolume"];
+//connection methods called for published streams and calls
+var PUBLISH_METHODS = ["muteAudio", "unmuteAudio", "isAudioMuted", "muteVideo", "unmuteVideo", "isVideoMuted",
+    "switchCam", "switchMic"];
+//connection methods called for played streams
+var PLAY_METHODS = ["muteRemoteAudio", "unmuteRemoteAudio", "isRemoteAudioMuted", "fullScreen"];
+
+/**
+ * Describe contract tests of media provider.
+ * Known deviations are named by connection method or by contract check: offer, remoteSdp, stats, volume, mute, remoteMute, switchCam, switchMic.
+ * Missing method listed as known deviation does not fail the contract, check listed as known deviation is reported as pending.
+ *
+ * @param {String} name Provider name
+ * @param {Object} options Test options
+ * @param {Function} options.provider Returns provider implementation
+ * @param {Boolean=} options.moduleOnly Check provider methods only, provider can't be used in current environment
+ * @param {Function=} options.connectionOptions Returns createConnection options, connection is not tested if not set
+ * @param {Function=} options.available Returns false if connection can't be tested in current environment, provider.available() is used by default
+ * @param {Boolean=} options.publish Provider publishes local media, media access is requested for connection display
+ * @param {Boolean=} options.play Provider plays remote media
+ * @param {Object=} options.deviations Known deviations from the contract, reason by method or check name
+ */
+var describeConformance = function(name, options) {
+    var deviations = options.deviations || {};
+
+    var expectMethods = function(object, methods) {
+        var missing = methods.filter(function(method) {
+            return typeof object[method] !== 'function' && !deviations[method];
+        });
+        expect(missing, "missing methods").to.be.empty;
+    };
+
+    //contract check, reported as pending if it is a known deviation
+    var check = function(key, title, fn) {
+        if (deviations[key]) {
+            it(title + " (known deviation: " + deviations[key] + ")");
+        } else {
+            it(title, fn);
+        }
+    };
+
+    describe(name + ' media provider contract', function() {
+        var provider;
+        before(function() {
+            provider = options.provider();
+        });
+
+        it('should implement provider methods', function() {
+            expectMethods(provider, PROVIDER_METHODS);
+        });
+        if (options.moduleOnly) {
+            return;
+        }
+        it('should report availability', function() {
+            expect(provider.available()).to.be.a('boolean');
+        });
+
+        if (!options.connectionOptions) {
+            return;
+        }
+        describe('connection', function() {
+            var connection;
+            var display;
+            before(function() {
+                var available = options.available ? options.available(provider) : provider.available();
+                if (!available) {
+                    this.skip();
+                }
+            });
+            beforeEach(function() {
+                var connectionOptions = options.connectionOptions();
+                var access = Promise.resolve();
+                if (options.publish) {
+                    display = connectionOptions.display;
+                    access = provider.getMediaAccess({audio: true, video: true}, display);
+                }
+                return access.then(function() {
+                    return provider.createConnection(connectionOptions, function() {});
+                }).then(function(newConnection) {
+                    connection = newConnection;
+                });
+            });
+            afterEach(function() {
+                if (connection) {
+                    connection.close();
+                    connection = null;
+                }
+                if (display) {
+                    provider.releaseMedia(display);
+                    display = null;
+                }
+            });
+
+            it('should implement connection methods', function() {
+                expectMethods(connection, CONNECTION_METHODS);
+                if (options.publish) {
+                    expectMethods(connection, PUBLISH_METHODS);
+                }
+                if (options.play) {
+                    expectMethods(connection, PLAY_METHODS);
+                }
+            });
+            check('offer', 'should create offer', function() {
+                return connection.createOffer({receiveAudio: true, receiveVideo: true}).then(function(offer) {
+                    expect(offer.sdp).to.be.a('string');
+                    expect(offer.sdp).to.match(/^v=0/);
+                    expect(offer.sdp).to.contain("m=");
+                });
+            });
+            check('remoteSdp', 'should accept remote sdp', function() {
+                return connection.createOffer({receiveAudio: true, receiveVideo: true}).then(function(offer) {
+                    //answer own offer as server does
+                    return connection.setRemoteSdp(offer.sdp.replace(/a=setup:actpass/g, "a=setup:active"));
+                });
+            });
+            check('stats', 'should report stats', function(done) {
+                connection.getStats(function(stats) {
+                    expect(stats).to.be.an('object');
+                    expect(stats.inboundStream).to.be.an('object');
+                    expect(stats.outboundStream).to.be.an('object');
+                    //reports not related to media streams
+                    expect(stats.otherStats).to.be.an('array');
+                    done();
+                });
+            });
+            check('volume', 'should set volume', function() {
+                connection.setVolume(50);
+                expect(connection.getVolume()).to.be.equal(50);
+            });
+            if (options.publish) {
+                check('mute', 'should mute local media', function() {
+                    connection.muteAudio();
+                    connection.muteVideo();
+                    expect(connection.isAudioMuted()).to.be.true;
+                    expect(connection.isVideoMuted()).to.be.true;
+                    connection.unmuteAudio();
+                    connection.unmuteVideo();
+                    expect(connection.isAudioMuted()).to.be.false;
+                    expect(connection.isVideoMuted()).to.be.false;
+                });
+                //switch may be rejected if there is nothing to switch to, but it should be settled
+                check('switchCam', 'should switch camera', function() {
+                    var result = connection.switchCam();
+                    expect(result).to.respondTo('then');
+                    return result.then(function() {}, function() {});
+                });
+                check('switchMic', 'should switch microphone', function() {
+                    var result = connection.switchMic();
+                    expect(result).to.respondTo('then');
+                    return result.then(function() {}, function() {});
+                });
+            }
+            if (options.play) {
+                check('remoteMute', 'should mute remote audio', function() {
+                    connection.muteRemoteAudio();
+                    expect(connection.isRemoteAudioMuted()).to.be.true;
+                    connection.unmuteRemoteAudio();
+                    expect(connection.isRemoteAudioMuted()).to.be.false;
+                });
+            }
+        });
+    });
+};
+
+module.exports = describeConformance;
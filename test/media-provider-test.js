@@ -0,0 +1,435 @@
+//media provider tests running in Node.js, streams and calls use fake provider against local WCS simulator
+var expect = require('chai').expect;
+var WebSocket = require('ws');
+var Flashphoner = require('../src/flashphoner-core');
+var simulator = require('./wcs-simulator');
+var fakeMediaProvider = require('./fake-media-provider');
+var describeConformance = require('./media-provider-conformance');
+var SESSION_STATUS = Flashphoner.constants.SESSION_STATUS;
+var STREAM_STATUS = Flashphoner.constants.STREAM_STATUS;
+var CALL_STATUS = Flashphoner.constants.CALL_STATUS;
+var BITRATE_ADAPTATION = Flashphoner.constants.BITRATE_ADAPTATION;
+
+describe('media providers', function() {
+    var fake = fakeMediaProvider.create();
+
+    describeConformance("Fake", {
+        provider: function() {
+            return fakeMediaProvider.create();
+        },
+        connectionOptions: function() {
+            return {id: "conformance", display: {}};
+        },
+        publish: true,
+        play: true
+    });
+    //missing method listed as known deviation is reported as pending check
+    describeConformance("Fake without camera switch", {
+        provider: function() {
+            var provider = fakeMediaProvider.create();
+            var createConnection = provider.createConnection;
+            provider.createConnection = function(options, handler) {
+                return createConnection(options, handler).then(function(connection) {
+                    delete connection.switchCam;
+                    return connection;
+                });
+            };
+            return provider;
+        },
+        connectionOptions: function() {
+            return {id: "deviation", display: {}};
+        },
+        publish: true,
+        deviations: {
+            switchCam: "removed by test"
+        }
+    });
+    //connections of built-in providers require browser, see media-provider-browser-test.js
+    describeConformance("WebRTC", {
+        provider: function() {
+            return require('../src/webrtc-media-provider');
+        },
+        moduleOnly: true
+    });
+    describeConformance("Temasys", {
+        provider: function() {
+            return require('../src/temasys-media-provider');
+        },
+        moduleOnly: true
+    });
+    describeConformance("WSPlayer", {
+        provider: function() {
+            return require('../src/websocket-media-provider');
+        },
+        moduleOnly: true
+    });
+
+    describe('registration', function() {
+        var createProvider = function(available) {
+            var provider = fakeMediaProvider.create({available: available});
+            delete provider.configure;
+            return provider;
+        };
+        before(function() {
+            Flashphoner.init({
+                logger: {severity: "ERROR"},
+                transport: function(url) {
+                    return new WebSocket(url);
+                }
+            });
+        });
+        it('should reject provider without required methods', function() {
+            var provider = createProvider(true);
+            delete provider.createConnection;
+            expect(function() {
+                Flashphoner.registerMediaProvider("Broken", provider);
+            }).to.throw(TypeError, /createConnection/);
+            expect(Flashphoner.getMediaProviders()).to.not.contain("Broken");
+        });
+        it('should order providers by priority', function() {
+            Flashphoner.registerMediaProvider("Low", createProvider(true));
+            Flashphoner.registerMediaProvider("High", createProvider(true), {priority: 100});
+            var providers = Flashphoner.getMediaProviders();
+            expect(providers.indexOf("High")).to.be.below(providers.indexOf("Low"));
+        });
+        it('should not enable unavailable provider', function() {
+            Flashphoner.registerMediaProvider("Unavailable", createProvider(false));
+            expect(Flashphoner.getMediaProviders()).to.not.contain("Unavailable");
+        });
+        it('should keep preferred providers when provider is registered after init', function() {
+            //init applies preferences once, so they are tested with a separate module instance
+            var path = require.resolve('../src/flashphoner-core');
+            var cached = require.cache[path];
+            delete require.cache[path];
+            var core = require('../src/flashphoner-core');
+            require.cache[path] = cached;
+            core.init({logger: {severity: "ERROR"}, preferredMediaProviders: ["Second", "First"]});
+            core.registerMediaProvider("First", createProvider(true), {priority: 100});
+            core.registerMediaProvider("Second", createProvider(true));
+            core.registerMediaProvider("Other", createProvider(true), {priority: 200});
+            expect(core.getMediaProviders()).to.be.eql(["Second", "First"]);
+        });
+        it('should configure provider', function() {
+            Flashphoner.registerMediaProvider("Fake", fake, {priority: 200});
+            expect(Flashphoner.getMediaProviders()[0]).to.be.equal("Fake");
+            expect(fake.configuration.logger).to.be.equal(Flashphoner.getLogger());
+        });
+    });
+
+    describe('fake media', function() {
+        var wcs;
+        var session;
+        var client;
+        var display = {};
+        before(function(done) {
+            wcs = simulator.create({port: 0});
+            wcs.start().then(function() {
+                session = Flashphoner.createSession({urlServer: wcs.url()}).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                    client = wcs.getClient(connection.sessionId);
+                    done();
+                });
+            }, done);
+        });
+        afterEach(function() {
+            wcs.setScenario();
+        });
+        after(function(done) {
+            session.disconnect();
+            wcs.stop().then(function() {
+                done();
+            });
+        });
+
+        var publish = function(name, options) {
+            return new Promise(function(resolve, reject) {
+                var stream = session.createStream(Object.assign({name: name, display: display, mediaProvider: "Fake"}, options));
+                stream.on(STREAM_STATUS.PUBLISHING, function() {
+                    resolve(stream);
+                }).on(STREAM_STATUS.FAILED, function(stream, error) {
+                    reject(error);
+                });
+                stream.publish();
+            });
+        };
+
+        it('should publish and unpublish stream', function(done) {
+            publish("fake-publish").then(function(stream) {
+                var connection = fake.connections[stream.id()];
+                expect(connection.remoteSdp).to.contain("m=video");
+                expect(fake.localMedia).to.contain(display);
+                stream.muteAudio();
+                expect(stream.isAudioMuted()).to.be.true;
+                stream.on(STREAM_STATUS.UNPUBLISHED, function() {
+                    expect(connection.closed).to.be.true;
+                    expect(fake.connections[stream.id()]).to.be.undefined;
+                    done();
+                });
+                stream.stop();
+            }).catch(done);
+        });
+        it('should play stream', function(done) {
+            publish("fake-play").then(function(published) {
+                var stream = session.createStream({name: "fake-play", display: {}, mediaProvider: "Fake"});
+                stream.on(STREAM_STATUS.PLAYING, function() {
+                    var connection = fake.connections[stream.id()];
+                    connection.bytesReceived = 1000;
+                    stream.getStats(function(stats) {
+                        expect(stats.inboundStream.video.bytesReceived).to.be.equal(1000);
+                        stream.stop();
+                        published.stop();
+                        done();
+                    });
+                });
+                stream.play();
+            }).catch(done);
+        });
+        it('should lower encoding on NOT_ENOUGH_BANDWIDTH', function(done) {
+            publish("fake-adaptive", {
+                adaptiveBitrate: true,
+                constraints: {video: {minBitrate: 100, maxBitrate: 1000}}
+            }).then(function(stream) {
+                expect(stream.getBitrateAdaptation()).to.be.null;
+                stream.on(BITRATE_ADAPTATION.STEP, function(stream, step) {
+                    expect(step.direction).to.be.equal("down");
+                    expect(step.reason).to.be.equal(BITRATE_ADAPTATION.NOT_ENOUGH_BANDWIDTH);
+                    expect(step.maxBitrate).to.be.equal(700);
+                    expect(fake.connections[stream.id()].encodings[0].maxBitrate).to.be.equal(700000);
+                    expect(stream.getBitrateAdaptation()).to.be.equal(step);
+                    stream.stop();
+                    done();
+                });
+                client.streamStatus(client.streams[stream.id()], STREAM_STATUS.NOT_ENOUGH_BANDWIDTH, "1000/500");
+            }).catch(done);
+        });
+        it('should publish simulcast layers', function(done) {
+            publish("fake-simulcast", {
+                constraints: {video: {maxBitrate: 1000, simulcast: true}}
+            }).then(function(stream) {
+                var connection = fake.connections[stream.id()];
+                expect(connection.options.simulcast.map(function(layer) {
+                    return layer.rid + ":" + layer.maxBitrate;
+                })).to.be.eql(["q:150", "h:500", "f:1000"]);
+                return stream.setSimulcastLayerActive("f", false).then(function() {
+                    expect(stream.getSimulcastLayers()[2].active).to.be.false;
+                    stream.getStats(function(stats) {
+                        expect(stats.outboundStream.video.layers.f.active).to.be.false;
+                        expect(stats.outboundStream.video.layers.q.active).to.be.true;
+                        stream.stop();
+                        done();
+                    });
+                });
+            }).catch(done);
+        });
+        it('should reject invalid simulcast layers', function() {
+            expect(function() {
+                session.createStream({name: "fake-simulcast", display: display, constraints: {
+                    video: {simulcast: [{rid: "l"}, {rid: "l"}]}
+                }});
+            }).to.throw(TypeError, /Duplicate/);
+            var stream = session.createStream({name: "fake-simulcast", display: display});
+            expect(stream.getSimulcastLayers()).to.be.empty;
+            expect(function() {
+                stream.setSimulcastLayerActive("f", true);
+            }).to.throw(TypeError);
+        });
+        it('should collect stats while publishing', function(done) {
+            publish("fake-stats", {stats: {interval: 20, window: 2}}).then(function(stream) {
+                var connection = fake.connections[stream.id()];
+                var samples = 0;
+                stream.on(STREAM_STATUS.STATS, function(stream, sample) {
+                    connection.bytesSent += 1000;
+                    if (++samples < 3) {
+                        return;
+                    }
+                    expect(sample.metrics.outbound.video.bitrate).to.be.above(0);
+                    expect(stream.getStatsHistory()).to.have.length(3);
+                    expect(stream.status()).to.be.equal(STREAM_STATUS.PUBLISHING);
+                    stream.stop();
+                }).on(STREAM_STATUS.UNPUBLISHED, function() {
+                    //collection is stopped with the stream
+                    setTimeout(function() {
+                        expect(samples).to.be.equal(3);
+                        done();
+                    }, 50);
+                });
+            }).catch(done);
+        });
+        it('should export stream timeline', function(done) {
+            publish("fake-export", {stats: {interval: 20}}).then(function(stream) {
+                stream.once(STREAM_STATUS.STATS, function(stream) {
+                    var report = JSON.parse(stream.exportStats().data);
+                    expect(report.stream).to.include({name: "fake-export", mediaProvider: "Fake", published: true});
+                    expect(report.sdp.offer).to.be.a('string');
+                    expect(report.sdp.answer).to.be.a('string');
+                    expect(report.stats).to.have.length(1);
+                    expect(report.timeline.map(function(event) {
+                        return event.status;
+                    })).to.contain(STREAM_STATUS.PUBLISHING);
+                    var csv = stream.exportStats({format: "csv"});
+                    expect(csv.name).to.match(/^stream-fake-export-\d+\.csv$/);
+                    expect(csv.data).to.contain(",fake-export,status,PUBLISHING");
+                    var sessionReport = JSON.parse(session.exportDiagnostics().data);
+                    expect(sessionReport.session.id).to.be.equal(session.id());
+                    expect(sessionReport.streams.map(function(streamReport) {
+                        return streamReport.stream.id;
+                    })).to.contain(stream.id());
+                    stream.on(STREAM_STATUS.UNPUBLISHED, function(stream) {
+                        //released stream stays in session report
+                        var released = JSON.parse(session.exportDiagnostics().data).streams.filter(function(streamReport) {
+                            return streamReport.stream.id == stream.id();
+                        });
+                        expect(released).to.have.length(1);
+                        expect(released[0].stream.status).to.be.equal(STREAM_STATUS.UNPUBLISHED);
+                        done();
+                    });
+                    stream.stop();
+                });
+            }).catch(done);
+        });
+        it('should report speaking while publishing', function(done) {
+            publish("fake-speaking", {audioLevel: {interval: 20, silenceDelay: 40}}).then(function(stream) {
+                var connection = fake.connections[stream.id()];
+                connection.audioLevel = 0.5;
+                stream.on(STREAM_STATUS.SPEAKING, function(stream, level) {
+                    expect(level).to.be.equal(0.5);
+                    expect(stream.isSpeaking()).to.be.true;
+                    //microphone is measured for published stream
+                    expect(connection.audioLevelRemote).to.be.false;
+                    connection.audioLevel = 0;
+                }).on(STREAM_STATUS.SILENT, function(stream) {
+                    expect(stream.isSpeaking()).to.be.false;
+                    expect(stream.getAudioLevel()).to.be.equal(0);
+                    stream.stop();
+                    done();
+                });
+            }).catch(done);
+        });
+        it('should fail stream if media access is denied', function(done) {
+            fake.mediaAccessError = new Error("Permission denied");
+            publish("fake-denied").then(function() {
+                done(new Error("Stream should fail"));
+            }, function(error) {
+                expect(error).to.be.an.instanceof(Flashphoner.errors.FlashphonerError);
+                done();
+            });
+        });
+        it('should fail played stream if it is not restored after reconnect', function(done) {
+            publish("fake-restore").then(function(published) {
+                var lost = false;
+                Flashphoner.createSession({urlServer: wcs.url(), reconnect: {delay: 50}}).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                    if (lost) {
+                        return;
+                    }
+                    var stream = session.createStream({name: "fake-restore", display: {}, mediaProvider: "Fake"});
+                    stream.on(STREAM_STATUS.PLAYING, function() {
+                        lost = true;
+                        fake.connectionError = new Error("Connection failed");
+                        wcs.getClient(connection.sessionId).disconnect();
+                    }).on(STREAM_STATUS.FAILED, function(stream, error) {
+                        expect(error).to.be.an.instanceof(Flashphoner.errors.FlashphonerError);
+                        expect(stream.getErrorInfo()).to.be.equal("Connection failed");
+                        expect(session.getStreams()).to.not.contain(stream);
+                        session.disconnect();
+                        published.stop();
+                        done();
+                    });
+                    stream.play();
+                });
+            }).catch(done);
+        });
+        describe('promises', function() {
+            it('should resolve publishAsync, playAsync and stopAsync', function() {
+                var published = session.createStream({name: "fake-async", display: display, mediaProvider: "Fake"});
+                var played = session.createStream({name: "fake-async", display: {}, mediaProvider: "Fake"});
+                return published.publishAsync().then(function(stream) {
+                    expect(stream).to.be.equal(published);
+                    expect(stream.status()).to.be.equal(STREAM_STATUS.PUBLISHING);
+                    return played.playAsync(1000);
+                }).then(function(stream) {
+                    expect(stream.status()).to.be.equal(STREAM_STATUS.PLAYING);
+                    return played.stopAsync();
+                }).then(function(stream) {
+                    expect(stream.status()).to.be.equal(STREAM_STATUS.STOPPED);
+                    return published.stopAsync();
+                }).then(function(stream) {
+                    expect(stream.status()).to.be.equal(STREAM_STATUS.UNPUBLISHED);
+                    //released stream resolves at once
+                    return stream.stopAsync();
+                });
+            });
+            it('should reject playAsync if stream fails', function() {
+                var stream = session.createStream({name: "fake-async-missing", display: {}, mediaProvider: "Fake"});
+                return stream.playAsync().then(function() {
+                    throw new Error("Stream should fail");
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(Flashphoner.errors.FlashphonerError);
+                    expect(error.code).to.be.equal("STREAM_NOT_FOUND");
+                    expect(stream.status()).to.be.equal(STREAM_STATUS.FAILED);
+                });
+            });
+            it('should reject playAsync if media connection fails', function() {
+                fake.connectionError = new Error("Connection failed");
+                var stream = session.createStream({name: "fake-async-local", display: {}, mediaProvider: "Fake"});
+                return stream.playAsync().then(function() {
+                    throw new Error("Stream should fail");
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(Flashphoner.errors.FlashphonerError);
+                    expect(error.code).to.be.equal("LOCAL_ERROR");
+                    expect(stream.getErrorInfo()).to.be.equal("Connection failed");
+                });
+            });
+            it('should reject publishAsync on timeout', function() {
+                wcs.setScenario({publishStream: {drop: true}});
+                var stream = session.createStream({name: "fake-async-timeout", display: display, mediaProvider: "Fake"});
+                return stream.publishAsync(100).then(function() {
+                    throw new Error("Stream should not be published");
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(Flashphoner.errors.NetworkError);
+                    expect(error.code).to.be.equal("TIMEOUT");
+                    expect(error.status).to.be.equal(STREAM_STATUS.PENDING);
+                    stream.stop();
+                });
+            });
+            it('should resolve callAsync and answerAsync', function() {
+                var callee = Flashphoner.createSession({
+                    urlServer: wcs.url(),
+                    sipOptions: {login: "3002", password: "1234", domain: "127.0.0.1"}
+                });
+                var answered = new Promise(function(resolve, reject) {
+                    callee.on(SESSION_STATUS.INCOMING_CALL, function(call) {
+                        call.answerAsync({localVideoDisplay: {}, remoteVideoDisplay: {}}).then(resolve, reject);
+                    });
+                });
+                return callee.connect().then(function() {
+                    var call = session.createCall({callee: "3002", mediaProvider: "Fake", localVideoDisplay: {}, remoteVideoDisplay: {}});
+                    return Promise.all([call.callAsync(), answered]);
+                }).then(function(calls) {
+                    expect(calls[0].status()).to.be.equal(CALL_STATUS.ESTABLISHED);
+                    expect(calls[1].status()).to.be.equal(CALL_STATUS.ESTABLISHED);
+                    calls[0].hangup();
+                    callee.disconnect();
+                });
+            });
+            it('should reject callAsync if call fails', function() {
+                wcs.setScenario({call: {status: CALL_STATUS.FAILED}});
+                var call = session.createCall({callee: "3003", mediaProvider: "Fake", localVideoDisplay: {}, remoteVideoDisplay: {}});
+                return call.callAsync().then(function() {
+                    throw new Error("Call should fail");
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(Flashphoner.errors.FlashphonerError);
+                    expect(call.status()).to.be.equal(CALL_STATUS.FAILED);
+                });
+            });
+        });
+        it('should establish call', function(done) {
+            var call = session.createCall({callee: "3001", mediaProvider: "Fake", localVideoDisplay: {}, remoteVideoDisplay: {}});
+            call.on(CALL_STATUS.ESTABLISHED, function() {
+                expect(fake.connections[call.id()].remoteSdp).to.be.a('string');
+                call.hangup();
+            }).on(CALL_STATUS.FINISH, function() {
+                done();
+            });
+            call.call();
+        });
+    });
+});
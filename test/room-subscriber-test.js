@@ -0,0 +1,205 @@
+//room subscriber tests running in Node.js with fake room and document
+var expect = require('chai').expect;
+var eventEmitter = require('../src/event-emitter');
+var roomApi = require('../src/room-module');
+var STREAM_STATUS = require('../src/constants').STREAM_STATUS;
+var computeLayout = require('../src/room-subscriber').computeLayout;
+var LAYOUT = roomApi.LAYOUT;
+
+var createFakeElement = function() {
+    var element = {
+        style: {},
+        children: [],
+        parentNode: null,
+        appendChild: function(child) {
+            child.parentNode = element;
+            element.children.push(child);
+        },
+        removeChild: function(child) {
+            child.parentNode = null;
+            element.children.splice(element.children.indexOf(child), 1);
+        }
+    };
+    return element;
+};
+
+//played stream of the core api
+var createFakePlaying = function() {
+    var emitter = eventEmitter.create();
+    var playing = {
+        status_: STREAM_STATUS.PLAYING,
+        status: function() {
+            return playing.status_;
+        },
+        stop: function() {
+            playing.status_ = STREAM_STATUS.STOPPED;
+        },
+        on: function(event, callback) {
+            emitter.on(event, callback);
+            return playing;
+        },
+        fail: function() {
+            playing.status_ = STREAM_STATUS.FAILED;
+            emitter.emit(STREAM_STATUS.FAILED, playing);
+        }
+    };
+    return playing;
+};
+
+var createFakeParticipant = function(name, streamNames) {
+    var participant = {
+        streams: {},
+        name: function() {
+            return name;
+        },
+        getStreams: function() {
+            return Object.keys(participant.streams).map(function(streamName) {
+                return participant.streams[streamName];
+            });
+        }
+    };
+    (streamNames || []).forEach(function(streamName) {
+        participant.streams[streamName] = createFakeStream(streamName);
+    });
+    return participant;
+};
+
+var createFakeStream = function(streamName) {
+    var stream = {
+        streamName: function() {
+            return streamName;
+        },
+        play: function(display) {
+            stream.display = display;
+            stream.playing = createFakePlaying();
+            return stream.playing;
+        }
+    };
+    return stream;
+};
+
+var createFakeRoom = function(participants) {
+    var emitter = eventEmitter.create();
+    var room = {
+        on: function(event, callback) {
+            emitter.on(event, callback);
+            return room;
+        },
+        off: function(event, callback) {
+            emitter.off(event, callback);
+            return room;
+        },
+        getParticipants: function() {
+            return participants;
+        },
+        emit: function(event, participant, stream) {
+            emitter.emit(event, {participant: participant, stream: stream});
+        },
+        speak: function(name) {
+            emitter.emit("ACTIVE_SPEAKER", {name: name});
+        }
+    };
+    return room;
+};
+
+describe('room subscriber', function() {
+    var container;
+    beforeEach(function() {
+        container = createFakeElement();
+        global.document = {
+            createElement: createFakeElement
+        };
+    });
+    afterEach(function() {
+        delete global.document;
+    });
+
+    describe('layout', function() {
+        it('should arrange grid', function() {
+            var tiles = computeLayout(LAYOUT.GRID, 5);
+            expect(tiles).to.have.length(5);
+            expect(tiles[4]).to.be.eql({left: 100 / 3, top: 50, width: 100 / 3, height: 50});
+        });
+        it('should put speaker above thumbnails', function() {
+            var tiles = computeLayout(LAYOUT.SPEAKER, 3);
+            expect(tiles[0]).to.be.eql({left: 0, top: 0, width: 100, height: 75});
+            expect(tiles[2]).to.be.eql({left: 50, top: 75, width: 50, height: 25});
+        });
+        it('should put thumbnails beside speaker', function() {
+            var tiles = computeLayout(LAYOUT.SIDEBAR, 3);
+            expect(tiles[0].width).to.be.equal(75);
+            expect(tiles[1]).to.be.eql({left: 75, top: 0, width: 25, height: 50});
+        });
+    });
+
+    it('should play streams published before and after creation', function() {
+        var alice = createFakeParticipant("alice", ["room-alice-1"]);
+        var bob = createFakeParticipant("bob");
+        var room = createFakeRoom([alice, bob]);
+        var subscriber = roomApi.createSubscriber(room, {container: container});
+        expect(container.style.position).to.be.equal("relative");
+        expect(container.children).to.have.length(1);
+        var stream = createFakeStream("room-bob-1");
+        room.emit("STREAM_ADDED", bob, stream);
+        expect(subscriber.getTiles().map(function(tile) {
+            return tile.participant.name();
+        })).to.be.eql(["alice", "bob"]);
+        expect(stream.display.style.left).to.be.equal("50%");
+        room.emit("STREAM_REMOVED", bob, stream);
+        expect(stream.playing.status()).to.be.equal(STREAM_STATUS.STOPPED);
+        expect(container.children).to.have.length(1);
+        expect(alice.streams["room-alice-1"].display.style.width).to.be.equal("100%");
+    });
+    it('should cap played streams', function() {
+        var alice = createFakeParticipant("alice", ["room-alice-1", "room-alice-2"]);
+        var room = createFakeRoom([alice]);
+        var subscriber = roomApi.createSubscriber(room, {container: container, maxStreams: 1});
+        expect(subscriber.getTiles()).to.have.length(1);
+        expect(subscriber.getPendingCount()).to.be.equal(1);
+        //failed stream frees the tile
+        alice.streams["room-alice-1"].playing.fail();
+        expect(subscriber.getTiles()[0].stream.streamName()).to.be.equal("room-alice-2");
+        expect(subscriber.getPendingCount()).to.be.equal(0);
+    });
+    it('should show speaker in the large tile', function() {
+        var alice = createFakeParticipant("alice", ["room-alice-1"]);
+        var bob = createFakeParticipant("bob", ["room-bob-1"]);
+        var subscriber = roomApi.createSubscriber(createFakeRoom([alice, bob]), {container: container, layout: LAYOUT.SIDEBAR});
+        expect(alice.streams["room-alice-1"].display.style.width).to.be.equal("75%");
+        subscriber.setSpeaker("bob");
+        expect(bob.streams["room-bob-1"].display.style.width).to.be.equal("75%");
+        expect(alice.streams["room-alice-1"].display.style.left).to.be.equal("75%");
+        expect(function() {
+            subscriber.setLayout("mosaic");
+        }).to.throw(TypeError);
+    });
+    it('should follow active speaker', function() {
+        var alice = createFakeParticipant("alice", ["room-alice-1"]);
+        var bob = createFakeParticipant("bob", ["room-bob-1"]);
+        var room = createFakeRoom([alice, bob]);
+        roomApi.createSubscriber(room, {container: container, layout: LAYOUT.SPEAKER});
+        room.speak("bob");
+        expect(bob.streams["room-bob-1"].display.style.height).to.be.equal("75%");
+        var carol = createFakeParticipant("carol", ["room-carol-1"]);
+        var dave = createFakeParticipant("dave", ["room-dave-1"]);
+        var otherRoom = createFakeRoom([carol, dave]);
+        roomApi.createSubscriber(otherRoom, {container: createFakeElement(), layout: LAYOUT.SPEAKER, followSpeaker: false});
+        otherRoom.speak("dave");
+        expect(dave.streams["room-dave-1"].display.style.height).to.be.equal("25%");
+    });
+    it('should keep container position', function() {
+        container.style.position = "absolute";
+        roomApi.createSubscriber(createFakeRoom([]), {container: container});
+        expect(container.style.position).to.be.equal("absolute");
+    });
+    it('should stop streams on destroy', function() {
+        var alice = createFakeParticipant("alice", ["room-alice-1"]);
+        var room = createFakeRoom([alice]);
+        var subscriber = roomApi.createSubscriber(room, {container: container});
+        subscriber.destroy();
+        expect(alice.streams["room-alice-1"].playing.status()).to.be.equal(STREAM_STATUS.STOPPED);
+        expect(container.children).to.be.empty;
+        room.emit("STREAM_ADDED", alice, createFakeStream("room-alice-2"));
+        expect(container.children).to.be.empty;
+    });
+});
@@ -0,0 +1,645 @@
+//signaling tests running in Node.js against local WCS simulator
+var expect = require('chai').expect;
+var WebSocket = require('ws');
+var Flashphoner = require('../src/flashphoner-core');
+var simulator = require('./wcs-simulator');
+var SESSION_STATUS = Flashphoner.constants.SESSION_STATUS;
+
+describe('signaling', function() {
+    var wcs;
+    var sOptions;
+    before(function(done) {
+        Flashphoner.init({
+            logger: {severity: "ERROR"},
+            transport: function(url) {
+                return new WebSocket(url);
+            }
+        });
+        wcs = simulator.create({port: 0});
+        wcs.start().then(function() {
+            sOptions = {urlServer: wcs.url()};
+            done();
+        }, done);
+    });
+    afterEach(function() {
+        wcs.setScenario();
+    });
+    after(function(done) {
+        wcs.stop().then(function() {
+            done();
+        });
+    });
+
+    describe('session', function() {
+        it('should connect and disconnect', function(done) {
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                expect(Flashphoner.getMediaProviders()).to.be.empty;
+                session.disconnect();
+            }).on(SESSION_STATUS.DISCONNECTED, function() {
+                done();
+            });
+        });
+        it('status should be FAILED if server drops connection', function(done) {
+            wcs.setScenario({connection: {status: SESSION_STATUS.FAILED}});
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function() {
+                done(new Error("Session should not be established"));
+            }).on(SESSION_STATUS.DISCONNECTED, function() {
+                done();
+            }).on(SESSION_STATUS.FAILED, function() {
+                done();
+            });
+        });
+        it('should use scenario selected by client', function(done) {
+            this.timeout(5000);
+            var start = Date.now();
+            wcs.defineScenario("slow", {connection: {delay: 500}});
+            Flashphoner.createSession({urlServer: sOptions.urlServer, custom: {scenario: "slow"}}).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                expect(Date.now() - start).to.be.at.least(500);
+                session.disconnect();
+                done();
+            });
+        });
+        it('should resolve connect when session is established', function() {
+            var session = Flashphoner.createSession(sOptions);
+            return session.connect().then(function(connected) {
+                expect(connected).to.be.equal(session);
+                expect(connected.status()).to.be.equal(SESSION_STATUS.ESTABLISHED);
+                //established session resolves at once
+                return session.connect();
+            }).then(function() {
+                session.disconnect();
+            });
+        });
+        it('should reject connect if session fails', function() {
+            wcs.setScenario({connection: {status: SESSION_STATUS.FAILED}});
+            var session = Flashphoner.createSession(sOptions);
+            return session.connect().then(function() {
+                throw new Error("Session should not be established");
+            }, function(error) {
+                expect([SESSION_STATUS.FAILED, SESSION_STATUS.DISCONNECTED]).to.contain(error.status);
+            });
+        });
+        it('should reject connect on timeout', function() {
+            wcs.setScenario({connection: {drop: true}});
+            var session = Flashphoner.createSession(sOptions);
+            return session.connect(100).then(function() {
+                throw new Error("Session should not be established");
+            }, function(error) {
+                expect(error).to.be.an.instanceof(Flashphoner.errors.NetworkError);
+                expect(error.code).to.be.equal("TIMEOUT");
+                expect(error.retryable).to.be.true;
+                session.disconnect();
+            });
+        });
+        it('should answer server ping', function(done) {
+            wcs.setScenario({
+                pong: function(client) {
+                    client.disconnect();
+                    done();
+                }
+            });
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                wcs.getClient(connection.sessionId).send("ping");
+            });
+        });
+        it('should reconnect after connection loss', function(done) {
+            this.timeout(5000);
+            var lost = false;
+            Flashphoner.createSession({urlServer: sOptions.urlServer, reconnect: {delay: 100}}).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                if (!lost) {
+                    lost = true;
+                    wcs.getClient(connection.sessionId).disconnect();
+                }
+            }).on(SESSION_STATUS.RECONNECTED, function(session) {
+                session.disconnect();
+                done();
+            });
+        });
+    });
+
+    describe('server selection', function() {
+        var SERVER_SELECTION_REASON = Flashphoner.constants.SERVER_SELECTION_REASON;
+        //nothing listens there
+        var deadUrl = "ws://127.0.0.1:1";
+        var deadBalancerUrl = "http://127.0.0.1:1/balancer";
+        it('should fail over to the next server', function(done) {
+            var reasons = [];
+            Flashphoner.createSession({urlServer: [deadUrl, sOptions.urlServer]}).on(SESSION_STATUS.SERVER_SELECTED, function(session, info) {
+                reasons.push(info.reason);
+            }).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                expect(session.getServerUrl()).to.be.equal(sOptions.urlServer);
+                expect(reasons).to.contain(SERVER_SELECTION_REASON.FAILOVER);
+                session.disconnect();
+                done();
+            });
+        });
+        it('should prefer healthy server', function(done) {
+            Flashphoner.createSession({urlServer: [deadUrl, sOptions.urlServer]}).on(SESSION_STATUS.SERVER_SELECTED, function(session, info) {
+                expect(info.url).to.be.equal(sOptions.urlServer);
+                expect(info.reason).to.be.equal(SERVER_SELECTION_REASON.PREFERRED);
+                session.disconnect();
+                done();
+            });
+        });
+        it('should use server received from load balancer', function(done) {
+            Flashphoner.createSession({urlServer: deadUrl, lbUrl: [deadBalancerUrl, wcs.balancerUrl()]}).on(SESSION_STATUS.SERVER_SELECTED, function(session, info) {
+                expect(info.reason).to.be.equal(SERVER_SELECTION_REASON.BALANCER);
+                expect(info.balancer).to.be.equal(wcs.balancerUrl());
+            }).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.disconnect();
+                done();
+            });
+        });
+        it('should reject empty server list', function() {
+            expect(function() {
+                Flashphoner.createSession({urlServer: []});
+            }).to.throw(TypeError);
+        });
+        it('should cancel load balancer request on timeout', function(done) {
+            wcs.setScenario({balancer: {delay: 500}});
+            var aborted = wcs.getAbortedBalancerRequests();
+            Flashphoner.createSession({urlServer: sOptions.urlServer, lbUrl: wcs.balancerUrl(), lbTimeout: 100}).on(SESSION_STATUS.SERVER_SELECTED, function(session, info) {
+                expect(info.reason).to.be.equal(SERVER_SELECTION_REASON.FALLBACK);
+            }).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                setTimeout(function() {
+                    expect(wcs.getAbortedBalancerRequests()).to.be.equal(aborted + 1);
+                    session.disconnect();
+                    done();
+                }, 50);
+            });
+        });
+        it('should fall back to server list if load balancer fails', function(done) {
+            wcs.setScenario({balancer: {status: 500}});
+            Flashphoner.createSession({urlServer: sOptions.urlServer, lbUrl: wcs.balancerUrl()}).on(SESSION_STATUS.SERVER_SELECTED, function(session, info) {
+                expect(info.reason).to.be.equal(SERVER_SELECTION_REASON.FALLBACK);
+            }).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.disconnect();
+                done();
+            });
+        });
+    });
+
+    describe('watchdog', function() {
+        it('should not ping server with default settings', function(done) {
+            Flashphoner.createSession({urlServer: sOptions.urlServer, watchdog: true}).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                var client = wcs.getClient(connection.sessionId);
+                setTimeout(function() {
+                    expect(client.received.filter(function(msg) {
+                        return msg.message == "ping";
+                    })).to.be.empty;
+                    session.disconnect();
+                    done();
+                }, 100);
+            });
+        });
+        it('should measure round trip time', function(done) {
+            Flashphoner.createSession({urlServer: sOptions.urlServer, watchdog: {pingInterval: 50}}).on(SESSION_STATUS.RTT, function(session, rtt) {
+                expect(rtt).to.be.at.least(0);
+                expect(session.getRtt()).to.be.equal(rtt);
+                session.disconnect();
+                done();
+            });
+        });
+        it('should fire DEGRADED and fail session if server is silent', function(done) {
+            var degraded = false;
+            wcs.setScenario({ping: {drop: true}});
+            Flashphoner.createSession({
+                urlServer: sOptions.urlServer,
+                watchdog: {degradedTimeout: 100, failedTimeout: 300, pingInterval: 50}
+            }).on(SESSION_STATUS.DEGRADED, function() {
+                degraded = true;
+            }).on(SESSION_STATUS.FAILED, function() {
+                expect(degraded).to.be.true;
+                done();
+            });
+        });
+        it('should fire RECOVERED when server traffic resumes', function(done) {
+            wcs.setScenario({ping: {drop: true}});
+            Flashphoner.createSession({
+                urlServer: sOptions.urlServer,
+                watchdog: {degradedTimeout: 100, failedTimeout: 1000, pingInterval: 50}
+            }).on(SESSION_STATUS.DEGRADED, function(session) {
+                wcs.setScenario();
+            }).on(SESSION_STATUS.RECOVERED, function(session) {
+                session.disconnect();
+                done();
+            });
+        });
+    });
+
+    describe('sendData', function() {
+        it('should resolve when data accepted', function(done) {
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.sendData({test: true}).then(function(info) {
+                    expect(info.status).to.be.equal("ACCEPTED");
+                    session.disconnect();
+                    done();
+                }, done);
+            });
+        });
+        it('should reject when data failed', function(done) {
+            wcs.setScenario({sendData: {status: "FAILED", info: "Rejected"}});
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.sendData({test: true}).then(function() {
+                    done(new Error("Data should be rejected"));
+                }, function(info) {
+                    expect(info.info).to.be.equal("Rejected");
+                    session.disconnect();
+                    done();
+                });
+            });
+        });
+        it('should queue data until session is established', function(done) {
+            var session = Flashphoner.createSession(sOptions);
+            session.sendData({test: true}).then(function(info) {
+                expect(info.status).to.be.equal("ACCEPTED");
+                expect(session.bufferedAmount()).to.be.equal(0);
+                session.disconnect();
+                done();
+            }, done);
+            expect(session.bufferedAmount()).to.be.above(0);
+        });
+        it('should reject pending data on disconnect', function(done) {
+            wcs.setScenario({sendData: {drop: true}});
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.sendData({test: true}).then(function() {
+                    done(new Error("Data should be rejected"));
+                }, function(error) {
+                    expect(error).to.be.an.instanceof(Flashphoner.errors.NetworkError);
+                    expect(error.status).to.be.equal(SESSION_STATUS.DISCONNECTED);
+                    done();
+                });
+                session.disconnect();
+            });
+        });
+        it('should reject on timeout', function(done) {
+            wcs.setScenario({sendData: {drop: true}});
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.sendData({test: true}, {timeout: 100}).then(function() {
+                    done(new Error("Data should be rejected"));
+                }, function(error) {
+                    expect(error.code).to.be.equal("TIMEOUT");
+                    session.disconnect();
+                    done();
+                });
+            });
+        });
+        it('should reject when aborted', function(done) {
+            wcs.setScenario({sendData: {drop: true}});
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                var controller = new AbortController();
+                session.sendData({test: true}, {signal: controller.signal}).then(function() {
+                    done(new Error("Data should be rejected"));
+                }, function(error) {
+                    expect(error.name).to.be.equal("AbortError");
+                    session.disconnect();
+                    done();
+                });
+                controller.abort();
+            });
+        });
+        it('should resolve with reply', function(done) {
+            var appData = false;
+            wcs.setScenario({
+                sendData: function(client, data, proceed) {
+                    proceed();
+                    client.send("OnDataEvent", {operationId: data.operationId, payload: {sum: data.payload.a + data.payload.b}});
+                }
+            });
+            Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session) {
+                session.sendData({a: 1, b: 2}, {expectReply: true, timeout: 1000}).then(function(reply) {
+                    expect(reply.sum).to.be.equal(3);
+                    expect(appData).to.be.false;
+                    session.disconnect();
+                    done();
+                }, done);
+            }).on(SESSION_STATUS.APP_DATA, function() {
+                appData = true;
+            });
+        });
+        it('should fire APP_DATA when server sends data', function(done) {
+            var session = Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                wcs.getClient(connection.sessionId).appData({greeting: "hello"});
+            }).on(SESSION_STATUS.APP_DATA, function(data) {
+                expect(data.payload.greeting).to.be.equal("hello");
+                session.disconnect();
+                done();
+            });
+        });
+    });
+
+    describe('topics', function() {
+        it('should deliver message to topic subscribers only', function(done) {
+            var appData = false;
+            var subscriber = Flashphoner.createSession(sOptions).subscribe("news", function(payload) {
+                expect(payload.text).to.be.equal("hello");
+                expect(appData).to.be.false;
+                subscriber.disconnect();
+                publisher.disconnect();
+                done();
+            }).on(SESSION_STATUS.APP_DATA, function(data) {
+                //messages of topics without subscribers are fired as APP_DATA
+                appData = data.payload.topic == "news";
+            });
+            var publisher = Flashphoner.createSession(sOptions);
+            subscriber.connect().then(function() {
+                return publisher.connect();
+            }).then(function() {
+                publisher.publishMessage("weather", {text: "rain"});
+                publisher.publishMessage("news", {text: "hello"});
+            });
+        });
+        it('should route data without topic field by message topic', function(done) {
+            var client;
+            var session = Flashphoner.createSession({
+                urlServer: sOptions.urlServer,
+                messageTopic: function(payload) {
+                    return payload.channel;
+                }
+            }).subscribe("alerts", function(payload, data) {
+                expect(payload).to.be.eql({channel: "alerts", text: "fire"});
+                expect(data.payload).to.be.equal(payload);
+                session.disconnect();
+                done();
+            }).on(SESSION_STATUS.APP_DATA, function(data) {
+                //data is fired as APP_DATA if topic is not returned
+                expect(data.payload.channel).to.be.undefined;
+                client.appData({channel: "alerts", text: "fire"});
+            }).on(SESSION_STATUS.ESTABLISHED, function(session, connection) {
+                client = wcs.getClient(connection.sessionId);
+                client.appData({text: "no topic"});
+            });
+        });
+        it('should validate messages', function(done) {
+            var session = Flashphoner.createSession(sOptions).setTopicValidator("news", function(payload) {
+                return typeof payload.text === 'string';
+            });
+            session.publishMessage("news", {text: 1}).then(function() {
+                done(new Error("Message should be rejected"));
+            }, function(error) {
+                expect(error).to.be.an.instanceof(TypeError);
+                session.disconnect();
+                done();
+            });
+        });
+    });
+
+    describe('room api', function() {
+        //the first participant owns the room
+        var joinTwo = function(roomName, callback, guestOptions) {
+            Flashphoner.roomApi.connect({urlServer: sOptions.urlServer, username: "owner"}).on("ESTABLISHED", function(api) {
+                api.join({name: roomName}).once("STATE", function(room) {
+                    Flashphoner.roomApi.connect({urlServer: sOptions.urlServer, username: "guest"}).on("ESTABLISHED", function(api2) {
+                        api2.join(Object.assign({name: roomName}, guestOptions)).once("STATE", function(room2) {
+                            callback(api, room, api2, room2);
+                        });
+                    });
+                });
+            });
+        };
+
+        it('should notify participants about joined and left', function(done) {
+            Flashphoner.roomApi.connect({urlServer: sOptions.urlServer, username: "test"}).on("ESTABLISHED", function(api) {
+                api.join({name: "sim_room"}).on("JOINED", function(participant) {
+                    expect(participant.name()).to.be.equal("test2");
+                }).on("LEFT", function(participant) {
+                    expect(participant.name()).to.be.equal("test2");
+                    api.disconnect();
+                    done();
+                }).on("STATE", function() {
+                    Flashphoner.roomApi.connect({urlServer: sOptions.urlServer, username: "test2"}).on("ESTABLISHED", function(api2) {
+                        api2.join({name: "sim_room"}).on("STATE", function(room) {
+                            expect(room.getParticipants()).to.have.length(1);
+                            room.leave().then(function() {
+                                api2.disconnect();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        describe('moderation', function() {
+            it('should kick participant', function(done) {
+                joinTwo("kick_room", function(api, room, api2, room2) {
+                    var events = 0;
+                    var kicked = function() {
+                        if (++events == 2) {
+                            api.disconnect();
+                            api2.disconnect();
+                            done();
+                        }
+                    };
+                    expect(room2.owner()).to.be.equal("owner");
+                    room2.on("KICKED", function(event) {
+                        expect(event.local).to.be.true;
+                        expect(api2.getRooms()).to.be.empty;
+                        kicked();
+                    });
+                    room.on("KICKED", function(event) {
+                        expect(event).to.include({name: "guest", local: false});
+                        expect(room.getParticipants()).to.be.empty;
+                        kicked();
+                    });
+                    room.kick("guest");
+                });
+            });
+            it('should notify muted participant', function(done) {
+                joinTwo("mute_room", function(api, room, api2, room2) {
+                    expect(function() {
+                        room.mute();
+                    }).to.throw(TypeError);
+                    room2.on("MUTED", function(event) {
+                        expect(event).to.include({name: "guest", local: true, audio: true, video: false});
+                        room.unmute("guest");
+                    }).on("UNMUTED", function(event) {
+                        expect(event).to.include({audio: true, video: true});
+                        api.disconnect();
+                        api2.disconnect();
+                        done();
+                    });
+                    room.mute("guest", {audio: true});
+                });
+            });
+            it('should lock room for new participants', function(done) {
+                joinTwo("lock_room", function(api, room, api2, room2) {
+                    room2.lock().then(function() {
+                        done(new Error("Room should be locked by owner only"));
+                    }, function(info) {
+                        expect(info.info).to.be.equal("Not room owner");
+                        return room.lock();
+                    });
+                    room2.on("LOCKED", function() {
+                        expect(room2.isLocked()).to.be.true;
+                        Flashphoner.roomApi.connect({urlServer: sOptions.urlServer, username: "late"}).on("ESTABLISHED", function(api3) {
+                            api3.join({name: "lock_room"}).on("FAILED", function(room3, info) {
+                                expect(info).to.be.equal("Room is locked");
+                                api.disconnect();
+                                api2.disconnect();
+                                api3.disconnect();
+                                done();
+                            });
+                        });
+                    });
+                });
+            });
+            it('should transfer ownership', function(done) {
+                joinTwo("owner_room", function(api, room, api2, room2) {
+                    room2.on("OWNER_CHANGED", function(event) {
+                        expect(event.local).to.be.true;
+                        expect(room2.owner()).to.be.equal("guest");
+                        room.kick("guest").then(function() {
+                            done(new Error("Former owner should not kick"));
+                        }, function() {
+                            api.disconnect();
+                            api2.disconnect();
+                            done();
+                        });
+                    });
+                    room.transferOwnership("guest");
+                });
+            });
+        });
+
+        describe('chat', function() {
+            it('should broadcast typed message', function(done) {
+                joinTwo("chat_room", function(api, room, api2, room2) {
+                    var sent;
+                    room2.on("MESSAGE", function(message) {
+                        expect(message).to.include({fromName: "owner", local: false, type: "reaction"});
+                        expect(message.from.name()).to.be.equal("owner");
+                        expect(message.payload).to.be.eql({emoji: "+1"});
+                        expect(room2.getMessages()).to.be.eql([message]);
+                        sent.then(function(local) {
+                            expect(local.id).to.be.equal(message.id);
+                            expect(local.local).to.be.true;
+                            expect(room.getMessages()[0]).to.be.equal(local);
+                            api.disconnect();
+                            api2.disconnect();
+                            done();
+                        }, done);
+                    });
+                    sent = room.sendMessage({type: "reaction", payload: {emoji: "+1"}});
+                });
+            });
+            it('should reject direct message to unknown participant', function(done) {
+                joinTwo("direct_room", function(api, room, api2, room2) {
+                    expect(function() {
+                        room.sendMessage(1);
+                    }).to.throw(TypeError);
+                    room2.getParticipants()[0].sendMessage("hello").then(function(message) {
+                        expect(message).to.include({to: "owner", type: "text", text: "hello"});
+                        //participant method keeps resolving on failure
+                        wcs.setScenario({sendData: {status: "FAILED", info: "Rejected"}});
+                        return room.getParticipants()[0].sendMessage(1);
+                    }).then(function(message) {
+                        expect(message).to.be.undefined;
+                        wcs.setScenario();
+                        return room.sendMessage("hello", {to: "nobody"});
+                    }).then(function() {
+                        done(new Error("Message should be rejected"));
+                    }, function(info) {
+                        expect(info.info).to.be.equal("Participant not found");
+                        expect(room.getMessages()).to.have.length(1);
+                        api.disconnect();
+                        api2.disconnect();
+                        done();
+                    });
+                });
+            });
+            it('should page message history', function(done) {
+                joinTwo("history_room", function(api, room, api2, room2) {
+                    var received = 0;
+                    room2.on("MESSAGE", function() {
+                        if (++received < 5) {
+                            return;
+                        }
+                        var page = room2.getMessages({limit: 2});
+                        expect(page.map(function(message) {
+                            return message.text;
+                        })).to.be.eql(["3", "4"]);
+                        page = room2.getMessages({before: page[0].id, limit: 2});
+                        expect(page.map(function(message) {
+                            return message.text;
+                        })).to.be.eql(["1", "2"]);
+                        api.disconnect();
+                        api2.disconnect();
+                        done();
+                    });
+                    for (var i = 0; i < 5; i++) {
+                        room.sendMessage(String(i));
+                    }
+                }, {chatHistorySize: 4});
+            });
+        });
+
+        describe('state', function() {
+            it('should notify about participant streams', function(done) {
+                joinTwo("state_room", function(api, room, api2) {
+                    var client = wcs.getClients().filter(function(c) {
+                        return c.login == "owner";
+                    }).pop();
+                    var events = [];
+                    room.on("*", function(event) {
+                        events.push(event);
+                    });
+                    room.once("STREAM_ADDED", function(event) {
+                        expect(event.participant.name()).to.be.equal("guest");
+                        expect(event.stream.streamName()).to.be.equal("state_room-guest-1");
+                    }).once("UNPUBLISHED", function(event) {
+                        expect(event.participant.getStreams()).to.be.empty;
+                        expect(event.stream.streamName()).to.be.equal("state_room-guest-1");
+                        expect(event.reason).to.be.equal("FAILED");
+                    }).once("STREAM_REMOVED", function(event) {
+                        expect(event.reason).to.be.equal("FAILED");
+                    });
+                    room.on("STATE_CHANGED", function(state, diff, previous) {
+                        expect(Object.isFrozen(state.participants[0].streams)).to.be.true;
+                        if (diff.streamsAdded.length) {
+                            expect(diff.streamsAdded).to.be.eql([{participant: "guest", stream: "state_room-guest-1"}]);
+                            expect(state.participants[0].streams).to.be.eql(["state_room-guest-1"]);
+                            expect(room.getState()).to.be.equal(state);
+                            client.appData({roomName: "state_room", name: "FAILED", info: {login: "guest", name: "state_room-guest-1"}});
+                        } else if (diff.streamsRemoved.length) {
+                            expect(previous.participants[0].streams).to.have.length(1);
+                            expect(state.participants[0].streams).to.be.empty;
+                            //wildcard listener is called after this one
+                            expect(events).to.be.eql(["PUBLISHED", "STREAM_ADDED", "PARTICIPANT_UPDATED", "STATE_CHANGED",
+                                "UNPUBLISHED", "STREAM_REMOVED", "PARTICIPANT_UPDATED"]);
+                            api.disconnect();
+                            api2.disconnect();
+                            done();
+                        }
+                    });
+                    client.appData({roomName: "state_room", name: "PUBLISHED", info: {login: "guest", name: "state_room-guest-1"}});
+                });
+            });
+            it('should keep state of participants without streams', function(done) {
+                joinTwo("empty_room", function(api, room, api2, room2) {
+                    var state = room2.getState();
+                    expect(state.owner).to.be.equal("owner");
+                    expect(state.participants).to.be.eql([{name: "owner", streams: []}]);
+                    room.on("STATE_CHANGED", function(state, diff) {
+                        expect(diff.left).to.be.eql(["guest"]);
+                        expect(state.participants).to.be.empty;
+                        api.disconnect();
+                        done();
+                    });
+                    api2.disconnect();
+                });
+            });
+        });
+    });
+
+    describe('SIP', function() {
+        it('should register', function(done) {
+            Flashphoner.createSession({
+                urlServer: sOptions.urlServer,
+                sipOptions: {login: "3000", password: "1234", domain: "127.0.0.1"}
+            }).on(SESSION_STATUS.REGISTERED, function(session) {
+                session.disconnect();
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,97 @@
+//stats collector tests running in Node.js
+var expect = require('chai').expect;
+var statsCollector = require('../src/stats-collector');
+
+describe('stats collector', function() {
+    //stats in the format of media connection getStats()
+    var createStats = function(second, options) {
+        options = options || {};
+        return {
+            outboundStream: {
+                video: {
+                    bytesSent: second * 125000,
+                    packetsSent: second * 100,
+                    framesEncoded: second * 30
+                }
+            },
+            remoteInboundStream: {
+                video: {
+                    packetsLost: second * (options.sentLost || 0),
+                    jitter: 0.01
+                }
+            },
+            inboundStream: {
+                audio: {
+                    bytesReceived: second * 4000,
+                    packetsReceived: second * 50 - second * (options.receivedLost || 0),
+                    packetsLost: second * (options.receivedLost || 0),
+                    jitter: 0.02
+                }
+            },
+            candidatePair: {
+                currentRoundTripTime: 0.05
+            },
+            otherStats: []
+        };
+    };
+
+    it('should not compute rates from the first sample', function() {
+        var collector = statsCollector.create(true);
+        var sample = collector.add(createStats(1), 1000);
+        expect(sample.metrics.outbound).to.be.empty;
+        expect(sample.metrics.inbound).to.be.empty;
+        expect(sample.metrics.roundTripTime).to.be.equal(50);
+    });
+    it('should compute bitrate and fps over window', function() {
+        var collector = statsCollector.create({window: 3});
+        collector.add(createStats(1), 1000);
+        collector.add(createStats(2), 2000);
+        var sample = collector.add(createStats(3), 3000);
+        expect(sample.metrics.outbound.video.bitrate).to.be.equal(1000000);
+        expect(sample.metrics.outbound.video.fps).to.be.equal(30);
+        expect(sample.metrics.inbound.audio.bitrate).to.be.equal(32000);
+        //the oldest sample drops out of the window
+        collector.add(createStats(5), 4000);
+        expect(collector.getLast().metrics.outbound.video.bitrate).to.be.equal(1500000);
+    });
+    it('should compute packet loss and jitter', function() {
+        var collector = statsCollector.create({});
+        collector.add(createStats(1, {sentLost: 10, receivedLost: 5}), 1000);
+        var sample = collector.add(createStats(2, {sentLost: 10, receivedLost: 5}), 2000);
+        expect(sample.metrics.outbound.video.packetLoss).to.be.equal(10);
+        expect(sample.metrics.outbound.video.jitter).to.be.equal(10);
+        expect(sample.metrics.inbound.audio.packetLoss).to.be.equal(10);
+        expect(sample.metrics.inbound.audio.jitter).to.be.equal(20);
+    });
+    it('should keep bounded history', function() {
+        var collector = statsCollector.create({historySize: 3});
+        for (var i = 1; i <= 5; i++) {
+            collector.add(createStats(i), i * 1000);
+        }
+        var history = collector.getHistory();
+        expect(history).to.have.length(3);
+        expect(history[0].timestamp).to.be.equal(3000);
+        history.pop();
+        expect(collector.getHistory()).to.have.length(3);
+        collector.clear();
+        expect(collector.getHistory()).to.be.empty;
+        expect(collector.getLast()).to.be.undefined;
+    });
+    it('should collect periodically until stopped', function(done) {
+        var collector = statsCollector.create({interval: 10});
+        var samples = [];
+        collector.start(function(callback) {
+            callback(createStats(samples.length + 1));
+        }, function(sample) {
+            samples.push(sample);
+            if (samples.length == 2) {
+                collector.stop();
+                setTimeout(function() {
+                    expect(samples).to.have.length(2);
+                    expect(collector.getHistory()).to.have.length(2);
+                    done();
+                }, 30);
+            }
+        });
+    });
+});
@@ -40,6 +40,29 @@ describe('flashphoner', function() {
                 done();
             });
         });
+        it('should notify every listener of the event', function(done){
+            var session = Flashphoner.createSession(sOptions);
+            var notified = [];
+            var onceCalls = 0;
+            var removed = function() {
+                done(new Error("Removed listener was called"));
+            };
+            session.on(SESSION_STATUS.ESTABLISHED, function(){
+                notified.push("first");
+            }).on(SESSION_STATUS.ESTABLISHED, removed).once(SESSION_STATUS.ESTABLISHED, function(){
+                onceCalls++;
+            }).on("*", function(event){
+                notified.push(event);
+            }).on(SESSION_STATUS.ESTABLISHED, function(){
+                expect(notified).to.contain("first");
+                expect(onceCalls).to.be.equal(1);
+                session.disconnect();
+            }).on(SESSION_STATUS.DISCONNECTED, function(){
+                expect(notified).to.contain(SESSION_STATUS.ESTABLISHED);
+                expect(notified).to.contain(SESSION_STATUS.DISCONNECTED);
+                done();
+            }).off(SESSION_STATUS.ESTABLISHED, removed);
+        });
         it('status should be FAILED when connecting to closed port', function(done){
             this.timeout(30000);
             var comp = sOptions.urlServer.split(":");
@@ -51,6 +74,13 @@ describe('flashphoner', function() {
                 done(new Error("Got DISCONNECTED status"));
             });
         });
+        it('connect should resolve when session is established', function(done) {
+            Flashphoner.createSession(sOptions).connect(5000).then(function(session){
+                expect(session.status()).to.be.equal(SESSION_STATUS.ESTABLISHED);
+                session.disconnect();
+                done();
+            }, done);
+        });
         it('should disconnect', function(done) {
             var session = Flashphoner.createSession(sOptions);
             session.on(SESSION_STATUS.ESTABLISHED, function(){
@@ -174,6 +204,23 @@ describe('flashphoner', function() {
                     }).publish();
                 });
             });
+            it('stream failed on session disconnect should provide retryable network error', function(done){
+                this.timeout(10000);
+                Flashphoner.createSession(sOptions).on(SESSION_STATUS.ESTABLISHED, function(session){
+                    var display = addDisplay();
+                    var stream = session.createStream({name: "test", display: display}).on(STREAM_STATUS.PUBLISHING, function(){
+                        session.disconnect();
+                    }).on(STREAM_STATUS.FAILED, function(stream, error){
+                        removeDisplay(display);
+                        expect(error).to.be.an.instanceof(Flashphoner.errors.NetworkError);
+                        expect(error.code).to.be.equal("STOPPED_BY_SESSION_DISCONNECT");
+                        expect(error.retryable).to.be.true;
+                        expect(stream.getError()).to.be.equal(error);
+                        done();
+                    });
+                    stream.publish();
+                });
+            });
             it('instant publish stop should result in UNPUBLISHED event', function(done) {
                 this.timeout(20000);
                 var display = addDisplay();
@@ -205,6 +252,18 @@ describe('flashphoner', function() {
                     done();
                 }).play();
             });
+            it('playAsync should reject with status info if stream is not available', function(done) {
+                this.timeout(20000);
+                var display = addDisplay();
+                session.createStream({name: "qweiofjiqwejfiqwjef", display: display}).playAsync(15000).then(function(){
+                    removeDisplay(display);
+                    done(new Error("Stream should not play"));
+                }, function(error){
+                    removeDisplay(display);
+                    expect(error.status).to.be.equal(STREAM_STATUS.FAILED);
+                    done();
+                });
+            });
             after(function(){
                 session.disconnect();
             })
@@ -0,0 +1,761 @@
+'use strict';
+
+/**
+ * Web Call Server signaling simulator.
+ * Speaks the JSON protocol of the core api, so sessions, streams, room api and SIP calls
+ * can be tested without a real server. Media is not transmitted, remote SDP is a copy of the offer.
+ *
+ * Behaviour can be scripted with scenarios. Scenario maps client message name to a rule:
+ * - function(client, data, proceed) takes full control, proceed() runs default handler
+ * - object with fields
+ *   delay {Integer} handle message after delay in milliseconds
+ *   drop {Boolean} ignore message
+ *   disconnect {Boolean} drop client connection instead of handling message
+ *   status {String} reply with this status instead of the default one, e.g. FAILED
+ *   info {String} status info to reply with
+ * Default scenario may also contain onConnect(client) hook called when socket opens,
+ * and balancer rule applied to load balancer requests, e.g. {status: 500} or {delay: 6000}.
+ *
+ * Client selects named scenario with custom.scenario field of session options,
+ * otherwise default scenario of the simulator is used.
+ *
+ * Usage: node test/wcs-simulator.js [port]
+ */
+
+var http = require('http');
+var WebSocket = require('ws');
+var uuid_v1 = require('uuid/v1');
+var constants = require('../src/constants');
+var SESSION_STATUS = constants.SESSION_STATUS;
+var STREAM_STATUS = constants.STREAM_STATUS;
+var STREAM_STATUS_INFO = constants.STREAM_STATUS_INFO;
+var CALL_STATUS = constants.CALL_STATUS;
+var CALL_STATUS_INFO = constants.CALL_STATUS_INFO;
+var ROOM_REST_APP = "roomApp";
+var DEFAULT_PORT = 8080;
+
+/**
+ * Create simulator.
+ *
+ * @param {Object=} options Simulator options
+ * @param {Integer=} options.port Port to listen, random free port if 0
+ * @param {Object=} options.scenario Default scenario
+ * @param {Object=} options.scenarios Named scenarios clients can select
+ * @param {Integer=} options.pingInterval Send ping to clients with this interval in milliseconds
+ * @param {Boolean=} options.log Print protocol messages
+ * @returns {Object} Simulator
+ */
+var createSimulator = function (options) {
+    options = options || {};
+    var server;
+    var wsServer;
+    var pingTimer;
+    var clients = {};
+    //published streams by name
+    var streams = {};
+    //room name to participant logins
+    var rooms = {};
+    //room name to moderation state {owner, locked}
+    var roomStates = {};
+    //sip login to client
+    var sipUsers = {};
+    var scenarios = options.scenarios || {};
+    var defaultScenario = options.scenario || {};
+    var abortedBalancerRequests = 0;
+
+    var log = function (text) {
+        if (options.log) {
+            console.log(new Date().toTimeString().split(" ")[0] + " " + text);
+        }
+    };
+
+    //simulator side of client connection
+    var createClient = function (ws) {
+        var client = {
+            id: uuid_v1(),
+            ws: ws,
+            config: null,
+            login: null,
+            //named scenario selected by client
+            scenario: null,
+            streams: {},
+            calls: {},
+            received: []
+        };
+
+        client.send = function (message) {
+            if (ws.readyState !== WebSocket.OPEN) {
+                return;
+            }
+            var data = Array.prototype.slice.call(arguments, 1);
+            log(client.id + " < " + message);
+            ws.send(JSON.stringify({message: message, data: data}));
+        };
+
+        //close socket as if network was lost
+        client.disconnect = function () {
+            ws.terminate();
+        };
+
+        client.streamStatus = function (stream, status, info) {
+            stream.status = status;
+            client.send("notifyStreamStatusEvent", {
+                mediaSessionId: stream.mediaSessionId,
+                name: stream.name,
+                published: stream.published,
+                status: status,
+                info: info,
+                record: false
+            });
+        };
+
+        client.callStatus = function (call, message, status, info) {
+            call.status = status;
+            client.send(message, {
+                callId: call.callId,
+                caller: call.caller,
+                callee: call.callee,
+                incoming: call.incoming,
+                status: status,
+                info: info
+            });
+        };
+
+        client.appData = function (payload) {
+            client.send("OnDataEvent", {
+                operationId: uuid_v1(),
+                payload: payload
+            });
+        };
+
+        return client;
+    };
+
+    var answerSdp = function (sdp) {
+        return (sdp || "").replace(/a=setup:actpass/g, "a=setup:active");
+    };
+
+    var stopStream = function (client, stream, status, info) {
+        delete client.streams[stream.mediaSessionId];
+        if (stream.published) {
+            if (streams[stream.name] === stream) {
+                delete streams[stream.name];
+            }
+            //stop players of the stream
+            forEachClient(function (c) {
+                for (var id in c.streams) {
+                    if (c.streams.hasOwnProperty(id) && !c.streams[id].published && c.streams[id].name == stream.name) {
+                        var player = c.streams[id];
+                        delete c.streams[id];
+                        c.streamStatus(player, STREAM_STATUS.STOPPED, STREAM_STATUS_INFO.STOPPED_BY_PUBLISHER_STOP);
+                    }
+                }
+            });
+            roomStreamEvent(client, stream, status == STREAM_STATUS.FAILED ? "FAILED" : "UNPUBLISHED");
+        }
+        client.streamStatus(stream, status, info);
+    };
+
+    var finishCall = function (client, call, status, info) {
+        delete client.calls[call.callId];
+        client.callStatus(call, "finish", status, info);
+        var peer = call.peer;
+        call.peer = null;
+        if (peer && peer.call.peer) {
+            peer.call.peer = null;
+            delete peer.client.calls[peer.call.callId];
+            peer.client.callStatus(peer.call, "finish", CALL_STATUS.FINISH, CALL_STATUS_INFO.NORMAL_CALL_CLEARING);
+        }
+    };
+
+    var forEachClient = function (fn) {
+        for (var id in clients) {
+            if (clients.hasOwnProperty(id)) {
+                fn(clients[id]);
+            }
+        }
+    };
+
+    //room app emulation
+    var roomEvent = function (roomName, name, info, except) {
+        var participants = rooms[roomName] || {};
+        for (var login in participants) {
+            if (participants.hasOwnProperty(login) && participants[login] !== except) {
+                participants[login].appData({roomName: roomName, name: name, info: info});
+            }
+        }
+    };
+
+    var roomStreamEvent = function (client, stream, name) {
+        if (client.config.appKey == ROOM_REST_APP && stream.custom && stream.custom.name) {
+            roomEvent(stream.custom.name, name, {login: client.login, name: stream.name}, client);
+        }
+    };
+
+    var leaveRoom = function (client, roomName) {
+        if (rooms[roomName] && rooms[roomName][client.login] === client) {
+            delete rooms[roomName][client.login];
+            roomEvent(roomName, "LEFT", client.login);
+            var state = roomStates[roomName];
+            if (state.owner == client.login) {
+                //ownership passes to the earliest joined participant
+                state.owner = Object.keys(rooms[roomName])[0];
+                if (state.owner) {
+                    roomEvent(roomName, "OWNER_CHANGED", state.owner);
+                } else {
+                    delete roomStates[roomName];
+                }
+            }
+        }
+    };
+
+    //moderation commands are accepted from room owner only
+    var moderate = function (client, roomName, to, command) {
+        var participants = rooms[roomName] || {};
+        if (participants[client.login] !== client || roomStates[roomName].owner != client.login) {
+            return "Not room owner";
+        }
+        if (to !== undefined && !participants[to]) {
+            return "Participant not found";
+        }
+        command(participants, roomStates[roomName]);
+    };
+
+    var roomCommands = {
+        join: function (client, options) {
+            var participants = rooms[options.name] = rooms[options.name] || {};
+            var roomState = roomStates[options.name] = roomStates[options.name] || {owner: client.login, locked: false};
+            if (participants[client.login]) {
+                return "Participant with same login already exists";
+            }
+            if (roomState.locked) {
+                return "Room is locked";
+            }
+            roomEvent(options.name, "JOINED", client.login);
+            participants[client.login] = client;
+            var state = [];
+            forEachClient(function (c) {
+                if (participants[c.login] !== c || c === client) {
+                    return;
+                }
+                var published = false;
+                for (var id in c.streams) {
+                    if (c.streams.hasOwnProperty(id) && c.streams[id].published && c.streams[id].custom && c.streams[id].custom.name == options.name) {
+                        state.push({login: c.login, name: c.streams[id].name});
+                        published = true;
+                    }
+                }
+                if (!published) {
+                    state.push({login: c.login});
+                }
+            });
+            //STATE follows acceptance of join command
+            setTimeout(function () {
+                client.appData({roomName: options.name, name: "STATE", info: state, owner: roomState.owner, locked: roomState.locked});
+            }, 0);
+        },
+        leave: function (client, options) {
+            leaveRoom(client, options.name);
+        },
+        sendMessage: function (client, options) {
+            var roomName = options.roomConfig.name;
+            var participants = rooms[roomName] || {};
+            var info = {
+                from: client.login,
+                to: options.to,
+                id: options.id,
+                timestamp: options.timestamp,
+                type: options.type,
+                text: options.text,
+                payload: options.payload
+            };
+            //message without recipient is broadcast
+            if (options.to === undefined) {
+                roomEvent(roomName, "MESSAGE", info, client);
+                return;
+            }
+            if (!participants[options.to]) {
+                return "Participant not found";
+            }
+            participants[options.to].appData({
+                roomName: roomName,
+                name: "MESSAGE",
+                info: info
+            });
+        },
+        kick: function (client, options) {
+            var roomName = options.roomConfig.name;
+            return moderate(client, roomName, options.to, function (participants) {
+                //KICKED is sent instead of LEFT
+                roomEvent(roomName, "KICKED", {login: options.to});
+                delete participants[options.to];
+            });
+        },
+        mute: function (client, options) {
+            return moderate(client, options.roomConfig.name, options.to, function () {
+                roomEvent(options.roomConfig.name, "MUTED", {login: options.to, streamName: options.streamName, audio: options.audio, video: options.video});
+            });
+        },
+        unmute: function (client, options) {
+            return moderate(client, options.roomConfig.name, options.to, function () {
+                roomEvent(options.roomConfig.name, "UNMUTED", {login: options.to, streamName: options.streamName, audio: options.audio, video: options.video});
+            });
+        },
+        lock: function (client, options) {
+            return moderate(client, options.name, undefined, function (participants, state) {
+                state.locked = true;
+                roomEvent(options.name, "LOCKED", client.login);
+            });
+        },
+        unlock: function (client, options) {
+            return moderate(client, options.name, undefined, function (participants, state) {
+                state.locked = false;
+                roomEvent(options.name, "UNLOCKED", client.login);
+            });
+        },
+        transferOwnership: function (client, options) {
+            return moderate(client, options.roomConfig.name, options.to, function (participants, state) {
+                state.owner = options.to;
+                roomEvent(options.roomConfig.name, "OWNER_CHANGED", options.to);
+            });
+        }
+    };
+
+    //default handlers of client messages
+    var handlers = {
+        connection: function (client, data, rule) {
+            if (rule.status == SESSION_STATUS.FAILED) {
+                client.disconnect();
+                return;
+            }
+            var config = {};
+            for (var prop in data) {
+                if (data.hasOwnProperty(prop)) {
+                    config[prop] = data[prop];
+                }
+            }
+            config.sessionId = client.id;
+            config.authToken = data.authToken || uuid_v1();
+            client.config = config;
+            client.login = data.custom && data.custom.login ? data.custom.login : data.sipLogin;
+            client.send("getUserData", config);
+            if (data.sipLogin && data.sipRegisterRequired !== false) {
+                sipUsers[data.sipLogin] = client;
+                client.send("registered", {});
+            }
+        },
+        pong: function () {
+        },
+        ping: function (client) {
+            client.send("pong");
+        },
+        publishStream: function (client, data, rule) {
+            var stream = {
+                mediaSessionId: data.mediaSessionId,
+                name: data.name,
+                published: true,
+                custom: data.custom
+            };
+            client.streams[stream.mediaSessionId] = stream;
+            if (!rule.status && streams[stream.name]) {
+                rule = {status: STREAM_STATUS.FAILED, info: STREAM_STATUS_INFO.STREAM_NAME_ALREADY_IN_USE};
+            }
+            if (rule.status && rule.status != STREAM_STATUS.PUBLISHING) {
+                delete client.streams[stream.mediaSessionId];
+                client.streamStatus(stream, rule.status, rule.info);
+                return;
+            }
+            streams[stream.name] = stream;
+            client.send("setRemoteSDP", stream.mediaSessionId, answerSdp(data.sdp));
+            client.streamStatus(stream, STREAM_STATUS.PUBLISHING, rule.info);
+            roomStreamEvent(client, stream, "PUBLISHED");
+        },
+        playStream: function (client, data, rule) {
+            var stream = {
+                mediaSessionId: data.mediaSessionId,
+                name: data.name,
+                published: false,
+                custom: data.custom
+            };
+            client.streams[stream.mediaSessionId] = stream;
+            if (!rule.status && !streams[stream.name]) {
+                rule = {status: STREAM_STATUS.FAILED, info: STREAM_STATUS_INFO.STREAM_NOT_FOUND};
+            }
+            if (rule.status && rule.status != STREAM_STATUS.PLAYING) {
+                delete client.streams[stream.mediaSessionId];
+                client.streamStatus(stream, rule.status, rule.info);
+                return;
+            }
+            client.send("setRemoteSDP", stream.mediaSessionId, answerSdp(data.sdp));
+            client.streamStatus(stream, STREAM_STATUS.PLAYING, rule.info);
+        },
+        unPublishStream: function (client, data, rule) {
+            var stream = client.streams[data.mediaSessionId];
+            if (stream) {
+                stopStream(client, stream, rule.status || STREAM_STATUS.UNPUBLISHED, rule.info);
+            }
+        },
+        stopStream: function (client, data, rule) {
+            var stream = client.streams[data.mediaSessionId];
+            if (stream) {
+                stopStream(client, stream, rule.status || STREAM_STATUS.STOPPED, rule.info);
+            }
+        },
+        availableStream: function (client, data) {
+            client.send("availableStream", {
+                id: data.mediaSessionId,
+                status: streams[data.name] ? "true" : "false"
+            });
+        },
+        snapshot: function (client, data) {
+            var stream = client.streams[data.mediaSessionId] || {mediaSessionId: data.mediaSessionId, name: data.name};
+            client.streamStatus(stream, STREAM_STATUS.SNAPSHOT_COMPLETE);
+        },
+        sendData: function (client, data, rule) {
+            var error;
+            if (!rule.status && client.config.appKey == ROOM_REST_APP && data.payload &&
+                roomCommands[data.payload.command]) {
+                error = roomCommands[data.payload.command](client, data.payload.options);
+            }
+            var status = rule.status || (error ? "FAILED" : "ACCEPTED");
+            client.send("DataStatusEvent", {
+                operationId: data.operationId,
+                status: status,
+                info: rule.info || error
+            });
+            if (status == "ACCEPTED" && data.payload && typeof data.payload.topic === 'string') {
+                //topic messages are delivered to other clients of the same app
+                forEachClient(function (c) {
+                    if (c !== client && c.config && c.config.appKey == client.config.appKey) {
+                        c.appData(data.payload);
+                    }
+                });
+            }
+        },
+        call: function (client, data, rule) {
+            var call = {
+                callId: data.callId,
+                caller: data.caller,
+                callee: data.callee,
+                incoming: false,
+                sdp: data.sdp
+            };
+            client.calls[call.callId] = call;
+            if (rule.status && rule.status != CALL_STATUS.ESTABLISHED) {
+                delete client.calls[call.callId];
+                client.callStatus(call, "finish", rule.status, rule.info);
+                return;
+            }
+            client.callStatus(call, "ring", CALL_STATUS.RING);
+            var callee = sipUsers[call.callee];
+            if (callee && clients[callee.id]) {
+                //deliver call to registered user, it is established when callee answers
+                var incoming = {
+                    callId: uuid_v1(),
+                    caller: call.caller,
+                    callee: call.callee,
+                    incoming: true
+                };
+                callee.calls[incoming.callId] = incoming;
+                call.peer = {client: callee, call: incoming};
+                incoming.peer = {client: client, call: call};
+                callee.send("setRemoteSDP", incoming.callId, data.sdp);
+                callee.send("notifyIncomingCall", {
+                    callId: incoming.callId,
+                    caller: incoming.caller,
+                    callee: incoming.callee,
+                    incoming: true,
+                    status: CALL_STATUS.RING
+                });
+                return;
+            }
+            //unknown callee answers immediately
+            client.send("setRemoteSDP", call.callId, answerSdp(data.sdp));
+            client.callStatus(call, "talk", CALL_STATUS.ESTABLISHED);
+        },
+        answer: function (client, data) {
+            var call = client.calls[data.callId];
+            if (!call) {
+                return;
+            }
+            client.callStatus(call, "talk", CALL_STATUS.ESTABLISHED);
+            if (call.peer) {
+                call.peer.client.send("setRemoteSDP", call.peer.call.callId, answerSdp(data.sdp));
+                call.peer.client.callStatus(call.peer.call, "talk", CALL_STATUS.ESTABLISHED);
+            }
+        },
+        hangup: function (client, data) {
+            var call = client.calls[data.callId];
+            if (call) {
+                finishCall(client, call, CALL_STATUS.FINISH, CALL_STATUS_INFO.NORMAL_CALL_CLEARING);
+            }
+        },
+        hold: function (client, data) {
+            var call = client.calls[data.callId];
+            if (call) {
+                client.callStatus(call, "hold", CALL_STATUS.HOLD);
+            }
+        },
+        unhold: function (client, data) {
+            var call = client.calls[data.callId];
+            if (call) {
+                client.callStatus(call, "talk", CALL_STATUS.ESTABLISHED);
+            }
+        }
+    };
+
+    var getRule = function (client, message) {
+        return (client.scenario && client.scenario[message]) || defaultScenario[message] || {};
+    };
+
+    var handle = function (client, message, data) {
+        var rule = getRule(client, message);
+        var proceed = function () {
+            if (handlers[message]) {
+                handlers[message](client, data || {}, typeof rule === 'function' ? {} : rule);
+            }
+        };
+        if (typeof rule === 'function') {
+            rule(client, data, proceed);
+            return;
+        }
+        if (rule.drop) {
+            return;
+        }
+        if (rule.disconnect) {
+            client.disconnect();
+            return;
+        }
+        if (rule.delay) {
+            setTimeout(function () {
+                if (clients[client.id]) {
+                    proceed();
+                }
+            }, rule.delay);
+            return;
+        }
+        proceed();
+    };
+
+    //load balancer emulation, answers with address of this simulator
+    var onBalancerRequest = function (request, response) {
+        var rule = defaultScenario.balancer || {};
+        if (request.url != "/balancer" || rule.drop) {
+            if (!rule.drop) {
+                response.writeHead(404);
+                response.end();
+            }
+            return;
+        }
+        response.on('close', function () {
+            if (!response.writableFinished) {
+                abortedBalancerRequests++;
+            }
+        });
+        setTimeout(function () {
+            if (response.destroyed) {
+                return;
+            }
+            var port = server.address().port;
+            response.writeHead(rule.status || 200, {
+                "Content-Type": "application/json",
+                "Access-Control-Allow-Origin": "*"
+            });
+            response.end(JSON.stringify({server: "127.0.0.1", ws: port, wss: port, flash: 1935}));
+        }, rule.delay || 0);
+    };
+
+    var onConnection = function (ws) {
+        var client = createClient(ws);
+        clients[client.id] = client;
+        log(client.id + " connected");
+        ws.on('message', function (raw) {
+            var msg;
+            try {
+                msg = JSON.parse(raw);
+            } catch (e) {
+                log(client.id + " bad message " + raw);
+                return;
+            }
+            log(client.id + " > " + msg.message);
+            client.received.push(msg);
+            var data = msg.data ? msg.data[0] : undefined;
+            if (msg.message == "connection" && data && data.custom && scenarios[data.custom.scenario]) {
+                client.scenario = scenarios[data.custom.scenario];
+            }
+            handle(client, msg.message, data);
+        });
+        ws.on('close', function () {
+            log(client.id + " disconnected");
+            delete clients[client.id];
+            for (var id in client.streams) {
+                if (client.streams.hasOwnProperty(id)) {
+                    stopStream(client, client.streams[id], STREAM_STATUS.FAILED, STREAM_STATUS_INFO.STOPPED_BY_SESSION_DISCONNECT);
+                }
+            }
+            for (var callId in client.calls) {
+                if (client.calls.hasOwnProperty(callId)) {
+                    finishCall(client, client.calls[callId], CALL_STATUS.FAILED);
+                }
+            }
+            for (var roomName in rooms) {
+                if (rooms.hasOwnProperty(roomName)) {
+                    leaveRoom(client, roomName);
+                }
+            }
+            if (client.config && sipUsers[client.config.sipLogin] === client) {
+                delete sipUsers[client.config.sipLogin];
+            }
+        });
+        ws.on('error', function (e) {
+            log(client.id + " error " + e);
+        });
+        if (defaultScenario.onConnect) {
+            defaultScenario.onConnect(client);
+        }
+    };
+
+    var simulator = {};
+
+    /**
+     * Start listening
+     *
+     * @returns {Promise} Resolves with simulator when server is ready
+     */
+    simulator.start = function () {
+        return new Promise(function (resolve, reject) {
+            server = http.createServer(onBalancerRequest);
+            wsServer = new WebSocket.Server({server: server});
+            wsServer.on('connection', onConnection);
+            server.once('error', reject);
+            server.listen(options.port !== undefined ? options.port : DEFAULT_PORT, function () {
+                if (options.pingInterval) {
+                    pingTimer = setInterval(function () {
+                        forEachClient(function (c) {
+                            c.send("ping");
+                        });
+                    }, options.pingInterval);
+                }
+                resolve(simulator);
+            });
+        });
+    };
+
+    /**
+     * Drop all clients and stop listening
+     *
+     * @returns {Promise} Resolves when server is closed
+     */
+    simulator.stop = function () {
+        clearInterval(pingTimer);
+        return new Promise(function (resolve) {
+            forEachClient(function (c) {
+                c.ws.terminate();
+            });
+            wsServer.close();
+            server.close(function () {
+                resolve();
+            });
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+        });
+    };
+
+    /**
+     * Get url clients should connect to
+     *
+     * @returns {String} Url
+     */
+    simulator.url = function () {
+        return "ws://127.0.0.1:" + server.address().port;
+    };
+
+    /**
+     * Get load balancer url, balancer points to this simulator
+     *
+     * @returns {String} Url
+     */
+    simulator.balancerUrl = function () {
+        return "http://127.0.0.1:" + server.address().port + "/balancer";
+    };
+
+    /**
+     * Get count of load balancer requests closed by client before answer
+     *
+     * @returns {Number} Requests count
+     */
+    simulator.getAbortedBalancerRequests = function () {
+        return abortedBalancerRequests;
+    };
+
+    /**
+     * Get connected clients
+     *
+     * @returns {Array} Clients
+     */
+    simulator.getClients = function () {
+        var ret = [];
+        forEachClient(function (c) {
+            ret.push(c);
+        });
+        return ret;
+    };
+
+    /**
+     * Find connected client by session id
+     *
+     * @param {String} sessionId Session id sent to the client in getUserData
+     * @returns {Object} Client
+     */
+    simulator.getClient = function (sessionId) {
+        return clients[sessionId];
+    };
+
+    /**
+     * Set default scenario
+     *
+     * @param {Object=} scenario Scenario, empty to restore default behaviour
+     */
+    simulator.setScenario = function (scenario) {
+        defaultScenario = scenario || {};
+    };
+
+    /**
+     * Register named scenario clients can select with custom.scenario
+     *
+     * @param {String} name Scenario name
+     * @param {Object} scenario Scenario
+     */
+    simulator.defineScenario = function (name, scenario) {
+        scenarios[name] = scenario;
+    };
+
+    /**
+     * Send message to all connected clients
+     *
+     * @param {String} message Message name
+     */
+    simulator.broadcast = function (message) {
+        var args = arguments;
+        forEachClient(function (c) {
+            c.send.apply(null, args);
+        });
+    };
+
+    return simulator;
+};
+
+module.exports = {
+    create: createSimulator
+};
+
+if (require.main === module) {
+    var port = parseInt(process.argv[2], 10);
+    createSimulator({port: isNaN(port) ? DEFAULT_PORT : port, log: true, pingInterval: 10000}).start().then(function (simulator) {
+        console.log("WCS simulator listening on " + simulator.url());
+    }, function (e) {
+        console.error("Failed to start simulator: " + e);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,310 @@
+//WSPlayer unit tests running in Node.js with fake audio context, decoder and renderer
+var expect = require('chai').expect;
+var wsPlayer = require('../src/WSPlayer');
+var WSPlayer = wsPlayer.WSPlayer;
+var WSPlayerState = wsPlayer.WSPlayerState;
+var AudioPlayer = wsPlayer.AudioPlayer;
+
+var SAMPLE_RATE = 8000;
+//8192 samples at 8000 Hz
+var CHUNK_TIME = 1024;
+
+var createAudioContext = function() {
+    return {
+        sampleRate: SAMPLE_RATE,
+        currentTime: 0,
+        destination: {},
+        createGain: function() {
+            return {
+                gain: {value: 1},
+                connect: function() {}
+            };
+        },
+        createScriptProcessor: function() {
+            return {
+                connect: function() {},
+                disconnect: function() {}
+            };
+        }
+    };
+};
+
+var chunk = function(sync) {
+    return {sync: sync, payload: new Float32Array(8).fill(0.5)};
+};
+
+var frame = function(ts, kframe) {
+    return {ts: ts, kframe: !!kframe, payload: new Uint8Array([ts & 0xff])};
+};
+
+var createPlayer = function() {
+    var player = new WSPlayer();
+    player.audioContext = createAudioContext();
+    player.audioPlayer = new AudioPlayer(player.audioContext);
+    player.decoded = [];
+    player.rendered = [];
+    player.acks = [];
+    player.events = [];
+    player.videoDecoder = {
+        postMessage: function(message) {
+            player.decoded.push(message);
+        }
+    };
+    player.receiver = {
+        postMessage: function(message) {
+            player.acks.push(message);
+        }
+    };
+    player.videoRenderer = {
+        muted: false,
+        render: function(frame) {
+            player.rendered.push(frame);
+        },
+        mute: function(mute) {
+            this.muted = mute;
+        },
+        stop: function() {}
+    };
+    player.canvas = {
+        dispatchEvent: function() {}
+    };
+    player.api = function(event) {
+        player.events.push(event);
+    };
+    player.framesRendered = 0;
+    player.initBuffers();
+    return player;
+};
+
+describe('WSPlayer', function() {
+    before(function() {
+        //errors only
+        new WSPlayer().initLogger(0);
+    });
+
+    describe('audio player', function() {
+        var context;
+        var audioPlayer;
+        beforeEach(function() {
+            context = createAudioContext();
+            audioPlayer = new AudioPlayer(context);
+        });
+
+        it('should choose buffer size closest to sample rate', function() {
+            expect(AudioPlayer.getBufferSize(8000)).to.be.equal(8192);
+            expect(AudioPlayer.getBufferSize(44100)).to.be.equal(16384);
+            expect(audioPlayer.audioChunkTimeLength).to.be.equal(CHUNK_TIME);
+        });
+        it('should play buffered chunks in order', function() {
+            var output = new Float32Array(8);
+            audioPlayer.playAudio(chunk(1000));
+            audioPlayer.playAudio(chunk(2024));
+            audioPlayer.processAudio(output, 0);
+            expect(output[0]).to.be.equal(0.5);
+            expect(audioPlayer.lastSync).to.be.equal(1000);
+            audioPlayer.processAudio(output, 1.024);
+            expect(audioPlayer.lastSync).to.be.equal(2024);
+            expect(audioPlayer.previousSync).to.be.equal(1000);
+            expect(audioPlayer.getBufferLength()).to.be.equal(0);
+        });
+        it('should play silence when buffer is exhausted', function() {
+            var output = new Float32Array(8).fill(1);
+            audioPlayer.processAudio(output, 0);
+            expect(output[0]).to.be.equal(0);
+            expect(audioPlayer.bufferExhausted).to.be.true;
+        });
+        it('should not report sync before audio is played', function() {
+            expect(audioPlayer.getCurrentSync()).to.be.equal(-1);
+        });
+        it('should follow audio clock', function() {
+            audioPlayer.playAudio(chunk(1000));
+            audioPlayer.processAudio(new Float32Array(8), 2);
+            context.currentTime = 2.1;
+            expect(audioPlayer.getCurrentSync()).to.be.closeTo(1100, 0.001);
+        });
+        it('should use previous chunk until the last one is played', function() {
+            audioPlayer.playAudio(chunk(1000));
+            audioPlayer.playAudio(chunk(2024));
+            audioPlayer.processAudio(new Float32Array(8), 2);
+            audioPlayer.processAudio(new Float32Array(8), 3.024);
+            context.currentTime = 2.5;
+            expect(audioPlayer.getCurrentSync()).to.be.closeTo(1500, 0.001);
+        });
+        it('should stop clock when audio is exhausted', function() {
+            audioPlayer.playAudio(chunk(1000));
+            audioPlayer.processAudio(new Float32Array(8), 2);
+            context.currentTime = 10;
+            expect(audioPlayer.getCurrentSync()).to.be.equal(1000 + CHUNK_TIME);
+        });
+        it('should report buffered time', function() {
+            audioPlayer.playAudio(chunk(1000));
+            audioPlayer.playAudio(chunk(2024));
+            audioPlayer.processAudio(new Float32Array(8), 2);
+            context.currentTime = 2.024;
+            expect(audioPlayer.getBufferTimeLength()).to.be.closeTo(CHUNK_TIME + 1000, 0.001);
+        });
+        it('should set volume', function() {
+            audioPlayer.setVolume(30);
+            expect(audioPlayer.getVolume()).to.be.closeTo(30, 0.001);
+        });
+    });
+
+    describe('buffering', function() {
+        var player;
+        beforeEach(function() {
+            player = createPlayer();
+        });
+        afterEach(function() {
+            player.stop();
+        });
+
+        it('should drop frames until key frame', function() {
+            player.videoBuffer.push(frame(10), frame(20, true), frame(30));
+            expect(player.feedDecoder()).to.be.false;
+            expect(player.feedDecoder()).to.be.true;
+            expect(player.feedDecoder()).to.be.true;
+            expect(player.tsVideoWaitingList).to.be.eql([20, 30]);
+            expect(player.decoded).to.have.length(2);
+        });
+        it('should decode all frames on startup and acknowledge data', function() {
+            player.state = WSPlayerState.STARTUP;
+            player.onAVData({
+                seq: 1,
+                audioLength: 1,
+                audio: [chunk(0)],
+                videoLength: 100,
+                video: [frame(0, true), frame(50), frame(100), frame(150)]
+            });
+            expect(player.audioPlayer.getBufferLength()).to.be.equal(1);
+            expect(player.decoded).to.have.length(4);
+            expect(player.videoFrameTimeLength).to.be.equal(25);
+            var ack = player.acks[0];
+            expect(ack.message).to.be.equal("ack");
+            expect(ack.data.seq).to.be.equal(1);
+            expect(ack.data.videoBufferTimeLength).to.be.equal(100);
+        });
+        it('should limit decoder queue while playing', function() {
+            player.state = WSPlayerState.PLAYING;
+            player.tsVideoWaitingList.push(0, 10);
+            player.receivedIframe = true;
+            player.onAVData({seq: 1, audioLength: 0, videoLength: 20, video: [frame(20), frame(30)]});
+            expect(player.decoded).to.be.empty;
+            player.tsVideoWaitingList.shift();
+            player.onAVData({seq: 2, audioLength: 0, videoLength: 0});
+            expect(player.decoded).to.have.length(1);
+        });
+        it('should skip decoded output of frames behind audio when video is muted', function() {
+            player.state = WSPlayerState.PLAYING;
+            player.videoRenderer.muted = true;
+            player.onAVData({seq: 1, audioLength: 0, videoLength: 200, video: [frame(0, true), frame(40), frame(100)]});
+            //audio is not played, sync is -1 and only frames before 49 are decoded
+            expect(player.decoded).to.have.length(2);
+            expect(player.decoded[0].skip).to.be.true;
+            expect(player.tsVideoWaitingList).to.be.empty;
+        });
+    });
+
+    describe('A/V sync', function() {
+        var player;
+        beforeEach(function() {
+            player = createPlayer();
+        });
+        afterEach(function() {
+            player.stop();
+        });
+
+        var decodedFrame = function(sync) {
+            player.tsVideoWaitingList.push(sync);
+            player.onDecodedFrame({width: 320, height: 240});
+        };
+
+        it('should start playback when startup frames are decoded', function() {
+            player.state = WSPlayerState.STARTUP;
+            player.setVolume(40);
+            for (var i = 0; i < 4; i++) {
+                decodedFrame(i * 40);
+            }
+            expect(player.state).to.be.equal(WSPlayerState.STARTUP);
+            decodedFrame(160);
+            expect(player.state).to.be.equal(WSPlayerState.PLAYING);
+            expect(player.getVolume()).to.be.closeTo(40, 0.001);
+        });
+        it('should drop video older than audio on startup', function() {
+            player.state = WSPlayerState.STARTUP;
+            player.audioPlayer.playAudio(chunk(100));
+            decodedFrame(0);
+            decodedFrame(40);
+            expect(player.decodedVideoBuffer.map(function(f) {
+                return f.sync;
+            })).to.be.eql([40]);
+        });
+        it('should discard decoded frame without timestamp', function() {
+            player.onDecodedFrame({});
+            expect(player.decodedVideoBuffer).to.be.empty;
+        });
+        it('should render frame when audio reaches it', function() {
+            player.decodedVideoBuffer.push({sync: 100}, {sync: 140});
+            expect(player.renderVideoFrame(90)).to.be.false;
+            expect(player.renderVideoFrame(100)).to.be.true;
+            expect(player.rendered[0].sync).to.be.equal(100);
+            expect(player.framesRendered).to.be.equal(1);
+        });
+        it('should drop late frame if the next one is available', function() {
+            player.decodedVideoBuffer.push({sync: 100}, {sync: 140}, {sync: 180});
+            player.renderVideoFrame(250);
+            expect(player.rendered[0].sync).to.be.equal(140);
+            expect(player.decodedVideoBuffer).to.have.length(1);
+        });
+        it('should render the last late frame', function() {
+            player.decodedVideoBuffer.push({sync: 100});
+            player.renderVideoFrame(250);
+            expect(player.rendered[0].sync).to.be.equal(100);
+        });
+        it('should pace video by wall clock without audio', function() {
+            player.decodedVideoBuffer.push({sync: 1000}, {sync: 1040});
+            expect(player.getPlaybackSync(5000)).to.be.equal(1000);
+            player.decodedVideoBuffer.shift();
+            expect(player.getPlaybackSync(5020)).to.be.below(1040);
+            expect(player.getPlaybackSync(5040)).to.be.equal(1040);
+        });
+        it('should use audio clock if audio is played', function() {
+            player.audioPlayer.playAudio(chunk(3000));
+            player.audioPlayer.processAudio(new Float32Array(8), 1);
+            player.audioContext.currentTime = 1.2;
+            player.decodedVideoBuffer.push({sync: 1000});
+            expect(player.getPlaybackSync(0)).to.be.closeTo(3200, 0.001);
+        });
+    });
+
+    describe('playback problems', function() {
+        var player;
+        beforeEach(function() {
+            player = createPlayer();
+            player.audioPlayer.bufferExhausted = true;
+        });
+
+        it('should raise PLAYBACK_PROBLEM if there is no data', function() {
+            player.checkDataFlow(1000);
+            player.checkDataFlow(3000);
+            expect(player.events).to.be.empty;
+            player.checkDataFlow(4000);
+            expect(player.events).to.have.length(1);
+            expect(player.events[0].status).to.be.equal("PLAYBACK_PROBLEM");
+        });
+        it('should reset no data timer when data arrives', function() {
+            player.checkDataFlow(1000);
+            player.decodedVideoBuffer.push({sync: 0});
+            player.checkDataFlow(2000);
+            player.decodedVideoBuffer.length = 0;
+            player.checkDataFlow(3000);
+            player.checkDataFlow(4000);
+            expect(player.events).to.be.empty;
+        });
+        it('should throttle events', function() {
+            player.riseApiEvent("first");
+            player.riseApiEvent("second");
+            expect(player.events).to.have.length(1);
+            expect(player.events[0].info).to.be.equal("first");
+        });
+    });
+});